@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Manage the encrypted secrets file used for upstream credentials
+ *
+ *   npm run secrets -- list
+ *   npm run secrets -- set NEWSAPI_KEY          (value read from stdin)
+ *   npm run secrets -- set NEWSAPI_KEY <value>
+ *   npm run secrets -- delete NEWSAPI_KEY
+ *
+ * Needs SECRETS_KEY; the file is SECRETS_FILE (default config/secrets.enc).
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { encryptSecrets, decryptSecrets, DEFAULT_FILE } = require('../src/config/secrets');
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data.trim()));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main() {
+  const [command, name, value] = process.argv.slice(2);
+  const file = path.resolve(process.env.SECRETS_FILE || DEFAULT_FILE);
+  const key = process.env.SECRETS_KEY;
+
+  if (!['list', 'set', 'delete'].includes(command)) {
+    console.error('Usage: secrets <list | set NAME [value] | delete NAME>');
+    process.exit(1);
+  }
+  if (!key) {
+    console.error('SECRETS_KEY is not set');
+    process.exit(1);
+  }
+
+  const secrets = fs.existsSync(file) ? decryptSecrets(fs.readFileSync(file, 'utf8'), key) : {};
+
+  if (command === 'list') {
+    Object.keys(secrets).sort().forEach(n => console.log(n));
+    return;
+  }
+
+  if (!name || !NAME_PATTERN.test(name)) {
+    console.error('A secret name (letters, digits and "_") is required');
+    process.exit(1);
+  }
+
+  if (command === 'set') {
+    if (process.stdin.isTTY && value === undefined) console.error(`Value for ${name} (end with Ctrl-D):`);
+    const secret = value !== undefined ? value : await readStdin();
+    if (!secret) {
+      console.error('Empty value - nothing stored');
+      process.exit(1);
+    }
+    secrets[name] = secret;
+  } else {
+    if (!(name in secrets)) {
+      console.error(`${name} is not in ${path.basename(file)}`);
+      process.exit(1);
+    }
+    delete secrets[name];
+  }
+
+  fs.writeFileSync(file, encryptSecrets(secrets, key), { mode: 0o600 });
+  console.log(`${command === 'set' ? 'Stored' : 'Deleted'} ${name} in ${path.relative(process.cwd(), file)}`);
+}
+
+main().catch((error) => {
+  console.error(`Failed: ${error.message}`);
+  process.exit(1);
+});
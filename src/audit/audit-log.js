@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { AUDIT_GENESIS_HASH } = require('../db/client');
+
+/**
+ * Audit trail of administrative and security-relevant actions
+ *
+ * Entries go to the append-only `audit_log` table: who (actor, role), what
+ * (action such as `key.revoke`, target), the before/after diff, client IP
+ * and time. Each entry stores the hash of the previous one and its own
+ * hash over both, so editing or deleting a row in the database breaks the
+ * chain from that point on - verify() finds where.
+ *
+ * Recording never throws: a failed write is logged and the action that
+ * triggered it still completes.
+ */
+
+const VERIFY_BATCH = 1000;
+
+/**
+ * JSON with sorted object keys, so a value hashes the same after a JSONB
+ * round trip.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(prevHash, entry) {
+  const payload = canonicalJson({
+    createdAt: new Date(entry.createdAt).toISOString(),
+    actorId: entry.actorId,
+    actor: entry.actor,
+    actorRole: entry.actorRole,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    changes: entry.changes,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    metadata: entry.metadata
+  });
+  return crypto.createHash('sha256').update(`${prevHash}\n${payload}`).digest('hex');
+}
+
+/**
+ * audit_log row -> the fields hashEntry() covers
+ */
+function fromRow(row) {
+  return {
+    createdAt: row.created_at,
+    actorId: row.actor_id,
+    actor: row.actor,
+    actorRole: row.actor_role,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    changes: row.changes,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    metadata: row.metadata
+  };
+}
+
+/**
+ * Changed top-level fields as { field: { before, after } }; non-objects are
+ * kept whole. Null when nothing was given.
+ */
+function diff(before, after) {
+  if (before === undefined && after === undefined) return null;
+
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(before) || !isObject(after)) {
+    return { before: before ?? null, after: after ?? null };
+  }
+
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (canonicalJson(before[key]) !== canonicalJson(after[key])) {
+      changes[key] = { before: before[key] ?? null, after: after[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * The acting identity of a request. req.user.actor is the admin behind
+ * a request made on another user's behalf (see src/routes/keys.js).
+ */
+function actorFrom(req) {
+  if (!req) return { actorId: null, actor: 'system', actorRole: null };
+
+  const user = req.user && (req.user.actor || req.user);
+  if (user) {
+    return {
+      actorId: user.id || null,
+      actor: user.username || `user:${user.id}`,
+      actorRole: user.role || null
+    };
+  }
+  if (req.apiKey) {
+    return { actorId: null, actor: `key:${req.apiKey.id}`, actorRole: null };
+  }
+  return { actorId: null, actor: 'anonymous', actorRole: null };
+}
+
+class AuditLog {
+  constructor({ db, logger }) {
+    this.db = db;
+    this.logger = logger;
+  }
+
+  /**
+   * Append an entry for `req` (null for actions the gateway takes itself).
+   *
+   * @param {object} event - { action, targetType, targetId, before, after, metadata, actor }
+   * @returns {Promise<object|null>} the stored row, or null if the write failed
+   */
+  async record(req, { action, targetType = null, targetId = null, before, after, metadata = {}, actor = null }) {
+    // Dates and other non-JSON values are stored (and hashed) in their JSON form
+    const entry = JSON.parse(JSON.stringify({
+      createdAt: new Date().toISOString(),
+      ...actorFrom(req),
+      ...(actor || {}),
+      action,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      changes: diff(before, after),
+      ipAddress: req ? req.ip || null : null,
+      userAgent: req ? req.get('User-Agent') || null : null,
+      metadata
+    }));
+
+    try {
+      return await this.db.appendAuditEntry(entry, prevHash => hashEntry(prevHash, entry));
+    } catch (error) {
+      this.logger.error(`Failed to write audit entry ${action}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware recording `action` once the response succeeded.
+   * `describe(req, res)` may add target, before/after and metadata; it runs
+   * before the handler, so `before` can capture the state being changed.
+   */
+  middleware(action, describe = () => ({})) {
+    return (req, res, next) => {
+      const details = describe(req, res);
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          this.record(req, { action, ...details });
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * A config reload: before/after of the added, removed and changed services.
+   */
+  recordConfigReload(req, event, config, previous) {
+    const touched = [...event.added, ...event.removed, ...event.changed];
+    const pick = source => Object.fromEntries(touched.filter(name => source[name]).map(name => [name, source[name]]));
+
+    return this.record(req, {
+      action: 'config.reload',
+      targetType: 'config',
+      targetId: 'apis.yaml',
+      before: pick(previous),
+      after: pick(config),
+      metadata: { source: event.source, added: event.added, removed: event.removed, changed: event.changed }
+    });
+  }
+
+  query(filters) {
+    return this.db.getAuditEntries(filters);
+  }
+
+  /**
+   * Recompute the chain from the first entry.
+   *
+   * @returns {Promise<{ valid: boolean, checked: number, lastId: number|null, brokenAt?: object }>}
+   */
+  async verify() {
+    let prevHash = AUDIT_GENESIS_HASH;
+    let afterId = null;
+    let checked = 0;
+
+    for (;;) {
+      const rows = await this.db.getAuditEntries({ afterId, order: 'asc', limit: VERIFY_BATCH });
+      for (const row of rows) {
+        if (row.prev_hash !== prevHash) {
+          return { valid: false, checked, lastId: afterId, brokenAt: { id: row.id, reason: 'previous entry missing or changed' } };
+        }
+        if (hashEntry(prevHash, fromRow(row)) !== row.hash) {
+          return { valid: false, checked, lastId: afterId, brokenAt: { id: row.id, reason: 'entry modified' } };
+        }
+        prevHash = row.hash;
+        afterId = row.id;
+        checked++;
+      }
+      if (rows.length < VERIFY_BATCH) break;
+    }
+
+    return { valid: true, checked, lastId: afterId };
+  }
+}
+
+module.exports = AuditLog;
+module.exports.hashEntry = hashEntry;
+module.exports.diff = diff;
+module.exports.canonicalJson = canonicalJson;
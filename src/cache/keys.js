@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Cache key layout for proxied responses
+ *
+ *   cache:<service>:<upstream path>:<query JSON>[:<METHOD>:<body sha256>][:vary:<headers JSON>][:v<version>]
+ *
+ * Query parameters are sorted by name, so the order a caller sends them in
+ * never splits an entry. The method/body suffix only appears for write
+ * methods opted in with `cacheMethods`, the vary and version suffixes only
+ * for services with `cacheKey.vary` / `cacheKey.version`. Everything a
+ * service caches still starts with `cache:<service>:`.
+ */
+
+const PREFIX = 'cache:';
+
+const KEY_PATTERN = /^cache:([^:]+):(.*?):(\{.*?\})(?::([A-Z]+):([0-9a-f]{64}|empty))?(?::vary:(\{.*\}))?(?::v(\d+))?$/;
+
+/**
+ * `vary` holds the request header values the entry depends on (lowercase
+ * names); `version` is the service's key version, if any.
+ */
+function buildCacheKey(service, path, method, query, body, { vary = null, version = null } = {}) {
+  let key = `${PREFIX}${service}:${path || 'default'}:${JSON.stringify(sortKeys(query))}`;
+
+  if (method !== 'GET') {
+    // Opted-in write methods are keyed by method and body as well
+    const bodyHash = body ? crypto.createHash('sha256').update(body).digest('hex') : 'empty';
+    key += `:${method}:${bodyHash}`;
+  }
+  if (vary && Object.keys(vary).length > 0) {
+    key += `:vary:${JSON.stringify(sortKeys(vary))}`;
+  }
+  if (version) {
+    key += `:v${version}`;
+  }
+  return key;
+}
+
+// Repeated parameters keep their order; only names are sorted
+function sortKeys(object) {
+  const sorted = {};
+  for (const name of Object.keys(object || {}).sort()) {
+    sorted[name] = object[name];
+  }
+  return sorted;
+}
+
+/**
+ * Key -> { service, path, query, method, vary, version }, or null for a key
+ * in another layout.
+ */
+function parseCacheKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) return null;
+
+  let query;
+  let vary = null;
+  try {
+    query = JSON.parse(match[3]);
+    if (match[6]) vary = JSON.parse(match[6]);
+  } catch (error) {
+    return null;
+  }
+  return {
+    service: match[1],
+    path: match[2],
+    query,
+    method: match[4] || 'GET',
+    vary,
+    version: match[7] ? Number(match[7]) : null
+  };
+}
+
+/**
+ * Escape Redis MATCH metacharacters so a value only matches itself.
+ */
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * MATCH pattern for a service's entries, or one action's (upstream path).
+ */
+function servicePattern(service, action = null) {
+  const path = action === null ? '*' : `${escapeGlob(action.replace(/^\/+/, ''))}:{`;
+  return `${PREFIX}${escapeGlob(service)}:${path}*`;
+}
+
+/**
+ * MATCH pattern for a caller-supplied glob, confined to cache entries.
+ */
+function scopedPattern(glob) {
+  return `${PREFIX}${String(glob).replace(/^cache:/, '')}`;
+}
+
+function isCacheKey(key) {
+  return typeof key === 'string' && key.startsWith(PREFIX);
+}
+
+module.exports = {
+  PREFIX,
+  buildCacheKey,
+  parseCacheKey,
+  escapeGlob,
+  servicePattern,
+  scopedPattern,
+  isCacheKey
+};
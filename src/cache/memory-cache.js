@@ -0,0 +1,137 @@
+/**
+ * In-process LRU cache bounded by total bytes and by entry count
+ *
+ * Sizes are supplied by the caller (the serialized length of the value), so
+ * `maxBytes` budgets what the entries cost to store, not V8's exact heap use.
+ * Map insertion order doubles as recency order: a hit moves the entry to the
+ * back, eviction takes from the front. Expired entries are dropped when read
+ * or when they reach the front.
+ */
+
+const DEFAULTS = {
+  maxBytes: parseInt(process.env.L1_CACHE_MAX_BYTES) || 64 * 1024 * 1024,
+  maxEntries: parseInt(process.env.L1_CACHE_MAX_ENTRIES) || 10000
+};
+
+class MemoryCache {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * The value for `key`, or undefined when missing or expired.
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expires <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Most recently used goes last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Keep `value` for `ttl` seconds. Values larger than the whole budget are
+   * not stored; anything else evicts least recently used entries to fit.
+   */
+  set(key, value, ttl, size) {
+    this.delete(key);
+    if (!(ttl > 0) || size > this.options.maxBytes) return false;
+
+    this.entries.set(key, { value, size, expires: Date.now() + ttl * 1000 });
+    this.bytes += size;
+    this.evict();
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Drop every key matching a Redis-style glob; returns how many were dropped.
+   */
+  deleteMatching(pattern) {
+    const regex = globToRegExp(pattern);
+    let deleted = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (regex.test(key) && this.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  evict() {
+    const { maxBytes, maxEntries } = this.options;
+    while (this.bytes > maxBytes || this.entries.size > maxEntries) {
+      const [oldest, entry] = this.entries.entries().next().value;
+      this.delete(oldest);
+      // Expired entries leaving are not evictions
+      if (entry.expires > Date.now()) this.evictions++;
+    }
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.options.maxBytes,
+      maxEntries: this.options.maxEntries,
+      evictions: this.evictions
+    };
+  }
+}
+
+/**
+ * Redis MATCH syntax (`*`, `?`, `[...]`, backslash escapes) as a RegExp.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const set = glob.slice(i + 1, end);
+      source += `[${set[0] === '^' ? '^' + escapeClass(set.slice(1)) : escapeClass(set)}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Inside a set only ranges (a-z) keep their meaning
+function escapeClass(value) {
+  return value.replace(/[\]\\^]/g, '\\$&');
+}
+
+module.exports = MemoryCache;
+module.exports.globToRegExp = globToRegExp;
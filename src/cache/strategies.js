@@ -1,39 +1,239 @@
+const crypto = require('crypto');
+const MemoryCache = require('./memory-cache');
+const { escapeGlob } = require('./keys');
+
 /**
  * Advanced caching strategies for Free API Hub
+ *
+ * Two tiers: Redis (L2) is shared by every instance; callers passing an
+ * `l1TTL` also keep fresh entries in process memory (L1, see memory-cache.js)
+ * for at most that long. Purges clear L1 here and, through the
+ * INVALIDATION_CHANNEL, on every other instance.
  */
 
+// Pub/sub channel carrying L1 invalidations between instances
+const INVALIDATION_CHANNEL = 'cache-invalidation';
+
+const COALESCE_DEFAULTS = {
+  lockTimeout: 10000,  // ms a fill lock is held before another instance may take over
+  lockWait: 5000,      // ms to wait for another instance's fill before fetching ourselves
+  pollInterval: 100    // ms between cache polls while waiting
+};
+
+// Delete the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 class CacheStrategies {
-  constructor(redis, logger) {
+  constructor(redis, logger, { l1, ...options } = {}) {
     this.redis = redis;
     this.logger = logger;
+    this.options = { ...COALESCE_DEFAULTS, ...options };
+
+    this.l1 = new MemoryCache(l1);
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.tiers = { l1Hits: 0, l2Hits: 0, misses: 0 };
+
+    // Single-flight: cache key -> pending fill shared by concurrent misses
+    this.inflight = new Map();
+    this.coalescing = {
+      local: 0,        // waited on a fill in this process
+      remote: 0,       // served from a fill done by another instance
+      waitTimeouts: 0  // gave up waiting and fetched anyway
+    };
   }
 
   /**
    * Standard cache-aside (lazy loading)
+   *
+   * `ttl` may also be a function of the fetched data returning seconds;
+   * returning 0 skips storing that value (e.g. an oversized upstream body).
+   * With `l1TTL` hits are kept in memory for up to that many seconds.
    */
-  async cacheAside(key, fetchFn, ttl = 300) {
+  async cacheAside(key, fetchFn, ttl = 300, { l1TTL = 0 } = {}) {
+    const local = this.readLocal(key, l1TTL);
+    if (local !== undefined) {
+      return { data: local, cached: true };
+    }
+
+    // Try cache first
     try {
-      // Try cache first
-      const cached = await this.redis.get(key);
+      const [cached, timeToLive] = await Promise.all([
+        this.redis.get(key),
+        l1TTL > 0 ? this.redis.ttl(key) : -1
+      ]);
       if (cached) {
+        this.tiers.l2Hits++;
         this.logger.info(`Cache HIT: ${key}`);
-        return { data: JSON.parse(cached), cached: true };
+        const data = this.decode(cached);
+        this.promote(key, data, timeToLive > 0 ? Math.min(l1TTL, timeToLive) : l1TTL, cached);
+        return { data, cached: true };
+      }
+    } catch (error) {
+      // Cache read failure - fall through to a fresh fetch
+      this.logger.error('Cache-aside read error:', error);
+    }
+
+    // Cache miss - one fetch per key, however many requests missed at once
+    this.tiers.misses++;
+    return this.coalesce(key, () => this.fill(key, fetchFn, ttl, { l1TTL }));
+  }
+
+  /**
+   * L1 lookup; only for callers that use L1 (`l1TTL` > 0).
+   */
+  readLocal(key, l1TTL) {
+    if (!(l1TTL > 0)) return undefined;
+
+    const data = this.l1.get(key);
+    if (data !== undefined) {
+      this.tiers.l1Hits++;
+      this.logger.info(`Cache HIT (L1): ${key}`);
+    }
+    return data;
+  }
+
+  /**
+   * Copy a fresh value into L1 for `seconds`, sized by its serialized form.
+   */
+  promote(key, data, seconds, raw = null) {
+    if (!(seconds > 0)) return;
+    this.l1.set(key, data, seconds, Buffer.byteLength(raw ?? this.encode(data)));
+  }
+
+  /**
+   * Share one pending fill between all concurrent callers in this process.
+   * Followers get the leader's result flagged with `coalesced: true`.
+   */
+  async coalesce(key, fillFn) {
+    const pending = this.inflight.get(key);
+    if (pending) {
+      this.coalescing.local++;
+      this.logger.info(`Cache COALESCED: ${key}`);
+      const result = await pending;
+      return { ...result, coalesced: true };
+    }
+
+    const fill = fillFn();
+    this.inflight.set(key, fill);
+    try {
+      return await fill;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  /**
+   * Fetch and store a missing key under a Redis lock, so that only one
+   * instance calls the upstream. Other instances poll the cache until the
+   * value lands, the lock is released, or lockWait runs out - then they
+   * fetch themselves. With `wait: false` a held lock just returns null.
+   * `staleTTL` keeps the entry that many seconds past its TTL and
+   * `previous` is the stale value being replaced (see staleWhileRevalidate);
+   * `fetchFn` receives it decoded, e.g. to revalidate it conditionally.
+   * With `l1TTL` the new value is also kept in L1 (never past its fresh TTL).
+   */
+  async fill(key, fetchFn, ttl, { wait = true, staleTTL = 0, previous = null, l1TTL = 0 } = {}) {
+    const token = await this.acquireLock(key);
+
+    if (token === null) {
+      if (!wait) return null;
+
+      const filled = await this.waitForFill(key, previous);
+      if (filled !== undefined) {
+        this.coalescing.remote++;
+        this.logger.info(`Cache COALESCED (remote): ${key}`);
+        return { data: filled, cached: true, coalesced: true };
       }
+    }
 
-      // Cache miss - fetch data
+    try {
+      // Fetch errors propagate; retrying here would hit the upstream twice
       this.logger.info(`Cache MISS: ${key}`);
-      const data = await fetchFn();
-      
-      // Store in cache
-      await this.redis.setEx(key, ttl, JSON.stringify(data));
+      const data = await fetchFn(previous ? this.decode(previous) : undefined);
+
+      try {
+        const seconds = await this.store(key, data, ttl, staleTTL);
+        if (l1TTL > 0) this.promote(key, data, Math.min(l1TTL, seconds));
+      } catch (error) {
+        this.logger.error('Cache write error:', error);
+      }
       return { data, cached: false };
+    } finally {
+      if (token) {
+        await this.releaseLock(key, token);
+      }
+    }
+  }
+
+  lockKey(key) {
+    return `lock:${key}`;
+  }
+
+  /**
+   * Returns our lock token, null when another instance holds the lock, or
+   * false when Redis is unavailable (the fill then goes ahead unlocked).
+   */
+  async acquireLock(key) {
+    const token = crypto.randomBytes(8).toString('hex');
+    try {
+      const acquired = await this.redis.set(this.lockKey(key), token, {
+        NX: true,
+        PX: this.options.lockTimeout
+      });
+      return acquired ? token : null;
     } catch (error) {
-      this.logger.error('Cache-aside error:', error);
-      // Return fresh data on cache failure
-      return { data: await fetchFn(), cached: false };
+      this.logger.error('Cache lock error:', error);
+      return false;
+    }
+  }
+
+  async releaseLock(key, token) {
+    try {
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [this.lockKey(key)],
+        arguments: [token]
+      });
+    } catch (error) {
+      // The lock expires on its own after lockTimeout
+      this.logger.error('Cache unlock error:', error);
     }
   }
 
+  /**
+   * Poll for a value filled by another instance. Resolves undefined when
+   * the lock went away without a new value (fetch failed or was not
+   * cacheable) or lockWait elapsed.
+   */
+  async waitForFill(key, previous = null) {
+    const deadline = Date.now() + this.options.lockWait;
+
+    while (Date.now() < deadline) {
+      await sleep(this.options.pollInterval);
+      try {
+        const [cached, locked] = await Promise.all([
+          this.redis.get(key),
+          this.redis.exists(this.lockKey(key))
+        ]);
+        if (cached && cached !== previous) return this.decode(cached);
+        if (!locked) return undefined;
+      } catch (error) {
+        this.logger.error('Cache poll error:', error);
+        return undefined;
+      }
+    }
+
+    this.coalescing.waitTimeouts++;
+    this.logger.warn(`Timed out waiting for cache fill: ${key}`);
+    return undefined;
+  }
+
   /**
    * Write-through cache (update cache on write)
    */
@@ -43,7 +243,7 @@ class CacheStrategies {
       await writeFn(data);
       
       // Then update cache
-      await this.redis.setEx(key, ttl, JSON.stringify(data));
+      await this.redis.setEx(key, ttl, this.encode(data));
       this.logger.info(`Write-through cache updated: ${key}`);
       return true;
     } catch (error) {
@@ -58,7 +258,7 @@ class CacheStrategies {
   async writeBehind(key, data, writeFn, ttl = 300) {
     try {
       // Update cache immediately
-      await this.redis.setEx(key, ttl, JSON.stringify(data));
+      await this.redis.setEx(key, ttl, this.encode(data));
       this.logger.info(`Write-behind cache updated: ${key}`);
       
       // Write to database asynchronously
@@ -78,16 +278,28 @@ class CacheStrategies {
   }
 
   /**
-   * Cache warming - preload frequently accessed data
+   * Cache warming - refresh frequently accessed keys ahead of demand
+   *
+   * Entries are `{ key, fetchFn, ttl, staleTTL, l1TTL }` as for fill(). The
+   * current value is handed to `fetchFn` (to revalidate it conditionally);
+   * keys that are already being filled elsewhere come back `skipped`.
    */
   async warmCache(entries) {
     const results = [];
-    for (const { key, fetchFn, ttl } of entries) {
+    for (const { key, fetchFn, ttl, staleTTL = 0, l1TTL = 0 } of entries) {
       try {
-        const data = await fetchFn();
-        await this.redis.setEx(key, ttl, JSON.stringify(data));
-        results.push({ key, status: 'warmed' });
-        this.logger.info(`Cache warmed: ${key}`);
+        let previous = null;
+        try {
+          previous = await this.redis.get(key);
+        } catch (error) {
+          this.logger.error('Cache warming read error:', error);
+        }
+
+        const filled = await this.coalesce(key, () =>
+          this.fill(key, fetchFn, ttl, { wait: false, staleTTL, previous, l1TTL })
+        );
+        results.push({ key, status: filled ? 'warmed' : 'skipped' });
+        this.logger.info(`Cache ${filled ? 'warmed' : 'warming skipped'}: ${key}`);
       } catch (error) {
         results.push({ key, status: 'failed', error: error.message });
         this.logger.error(`Cache warming failed for ${key}:`, error);
@@ -97,105 +309,132 @@ class CacheStrategies {
   }
 
   /**
-   * Multi-level cache (L1: memory, L2: Redis)
+   * Refresh-ahead cache (proactive refresh before expiry)
+   *
+   * Once `refreshThreshold` of an entry's TTL has passed, hits trigger a
+   * background refetch (handed the current entry, so it can revalidate).
+   * L1 copies of hits (`l1TTL`) end at that point so they do not hide it.
    */
-  createMultiLevel() {
-    const memoryCache = new Map();
-    const maxMemoryEntries = 100;
+  async refreshAhead(key, fetchFn, ttl = 300, { refreshThreshold = 0.8, l1TTL = 0 } = {}) {
+    const local = this.readLocal(key, l1TTL);
+    if (local !== undefined) {
+      return { data: local, cached: true };
+    }
 
-    return {
-      async get(key) {
-        // L1: Check memory
-        if (memoryCache.has(key)) {
-          const entry = memoryCache.get(key);
-          if (entry.expires > Date.now()) {
-            return { data: entry.data, level: 'L1', cached: true };
-          }
-          memoryCache.delete(key);
-        }
+    let timeToLive = -2;
+    let cached = null;
+    try {
+      timeToLive = await this.redis.ttl(key);
+      cached = await this.redis.get(key);
+    } catch (error) {
+      this.logger.error('Refresh-ahead read error:', error);
+    }
 
-        // L2: Check Redis
-        try {
-          const cached = await this.redis.get(key);
-          if (cached) {
-            const data = JSON.parse(cached);
-            // Promote to L1
-            if (memoryCache.size >= maxMemoryEntries) {
-              const firstKey = memoryCache.keys().next().value;
-              memoryCache.delete(firstKey);
-            }
-            memoryCache.set(key, {
-              data,
-              expires: Date.now() + 60000 // 1 minute in memory
-            });
-            return { data, level: 'L2', cached: true };
-          }
-        } catch (error) {
-          this.logger.error('L2 cache error:', error);
-        }
+    if (cached) {
+      this.tiers.l2Hits++;
+      this.logger.info(`Cache HIT: ${key}`);
+      const data = this.decode(cached);
+      // Seconds until the refresh point (entries without expiry are never refreshed)
+      const untilRefresh = timeToLive > 0 ? timeToLive - this.resolveTTL(ttl, data) * (1 - refreshThreshold) : Infinity;
 
-        return null;
-      },
+      // Skip when a refresh (here or on another instance) is already running
+      if (untilRefresh <= 0) {
+        this.logger.info(`Refresh-ahead triggered for: ${key}`);
+        this.refreshInBackground(key, fetchFn, ttl, { previous: cached, l1TTL });
+      } else {
+        this.promote(key, data, Math.min(l1TTL, Math.floor(untilRefresh)), cached);
+      }
+      return { data, cached: true };
+    }
 
-      async set(key, data, ttl = 300) {
-        // Store in both levels
-        memoryCache.set(key, {
-          data,
-          expires: Date.now() + 60000
-        });
-        
-        try {
-          await this.redis.setEx(key, ttl, JSON.stringify(data));
-        } catch (error) {
-          this.logger.error('L2 cache set error:', error);
-        }
-      },
+    // No cache - fetch and store, coalesced like cacheAside
+    this.tiers.misses++;
+    return this.coalesce(key, () => this.fill(key, fetchFn, ttl, { l1TTL }));
+  }
 
-      clear() {
-        memoryCache.clear();
-      },
+  /**
+   * Refetch a key without making the caller wait. Skipped when a refresh
+   * (here or on another instance) is already running.
+   */
+  refreshInBackground(key, fetchFn, ttl, { staleTTL = 0, previous = null, l1TTL = 0 } = {}) {
+    if (this.inflight.has(key)) return;
 
-      stats() {
-        return {
-          l1Size: memoryCache.size,
-          l1MaxSize: maxMemoryEntries
-        };
+    setImmediate(async () => {
+      try {
+        await this.coalesce(key, () => this.fill(key, fetchFn, ttl, { wait: false, staleTTL, previous, l1TTL }));
+      } catch (error) {
+        this.logger.error(`Background refresh failed for ${key}: ${error.message}`);
       }
-    };
+    });
   }
 
   /**
-   * Refresh-ahead cache (proactive refresh before expiry)
+   * Stale-while-revalidate with serve-stale-on-error
+   *
+   * Entries are kept `staleTTL`, `staleIfError` or `revalidateTTL` seconds
+   * (whichever is longest) past their TTL. Within `staleTTL` an expired entry
+   * is returned at once and refreshed in the background (refresh-ahead with
+   * the threshold at expiry). Past that, the fetch runs inline; if it fails
+   * within `staleIfError` and `isStaleable(error)` agrees, the old entry is
+   * served instead of the error. Refreshes hand the old entry to `fetchFn`,
+   * which is what `revalidateTTL` keeps it around for. Only fresh entries
+   * reach L1 (`l1TTL`).
+   *
+   * Stale results carry `stale: 'revalidating' | 'error'`.
    */
-  async refreshAhead(key, fetchFn, ttl = 300, refreshThreshold = 0.8) {
+  async staleWhileRevalidate(key, fetchFn, ttl = 300, {
+    staleTTL = 0,
+    staleIfError = staleTTL,
+    revalidateTTL = 0,
+    l1TTL = 0,
+    isStaleable = () => true
+  } = {}) {
+    const keep = Math.max(staleTTL, staleIfError, revalidateTTL);
+
+    const local = this.readLocal(key, l1TTL);
+    if (local !== undefined) {
+      return { data: local, cached: true };
+    }
+
+    let timeToLive = -2;
+    let cached = null;
     try {
-      const timeToLive = await this.redis.ttl(key);
-      const cached = await this.redis.get(key);
+      timeToLive = await this.redis.ttl(key);
+      cached = await this.redis.get(key);
+    } catch (error) {
+      this.logger.error('Stale-while-revalidate read error:', error);
+    }
 
-      if (cached) {
-        // Check if refresh is needed (80% of TTL passed)
-        if (timeToLive > 0 && timeToLive < ttl * (1 - refreshThreshold)) {
-          this.logger.info(`Refresh-ahead triggered for: ${key}`);
-          // Refresh in background
-          setImmediate(async () => {
-            try {
-              const freshData = await fetchFn();
-              await this.redis.setEx(key, ttl, JSON.stringify(freshData));
-            } catch (error) {
-              this.logger.error('Refresh-ahead failed:', error);
-            }
-          });
-        }
-        return { data: JSON.parse(cached), cached: true };
-      }
+    if (!cached) {
+      this.tiers.misses++;
+      return this.coalesce(key, () => this.fill(key, fetchFn, ttl, { staleTTL: keep, l1TTL }));
+    }
 
-      // No cache - fetch and store
-      const data = await fetchFn();
-      await this.redis.setEx(key, ttl, JSON.stringify(data));
-      return { data, cached: false };
+    const data = this.decode(cached);
+    // Seconds since the entry stopped being fresh (entries without expiry never go stale)
+    const staleFor = timeToLive > 0 ? keep - timeToLive : -1;
+
+    if (staleFor < 0) {
+      this.tiers.l2Hits++;
+      this.logger.info(`Cache HIT: ${key}`);
+      this.promote(key, data, timeToLive > 0 ? Math.min(l1TTL, -staleFor) : l1TTL, cached);
+      return { data, cached: true };
+    }
+
+    if (staleFor < staleTTL) {
+      this.tiers.l2Hits++;
+      this.logger.info(`Cache STALE: ${key} (revalidating)`);
+      this.refreshInBackground(key, fetchFn, ttl, { staleTTL: keep, previous: cached, l1TTL });
+      return { data, cached: true, stale: 'revalidating' };
+    }
+
+    this.tiers.misses++;
+    try {
+      return await this.coalesce(key, () => this.fill(key, fetchFn, ttl, { staleTTL: keep, previous: cached, l1TTL }));
     } catch (error) {
-      this.logger.error('Refresh-ahead error:', error);
-      return { data: await fetchFn(), cached: false };
+      if (staleFor >= staleIfError || !isStaleable(error)) throw error;
+      this.logger.warn(`Serving stale ${key} after failed refresh: ${error.message}`);
+      return { data, cached: true, stale: 'error' };
     }
   }
 
@@ -221,6 +460,9 @@ class CacheStrategies {
         }
       } while (cursor !== 0);
 
+      this.l1.deleteMatching(pattern);
+      await this.publishInvalidation({ pattern });
+
       this.logger.info(`Invalidated ${deleted} keys matching pattern: ${pattern}`);
       return deleted;
     } catch (error) {
@@ -229,6 +471,119 @@ class CacheStrategies {
     }
   }
 
+  /**
+   * One page of keys matching `pattern` with their TTL and size in bytes.
+   * Pass the returned `cursor` back for the next page; 0 means done.
+   */
+  async listKeys(pattern, { cursor = 0, limit = 100 } = {}) {
+    const keys = [];
+    let next = cursor;
+
+    // SCAN pages may come back empty or short; keep going until the page is full
+    do {
+      const result = await this.redis.scan(next, { MATCH: pattern, COUNT: 100 });
+      next = result.cursor;
+      keys.push(...result.keys);
+    } while (next !== 0 && keys.length < limit);
+
+    const entries = await Promise.all(keys.map(async (key) => {
+      const [ttl, size] = await Promise.all([this.redis.ttl(key), this.redis.strLen(key)]);
+      return { key, ttl, size };
+    }));
+
+    // Keys that expired between SCAN and TTL are dropped
+    return { cursor: next, keys: entries.filter(entry => entry.ttl !== -2) };
+  }
+
+  /**
+   * A single entry with its TTL and size, or null when it does not exist.
+   * `value` is the stored JSON (binary bodies stay base64 under `__buffer`).
+   */
+  async inspect(key) {
+    const [raw, ttl] = await Promise.all([this.redis.get(key), this.redis.ttl(key)]);
+    if (raw === null) return null;
+    return { key, ttl, size: Buffer.byteLength(raw), value: JSON.parse(raw) };
+  }
+
+  /**
+   * Give an existing key a new TTL in seconds. Resolves the previous TTL,
+   * or null when the key does not exist.
+   */
+  async setTTL(key, seconds) {
+    const previous = await this.redis.ttl(key);
+    if (previous === -2) return null;
+
+    const updated = await this.redis.expire(key, seconds);
+    if (!updated) return null;
+
+    // L1 copies were sized to the old TTL
+    this.l1.delete(key);
+    await this.publishInvalidation({ pattern: escapeGlob(key) });
+
+    this.logger.info(`Cache TTL of ${key} set to ${seconds}s (was ${previous}s)`);
+    return previous;
+  }
+
+  /**
+   * Tell the other instances to drop matching L1 entries. Best effort: their
+   * copies expire after l1TTL anyway.
+   */
+  async publishInvalidation({ pattern }) {
+    try {
+      await this.redis.publish(INVALIDATION_CHANNEL, JSON.stringify({ pattern, origin: this.instanceId }));
+    } catch (error) {
+      this.logger.error('Cache invalidation publish failed:', error);
+    }
+  }
+
+  /**
+   * INVALIDATION_CHANNEL message from any instance (our own are skipped).
+   */
+  handleInvalidation(message) {
+    try {
+      const { pattern, origin } = JSON.parse(message);
+      if (origin === this.instanceId || typeof pattern !== 'string') return;
+      const dropped = this.l1.deleteMatching(pattern);
+      this.logger.debug(`L1 invalidation ${pattern}: ${dropped} entries dropped`);
+    } catch (error) {
+      this.logger.error('Bad cache invalidation message:', error);
+    }
+  }
+
+  /**
+   * Store a value, resolving a TTL function against it first.
+   * Nothing is written when the TTL resolves to 0; otherwise the key lives
+   * `staleTTL` seconds longer than its fresh TTL.
+   */
+  async store(key, data, ttl, staleTTL = 0) {
+    const seconds = this.resolveTTL(ttl, data);
+    if (seconds > 0) {
+      await this.redis.setEx(key, seconds + staleTTL, this.encode(data));
+    }
+    return seconds;
+  }
+
+  resolveTTL(ttl, data) {
+    const seconds = typeof ttl === 'function' ? ttl(data) : ttl;
+    return Math.max(0, Math.floor(seconds || 0));
+  }
+
+  /**
+   * Serialize for Redis. Buffers (binary upstream bodies) are kept as base64.
+   */
+  encode(data) {
+    return JSON.stringify(data, function (key, value) {
+      const raw = this[key];
+      return Buffer.isBuffer(raw) ? { __buffer: raw.toString('base64') } : value;
+    });
+  }
+
+  decode(raw) {
+    return JSON.parse(raw, (key, value) =>
+      value && typeof value.__buffer === 'string' ? Buffer.from(value.__buffer, 'base64') : value
+    );
+  }
+
   /**
    * Get cache statistics
    */
@@ -243,6 +598,8 @@ class CacheStrategies {
         misses: this.extractStat(info, 'keyspace_misses'),
         hitRate: this.calculateHitRate(info),
         memory: this.extractStat(memory, 'used_memory_human'),
+        coalesced: this.getCoalescingStats(),
+        tiers: this.getTierStats(),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -251,6 +608,34 @@ class CacheStrategies {
     }
   }
 
+  /**
+   * Requests that shared another request's upstream fetch instead of making their own
+   */
+  getCoalescingStats() {
+    const { local, remote, waitTimeouts } = this.coalescing;
+    return {
+      total: local + remote,
+      local,
+      remote,
+      waitTimeouts,
+      inflight: this.inflight.size
+    };
+  }
+
+  /**
+   * Proxy lookups answered from memory (L1) and from Redis (L2), and misses
+   */
+  getTierStats() {
+    const { l1Hits, l2Hits, misses } = this.tiers;
+    const total = l1Hits + l2Hits + misses;
+    return {
+      l1: { hits: l1Hits, ...this.l1.stats() },
+      l2: { hits: l2Hits },
+      misses,
+      l1HitRate: total > 0 ? ((l1Hits / total) * 100).toFixed(2) : '0'
+    };
+  }
+
   extractStat(info, key) {
     const match = info.match(new RegExp(`${key}:(\\S+)`));
     return match ? match[1] : '0';
@@ -265,3 +650,4 @@ class CacheStrategies {
 }
 
 module.exports = CacheStrategies;
+module.exports.INVALIDATION_CHANNEL = INVALIDATION_CHANNEL;
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { resolveUpstreamPath, isPathAllowed } = require('../proxy/path');
+const { validateQuery } = require('../proxy/actions');
+const { fetchUpstream } = require('../proxy/fetch');
+const { entryTTL, cacheOptions, cacheKeyFor } = require('../proxy/cache-policy');
+const { credentialParamNames, redact } = require('../config/secrets');
+
+/**
+ * Scheduled cache warming for the hot requests listed under `warm` in apis.yaml
+ *
+ *   crypto:
+ *     warm:
+ *       - path: simple/price?ids=bitcoin&vs_currencies=usd
+ *         interval: 30
+ *
+ * Each entry is refetched every `interval` seconds through the same
+ * pipeline as a proxied GET (credentials, circuit breaker, retries,
+ * conditional revalidation) and stored under the key a caller's request
+ * reads, so callers keep hitting a fresh entry.
+ *
+ * Warm fetches count against the service's rateLimit under their own
+ * identity (`warmer`); a round that would exceed it is skipped. With several
+ * instances, a Redis lock (`warm:<cache key>`) lets one of them warm each
+ * entry per interval - the others report `skipped`.
+ */
+
+const IDENTITY = 'warmer';
+const LOCK_PREFIX = 'warm:';
+
+/**
+ * A `warm` entry -> { path, encoded, query, key }. Throws on a path the
+ * proxy would reject or a query that fails the service's declared actions.
+ */
+function compileWarmEntry(service, api, { path: target }) {
+  const [rawPath, queryString = ''] = target.split('?');
+  const upstreamPath = resolveUpstreamPath(rawPath.split('/'));
+
+  if (!isPathAllowed(upstreamPath.path, api.paths)) {
+    throw new Error(`path ${upstreamPath.path} is not allowed by paths`);
+  }
+
+  // Same shape Express gives req.query: repeated names become arrays
+  let query = {};
+  for (const [name, value] of new URLSearchParams(queryString)) {
+    query[name] = name in query ? [].concat(query[name], value) : value;
+  }
+  for (const name of credentialParamNames(api)) {
+    delete query[name];
+  }
+
+  const validation = validateQuery(api, upstreamPath.path, 'GET', query);
+  if (validation.errors) {
+    throw new Error(validation.errors.map(e => e.message).join('; '));
+  }
+  query = validation.query;
+
+  return {
+    path: upstreamPath.path,
+    encoded: upstreamPath.encoded,
+    query,
+    // Warm requests carry no caller headers: they fill the entry for callers sending none of `cacheKey.vary`
+    key: cacheKeyFor(service, api, { path: upstreamPath.path, query })
+  };
+}
+
+/**
+ * Requests per rateLimitWindow the warm schedule needs at most.
+ */
+function warmRequestsPerWindow(api, window) {
+  return (api.warm || []).reduce((sum, entry) => sum + Math.ceil(window / entry.interval), 0);
+}
+
+class CacheWarmer {
+  constructor(config, { cacheStrategies, circuitBreaker, rateLimiter, secrets, redis, logger }) {
+    this.config = config;
+    this.cacheStrategies = cacheStrategies;
+    this.circuitBreaker = circuitBreaker;
+    this.rateLimiter = rateLimiter;
+    this.secrets = secrets;
+    this.redis = redis;
+    this.logger = logger;
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.timers = new Map();
+    // `service|path` -> entry state
+    this.state = new Map();
+  }
+
+  entries() {
+    const entries = [];
+    for (const [service, api] of Object.entries(this.config)) {
+      (api.warm || []).forEach((entry) => entries.push({ service, api, entry, id: `${service}|${entry.path}` }));
+    }
+    return entries;
+  }
+
+  start() {
+    const entries = this.entries();
+    this.running = true;
+
+    entries.forEach(({ service, api, entry, id }, index) => {
+      const state = this.state.get(id) || { service, path: entry.path, runs: 0, failures: 0, lastRun: null };
+      state.interval = entry.interval;
+      this.state.set(id, state);
+
+      try {
+        Object.assign(state, compileWarmEntry(service, api, entry), { error: null });
+      } catch (error) {
+        // The config schema checks this too; keep the rest of the schedule running
+        Object.assign(state, { status: 'invalid', error: error.message });
+        this.logger.warn(`Cache warming ${service}/${entry.path} disabled: ${error.message}`);
+        return;
+      }
+      if (!state.status || state.status === 'invalid') state.status = 'pending';
+
+      // Spread the first round over a few seconds
+      const initialDelay = Math.min(index * 500, entry.interval * 1000);
+      state.nextRun = Date.now() + initialDelay;
+      const timer = setTimeout(() => {
+        this.warm(id);
+        this.timers.set(id, setInterval(() => this.warm(id), entry.interval * 1000));
+      }, initialDelay);
+      this.timers.set(id, timer);
+    });
+
+    if (entries.length > 0) {
+      this.logger.info(`Cache warming scheduled for ${entries.length} requests`);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    this.timers.clear();
+    this.running = false;
+  }
+
+  /**
+   * Switch to a new services config (hot reload). Results are kept for
+   * entries that are still configured.
+   */
+  reload(config) {
+    const wasRunning = this.running;
+    this.stop();
+    this.config = config;
+
+    const ids = new Set(this.entries().map(({ id }) => id));
+    for (const id of this.state.keys()) {
+      if (!ids.has(id)) this.state.delete(id);
+    }
+
+    if (wasRunning) this.start();
+  }
+
+  /**
+   * Refresh one entry now. Resolves its state.
+   */
+  async warm(id) {
+    const state = this.state.get(id);
+    if (!state || state.status === 'invalid') return state || null;
+
+    const api = this.config[state.service];
+    if (!api) return state;
+
+    state.nextRun = Date.now() + state.interval * 1000;
+    const started = Date.now();
+
+    try {
+      // One instance per interval; the lock expires just before the next round
+      const locked = await this.redis.set(`${LOCK_PREFIX}${state.key}`, this.instanceId, {
+        NX: true,
+        PX: Math.max(1000, state.interval * 1000 - 500)
+      });
+      if (!locked) {
+        return this.record(state, { status: 'skipped', started, error: null });
+      }
+
+      const rate = await this.rateLimiter.consume(state.service, IDENTITY, this.rateLimiter.options(api));
+      if (!rate.allowed) {
+        return this.record(state, { status: 'rate_limited', started, error: `Retry in ${rate.retryAfter}s` });
+      }
+
+      let revalidated = false;
+      const { keep, l1TTL } = cacheOptions(api);
+      const [result] = await this.cacheStrategies.warmCache([{
+        key: state.key,
+        ttl: entryTTL(api),
+        staleTTL: keep,
+        l1TTL,
+        fetchFn: (previous) => fetchUpstream({
+          service: state.service,
+          api,
+          upstreamPath: { path: state.path, encoded: state.encoded },
+          query: state.query,
+          previous,
+          onNotModified: () => { revalidated = true; }
+        }, { circuitBreaker: this.circuitBreaker, secrets: this.secrets, logger: this.logger })
+      }]);
+
+      if (result.status === 'failed') {
+        return this.record(state, { status: 'failed', started, error: redact(result.error) });
+      }
+      return this.record(state, {
+        status: result.status === 'warmed' && revalidated ? 'revalidated' : result.status,
+        started,
+        error: null
+      });
+    } catch (error) {
+      return this.record(state, { status: 'failed', started, error: redact(error.message) });
+    }
+  }
+
+  record(state, { status, started, error }) {
+    const previous = state.status;
+    state.status = status;
+    state.error = error;
+    state.lastRun = started;
+    state.latency = Date.now() - started;
+    state.runs++;
+
+    if (status === 'failed') {
+      state.failures++;
+      if (previous !== 'failed') {
+        this.logger.warn(`Cache warming ${state.service}/${state.path} failed: ${error}`);
+      }
+    } else if (status === 'warmed' || status === 'revalidated') {
+      state.lastSuccess = started;
+    }
+    return state;
+  }
+
+  getStatus() {
+    return [...this.state.values()].map(state => ({
+      service: state.service,
+      path: state.path,
+      key: state.key || null,
+      interval: state.interval,
+      status: state.status,
+      lastRun: state.lastRun ? new Date(state.lastRun).toISOString() : null,
+      lastSuccess: state.lastSuccess ? new Date(state.lastSuccess).toISOString() : null,
+      nextRun: this.running && state.nextRun ? new Date(state.nextRun).toISOString() : null,
+      latency: state.latency ?? null,
+      runs: state.runs,
+      failures: state.failures,
+      error: state.error
+    }));
+  }
+}
+
+module.exports = CacheWarmer;
+module.exports.compileWarmEntry = compileWarmEntry;
+module.exports.warmRequestsPerWindow = warmRequestsPerWindow;
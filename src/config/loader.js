@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { EventEmitter } = require('events');
+const { configSchema } = require('./schema');
+
+/**
+ * Loads, validates and hot-reloads config/apis.yaml
+ *
+ * `loader.config` always holds the last valid config. A reload parses and
+ * validates the whole file first and swaps the object in one assignment, so
+ * requests see either the old or the new config, never a mix. An invalid
+ * edit is logged and the previous config stays active.
+ *
+ * Events: 'reload' ({ services, added, removed, changed, source }, config,
+ * previousConfig) and 'invalid' ({ errors, source }). `source` is 'watcher'
+ * for file changes, or whatever the caller of reload() passed.
+ */
+
+class ConfigValidationError extends Error {
+  constructor(file, errors) {
+    super(`Invalid config in ${file}:\n  ${errors.map(e => e.message).join('\n  ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+class ConfigLoader extends EventEmitter {
+  constructor(file, logger, { debounce = 250 } = {}) {
+    super();
+    this.file = path.resolve(file);
+    this.logger = logger;
+    this.debounce = debounce;
+    this.config = {};
+    this.raw = null;
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  /**
+   * Initial load; throws ConfigValidationError (or a read/parse error).
+   */
+  load() {
+    const { config, raw } = this.read();
+    this.config = config;
+    this.raw = raw;
+    this.logger.info(`Loaded ${Object.keys(config).length} API services from ${path.basename(this.file)}`);
+    return config;
+  }
+
+  read() {
+    const raw = fs.readFileSync(this.file, 'utf8');
+
+    let parsed;
+    try {
+      parsed = yaml.parse(raw);
+    } catch (error) {
+      throw new ConfigValidationError(this.file, [{ service: null, key: null, message: `YAML syntax: ${error.message.split('\n')[0]}` }]);
+    }
+
+    const { value, error } = configSchema.validate(parsed || {}, {
+      abortEarly: false,
+      convert: true,
+      errors: { label: false }
+    });
+    if (error) {
+      throw new ConfigValidationError(this.file, error.details.map(formatDetail));
+    }
+    return { config: value, raw };
+  }
+
+  /**
+   * Re-read the file. Returns { status: 'reloaded' | 'unchanged' | 'invalid' }.
+   */
+  reload({ source = 'watcher' } = {}) {
+    let next;
+    try {
+      next = this.read();
+    } catch (error) {
+      const errors = error.errors || [{ service: null, key: null, message: error.message }];
+      this.logger.error(`Config reload rejected, keeping previous config: ${error.message}`);
+      this.emit('invalid', { errors, source, timestamp: new Date().toISOString() });
+      return { status: 'invalid', errors };
+    }
+
+    if (next.raw === this.raw) {
+      return { status: 'unchanged' };
+    }
+
+    const previous = this.config;
+    this.config = next.config;
+    this.raw = next.raw;
+
+    const event = {
+      ...diffServices(previous, next.config),
+      services: Object.keys(next.config).length,
+      source,
+      timestamp: new Date().toISOString()
+    };
+    this.logger.info(`Config reloaded: ${event.services} services (added: ${event.added.join(', ') || '-'}, removed: ${event.removed.join(', ') || '-'}, changed: ${event.changed.join(', ') || '-'})`);
+    this.emit('reload', event, next.config, previous);
+    return { status: 'reloaded', ...event };
+  }
+
+  /**
+   * Watch the config directory rather than the file, so editors that save
+   * by writing a temp file and renaming it over the original are picked up.
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const name = path.basename(this.file);
+    this.watcher = fs.watch(path.dirname(this.file), (eventType, filename) => {
+      if (filename && filename !== name) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        if (fs.existsSync(this.file)) this.reload();
+      }, this.debounce);
+    });
+    this.watcher.on('error', error => this.logger.error('Config watcher error:', error));
+    this.logger.info(`Watching ${this.file} for changes`);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * "crypto.retry.maxAttempts: must be less than or equal to 10"
+ */
+function formatDetail(detail) {
+  const [service, ...rest] = detail.path;
+  const key = rest.join('.') || null;
+  const where = [service, key].filter(Boolean).join('.');
+  let message = detail.message;
+  if (detail.type === 'object.unknown') {
+    // Top-level keys only fail the service name pattern
+    message = rest.length === 0 ? 'invalid service name (letters, digits, "-" and "_" only)' : 'unknown key';
+  }
+  return { service: service || null, key, message: where ? `${where}: ${message}` : message };
+}
+
+function diffServices(previous, next) {
+  const added = Object.keys(next).filter(name => !(name in previous));
+  const removed = Object.keys(previous).filter(name => !(name in next));
+  const changed = Object.keys(next).filter(name =>
+    name in previous && JSON.stringify(previous[name]) !== JSON.stringify(next[name])
+  );
+  return { added, removed, changed };
+}
+
+module.exports = ConfigLoader;
+module.exports.ConfigValidationError = ConfigValidationError;
@@ -0,0 +1,193 @@
+const Joi = require('joi');
+const { STRATEGIES, DEFAULTS: RATE_LIMIT_DEFAULTS } = require('../proxy/rate-limiter');
+const { PARAM_TYPES, ITEM_TYPES, UNKNOWN_PARAMS, compileAction } = require('../proxy/actions');
+const { CACHE_STRATEGIES, isCacheable } = require('../proxy/cache-policy');
+const { compileWarmEntry, warmRequestsPerWindow } = require('../cache/warmer');
+const { compileList } = require('../middleware/ip-filter');
+
+/**
+ * Schema for config/apis.yaml
+ *
+ * Mirrors the per-service keys documented at the top of the file. Unknown
+ * keys are rejected so a misspelt option fails loudly instead of being
+ * silently ignored.
+ */
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const seconds = Joi.number().integer().min(0);
+const milliseconds = Joi.number().integer().min(1);
+const url = Joi.string().uri({ scheme: ['http', 'https'] });
+const method = Joi.string().uppercase().valid(...HTTP_METHODS);
+const statusCode = Joi.number().integer().min(100).max(599);
+const ipRange = Joi.string().ip({ cidr: 'optional' });
+
+// Joi accepts forms (e.g. IPvFuture) net.BlockList cannot hold; those are config errors too
+const ipList = Joi.array().items(ipRange).custom((entries, helpers) => {
+  try {
+    compileList(entries);
+  } catch (error) {
+    return helpers.message({ custom: error.message });
+  }
+  return entries;
+});
+
+const actionParamSchema = Joi.object({
+  type: Joi.string().valid(...PARAM_TYPES),
+  items: Joi.string().valid(...ITEM_TYPES),
+  description: Joi.string().allow(''),
+  required: Joi.boolean(),
+  default: Joi.any(),
+  enum: Joi.array().items(Joi.string(), Joi.number(), Joi.boolean()).min(1),
+  min: Joi.number(),
+  max: Joi.number(),
+  pattern: Joi.string()
+});
+
+// Keys are upstream paths; {name} segments match any single segment
+const actionSchema = Joi.object({
+  description: Joi.string().allow(''),
+  methods: Joi.array().items(method).min(1),
+  params: Joi.object().pattern(Joi.string(), actionParamSchema),
+  unknownParams: Joi.string().valid(...UNKNOWN_PARAMS)
+}).custom((action, helpers) => {
+  // Bad regexes and defaults that fail their own rules are config errors
+  try {
+    compileAction(helpers.state.path[helpers.state.path.length - 1], action);
+  } catch (error) {
+    return helpers.message({ custom: error.message });
+  }
+  return action;
+});
+
+const serviceSchema = Joi.object({
+  endpoint: url.required(),
+  description: Joi.string().allow(''),
+  rateLimit: Joi.number().integer().min(1),
+  rateLimitWindow: Joi.number().integer().min(1),
+  rateLimitStrategy: Joi.string().valid(...STRATEGIES),
+  quota: Joi.object({
+    daily: Joi.number().integer().min(1),
+    monthly: Joi.number().integer().min(1)
+  }).or('daily', 'monthly'),
+  cacheTTL: seconds,
+  cacheStrategy: Joi.string().valid(...CACHE_STRATEGIES),
+  refreshThreshold: Joi.number().greater(0).less(1),
+  cacheKey: Joi.object({
+    ignoreParams: Joi.array().items(Joi.string()),
+    vary: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/)),
+    version: Joi.number().integer().min(1)
+  }),
+  staleTTL: seconds,
+  staleIfError: seconds,
+  honorCacheControl: Joi.boolean(),
+  revalidateTTL: seconds,
+  l1TTL: seconds,
+  timeout: milliseconds,
+  headers: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number())),
+  credentials: Joi.array().items(Joi.object({
+    secret: Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).required(),
+    header: Joi.string(),
+    query: Joi.string(),
+    prefix: Joi.string(),
+    optional: Joi.boolean()
+  }).xor('header', 'query')),
+
+  actions: Joi.object().pattern(Joi.string().pattern(/^[^?#\s]+$/), actionSchema),
+  paths: Joi.object({
+    allow: Joi.array().items(Joi.string()),
+    deny: Joi.array().items(Joi.string())
+  }),
+  ipAllow: ipList,
+  ipDeny: ipList,
+  methods: Joi.array().items(method).min(1),
+  cacheMethods: Joi.array().items(method),
+  maxCacheBytes: Joi.number().integer().min(1),
+  transparent: Joi.boolean(),
+  allowAnonymous: Joi.boolean(),
+  exposeHeaders: Joi.array().items(Joi.string()),
+
+  circuitBreaker: Joi.object({
+    failureThreshold: Joi.number().integer().min(1),
+    errorRateThreshold: Joi.number().min(1).max(100),
+    minimumRequests: Joi.number().integer().min(1),
+    windowSize: Joi.number().integer().min(1),
+    resetTimeout: Joi.number().integer().min(1),
+    halfOpenRequests: Joi.number().integer().min(1)
+  }),
+
+  retry: Joi.object({
+    maxAttempts: Joi.number().integer().min(1).max(10),
+    backoff: Joi.string().valid('exponential', 'linear', 'fixed'),
+    initialDelay: Joi.number().integer().min(0),
+    maxDelay: Joi.number().integer().min(0),
+    retryOn: Joi.array().items(statusCode),
+    methods: Joi.array().items(method)
+  }),
+  fallbacks: Joi.array().items(url),
+
+  healthCheck: Joi.object({
+    enabled: Joi.boolean(),
+    path: Joi.string().allow(''),
+    interval: Joi.number().integer().min(5),
+    timeout: milliseconds,
+    expectedStatus: Joi.alternatives(statusCode, Joi.array().items(statusCode).min(1)),
+    degradedLatency: milliseconds
+  }),
+
+  // Requests refreshed on a schedule (see src/cache/warmer.js)
+  warm: Joi.array().items(Joi.object({
+    path: Joi.string().pattern(/^[^#\s]+$/).required(),
+    interval: Joi.number().integer().min(5).required()
+  }))
+}).custom((api, helpers) => {
+  // Options another cacheStrategy would silently ignore
+  const strategy = api.cacheStrategy;
+  if (strategy && strategy !== 'stale-while-revalidate') {
+    const stale = ['staleTTL', 'staleIfError', 'revalidateTTL'].find(name => api[name] !== undefined);
+    if (stale) {
+      return helpers.message({ custom: `${stale} needs cacheStrategy stale-while-revalidate, not ${strategy}` });
+    }
+  }
+  if (api.refreshThreshold !== undefined && strategy !== 'refresh-ahead') {
+    return helpers.message({ custom: 'refreshThreshold needs cacheStrategy refresh-ahead' });
+  }
+
+  if (!api.warm || api.warm.length === 0) return api;
+
+  if (!isCacheable(api, 'GET')) {
+    return helpers.message({ custom: 'warm needs GET responses to be cached (cacheTTL > 0 or honorCacheControl, and a cacheStrategy other than none)' });
+  }
+
+  // Paths and queries must be ones the proxy itself would accept
+  const service = helpers.state.path[helpers.state.path.length - 1];
+  for (const [index, entry] of api.warm.entries()) {
+    try {
+      compileWarmEntry(service, api, entry);
+    } catch (error) {
+      return helpers.message({ custom: `warm[${index}]: ${error.message}` });
+    }
+  }
+
+  // The schedule alone must fit within the rateLimit
+  const limit = api.rateLimit || RATE_LIMIT_DEFAULTS.limit;
+  const window = api.rateLimitWindow || RATE_LIMIT_DEFAULTS.window;
+  const needed = warmRequestsPerWindow(api, window);
+  if (needed > limit) {
+    return helpers.message({ custom: `warm needs ${needed} requests per ${window}s, over the rateLimit of ${limit}` });
+  }
+  return api;
+});
+
+const configSchema = Joi.object()
+  .pattern(
+    Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/i),
+    serviceSchema
+  )
+  .min(1);
+
+module.exports = {
+  configSchema,
+  serviceSchema,
+  HTTP_METHODS
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Upstream credentials owned by the hub
+ *
+ * Services reference secrets by name in apis.yaml:
+ *
+ *   credentials:
+ *     - secret: NEWSAPI_KEY
+ *       header: X-Api-Key
+ *     - secret: ETHERSCAN_API_KEY
+ *       query: apikey
+ *       optional: true      # send the request without it when unset
+ *
+ * A name resolves to the environment variable of that name, else to the
+ * entry in the encrypted secrets file (SECRETS_FILE, default
+ * config/secrets.enc, AES-256-GCM with a key derived from SECRETS_KEY).
+ * Manage the file with `npm run secrets`.
+ *
+ * Every resolved value is registered with redact(), which the logger,
+ * analytics and proxy error responses run their text through.
+ */
+
+const DEFAULT_FILE = 'config/secrets.enc';
+const REDACTED = '[REDACTED]';
+
+// Shorter values would redact ordinary words
+const MIN_REDACT_LENGTH = 6;
+
+const known = new Set();
+
+function register(value) {
+  if (typeof value === 'string' && value.length >= MIN_REDACT_LENGTH) {
+    known.add(value);
+    known.add(encodeURIComponent(value));
+  }
+}
+
+/**
+ * Replace every known secret value in `text` with [REDACTED].
+ */
+function redact(text) {
+  if (typeof text !== 'string' || known.size === 0) return text;
+  let out = text;
+  for (const value of known) {
+    if (out.includes(value)) out = out.split(value).join(REDACTED);
+  }
+  return out;
+}
+
+class MissingSecretError extends Error {
+  constructor(service, names) {
+    super(`Upstream credentials for ${service} are not configured (${names.join(', ')})`);
+    this.name = 'MissingSecretError';
+    this.names = names;
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * { name: value } -> file contents
+ */
+function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2) + '\n';
+}
+
+/**
+ * File contents -> { name: value }; throws on a wrong key or a tampered file.
+ */
+function decryptSecrets(contents, passphrase) {
+  const file = JSON.parse(contents);
+  if (file.version !== 1) throw new Error(`Unsupported secrets file version: ${file.version}`);
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(file.salt, 'base64')),
+    Buffer.from(file.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+class SecretStore {
+  constructor({ file = process.env.SECRETS_FILE || DEFAULT_FILE, key = process.env.SECRETS_KEY, env = process.env, logger }) {
+    this.file = path.resolve(file);
+    this.key = key;
+    this.env = env;
+    this.logger = logger;
+    this.secrets = {};
+  }
+
+  /**
+   * (Re)read the encrypted file. A missing file is fine; an unreadable one
+   * is logged and the previously loaded secrets are kept.
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return this.secrets;
+    if (!this.key) {
+      this.logger.warn(`${path.basename(this.file)} exists but SECRETS_KEY is not set - file secrets unavailable`);
+      return this.secrets;
+    }
+
+    try {
+      this.secrets = decryptSecrets(fs.readFileSync(this.file, 'utf8'), this.key);
+      Object.values(this.secrets).forEach(register);
+      this.logger.info(`Loaded ${Object.keys(this.secrets).length} secrets from ${path.basename(this.file)}`);
+    } catch (error) {
+      this.logger.error(`Failed to decrypt ${path.basename(this.file)} (wrong SECRETS_KEY?): ${error.message}`);
+    }
+    return this.secrets;
+  }
+
+  get(name) {
+    const value = this.env[name] || this.secrets[name];
+    register(value);
+    return value || null;
+  }
+
+  /**
+   * Outbound { headers, params } for a service; throws MissingSecretError
+   * when a required secret has no value.
+   */
+  credentialsFor(service, api) {
+    const headers = {};
+    const params = {};
+    const missing = [];
+
+    for (const credential of api.credentials || []) {
+      const value = this.get(credential.secret);
+      if (!value) {
+        if (!credential.optional) missing.push(credential.secret);
+        continue;
+      }
+      const injected = `${credential.prefix || ''}${value}`;
+      if (credential.header) headers[credential.header] = injected;
+      if (credential.query) params[credential.query] = injected;
+    }
+
+    if (missing.length > 0) throw new MissingSecretError(service, missing);
+    return { headers, params };
+  }
+
+  /**
+   * Log services whose secrets are missing (startup and config reloads).
+   * Resolving them also registers the values for redaction.
+   */
+  check(config) {
+    const missing = {};
+    for (const [service, api] of Object.entries(config)) {
+      const unset = (api.credentials || []).filter(c => !this.get(c.secret));
+      if (unset.length > 0) missing[service] = unset.map(c => c.secret);
+
+      const required = unset.filter(c => !c.optional).map(c => c.secret);
+      if (required.length > 0) {
+        this.logger.warn(`Service ${service} is missing secrets: ${required.join(', ')} - its requests will fail with 503`);
+      }
+    }
+    return missing;
+  }
+}
+
+/**
+ * Query parameter names a service fills in itself; callers may not set them.
+ */
+function credentialParamNames(api) {
+  return (api.credentials || []).filter(c => c.query).map(c => c.query);
+}
+
+module.exports = SecretStore;
+module.exports.redact = redact;
+module.exports.credentialParamNames = credentialParamNames;
+module.exports.encryptSecrets = encryptSecrets;
+module.exports.decryptSecrets = decryptSecrets;
+module.exports.MissingSecretError = MissingSecretError;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
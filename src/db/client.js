@@ -1,6 +1,13 @@
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
 const winston = require('winston');
 
+// pg_advisory_xact_lock key serialising audit_log appends
+const AUDIT_LOCK_ID = 7243001;
+// prev_hash of the first audit_log entry
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
 class DatabaseClient {
   constructor(config, logger) {
     this.config = {
@@ -73,7 +80,7 @@ class DatabaseClient {
       data.keyHash,
       data.name,
       data.description || null,
-      data.rateLimit || 1000,
+      data.rateLimit || null,
       data.allowedServices || null,
       data.expiresAt || null,
       data.metadata || {}
@@ -98,11 +105,125 @@ class DatabaseClient {
     return result.rows[0];
   }
 
+  async addApiKeyUsage(keyHash, count) {
+    const query = `
+      UPDATE api_keys 
+      SET usage_count = usage_count + $2, last_used_at = CURRENT_TIMESTAMP
+      WHERE key_hash = $1
+    `;
+    await this.query(query, [keyHash, count]);
+  }
+
   async deactivateApiKey(keyHash) {
     const query = 'UPDATE api_keys SET is_active = false WHERE key_hash = $1';
     await this.query(query, [keyHash]);
   }
 
+  /**
+   * Create a key and link it to its owner in one transaction.
+   */
+  async createUserApiKey(userId, data) {
+    return this.transaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO api_keys (key_hash, name, description, rate_limit, allowed_services, expires_at, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        data.keyHash,
+        data.name,
+        data.description || null,
+        data.rateLimit || null,
+        data.allowedServices || null,
+        data.expiresAt || null,
+        data.metadata || {}
+      ]);
+      await client.query(
+        'INSERT INTO user_api_keys (user_id, api_key_id) VALUES ($1, $2)',
+        [userId, rows[0].id]
+      );
+      return rows[0];
+    });
+  }
+
+  async getUserApiKeys(userId) {
+    const query = `
+      SELECT k.* FROM api_keys k
+      JOIN user_api_keys uk ON uk.api_key_id = k.id
+      WHERE uk.user_id = $1
+      ORDER BY k.created_at DESC
+    `;
+    const result = await this.query(query, [userId]);
+    return result.rows;
+  }
+
+  async getUserApiKey(userId, keyId) {
+    const query = `
+      SELECT k.* FROM api_keys k
+      JOIN user_api_keys uk ON uk.api_key_id = k.id
+      WHERE uk.user_id = $1 AND k.id = $2
+    `;
+    const result = await this.query(query, [userId, keyId]);
+    return result.rows[0];
+  }
+
+  async getApiKeyOwner(keyId) {
+    const query = `
+      SELECT u.* FROM users u
+      JOIN user_api_keys uk ON uk.user_id = u.id
+      WHERE uk.api_key_id = $1 AND u.is_active = true
+    `;
+    const result = await this.query(query, [keyId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Shorten a key's life (rotation grace period); never extends it.
+   */
+  async expireApiKey(keyId, expiresAt) {
+    const query = `
+      UPDATE api_keys
+      SET expires_at = LEAST(COALESCE(expires_at, $2), $2)
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [keyId, expiresAt]);
+    return result.rows[0];
+  }
+
+  async deactivateApiKeyById(keyId) {
+    const query = 'UPDATE api_keys SET is_active = false WHERE id = $1 RETURNING *';
+    const result = await this.query(query, [keyId]);
+    return result.rows[0];
+  }
+
+  // Rate Limits Methods (quota checkpoints)
+  async upsertRateLimit(data) {
+    const query = `
+      INSERT INTO rate_limits
+        (identifier, service, window_start, window_end, request_count, limit_exceeded)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (identifier, service, window_start, window_end) DO UPDATE SET
+        request_count = GREATEST(rate_limits.request_count, EXCLUDED.request_count),
+        limit_exceeded = rate_limits.limit_exceeded OR EXCLUDED.limit_exceeded
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      data.identifier,
+      data.service,
+      data.windowStart,
+      data.windowEnd,
+      data.requestCount,
+      data.limitExceeded || false
+    ]);
+    return result.rows[0];
+  }
+
+  async getActiveRateLimits() {
+    const query = 'SELECT * FROM rate_limits WHERE window_end > NOW()';
+    const result = await this.query(query);
+    return result.rows;
+  }
+
   // Request Logs Methods
   async logRequest(data) {
     const query = `
@@ -196,6 +317,33 @@ class DatabaseClient {
     return result.rows[0];
   }
 
+  async upsertService(data) {
+    const query = `
+      INSERT INTO services 
+        (name, display_name, description, endpoint, rate_limit, cache_ttl, timeout, health_check_url)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (name) DO UPDATE SET
+        description = EXCLUDED.description,
+        endpoint = EXCLUDED.endpoint,
+        rate_limit = EXCLUDED.rate_limit,
+        cache_ttl = EXCLUDED.cache_ttl,
+        timeout = EXCLUDED.timeout,
+        health_check_url = EXCLUDED.health_check_url
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      data.name,
+      data.displayName || data.name,
+      data.description || null,
+      data.endpoint,
+      data.rateLimit || 100,
+      data.cacheTtl ?? 300,
+      data.timeout || 5000,
+      data.healthCheckUrl || null
+    ]);
+    return result.rows[0];
+  }
+
   async getService(name) {
     const query = 'SELECT * FROM services WHERE name = $1 AND is_active = true';
     const result = await this.query(query, [name]);
@@ -273,6 +421,232 @@ class DatabaseClient {
     await this.query(query, [userId]);
   }
 
+  async getUserById(userId) {
+    const query = 'SELECT * FROM users WHERE id = $1 AND is_active = true';
+    const result = await this.query(query, [userId]);
+    return result.rows[0];
+  }
+
+  async getUsers({ limit = 100, offset = 0 } = {}) {
+    const query = `
+      SELECT id, email, username, full_name, role, is_active, last_login_at, login_count, created_at
+      FROM users
+      ORDER BY created_at
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await this.query(query, [limit, offset]);
+    return result.rows;
+  }
+
+  async setUserRole(userId, role) {
+    const query = `
+      UPDATE users SET role = $2
+      WHERE id = $1
+      RETURNING id, email, username, full_name, role, is_active, last_login_at, login_count, created_at
+    `;
+    const result = await this.query(query, [userId, role]);
+    return result.rows[0];
+  }
+
+  // Sessions Methods (`token` holds the SHA-256 of the refresh token)
+  async createSession(data) {
+    const query = `
+      INSERT INTO sessions (user_id, token, ip_address, user_agent, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      data.userId,
+      data.tokenHash,
+      data.ipAddress || null,
+      data.userAgent || null,
+      data.expiresAt
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Active session joined with its (active) user.
+   */
+  async getSession(sessionId) {
+    const query = `
+      SELECT s.*, u.role, u.username
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = $1 AND s.expires_at > NOW() AND u.is_active = true
+    `;
+    const result = await this.query(query, [sessionId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Swap the refresh token of an active session. Returns nothing when the
+   * presented token is not the current one.
+   */
+  async rotateSessionToken(tokenHash, newTokenHash, data = {}) {
+    const query = `
+      UPDATE sessions
+      SET token = $2, last_activity = CURRENT_TIMESTAMP,
+          ip_address = COALESCE($3, ip_address), user_agent = COALESCE($4, user_agent)
+      WHERE token = $1 AND expires_at > NOW()
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      tokenHash,
+      newTokenHash,
+      data.ipAddress || null,
+      data.userAgent || null
+    ]);
+    return result.rows[0];
+  }
+
+  async getUserSessions(userId) {
+    const query = `
+      SELECT id, ip_address, user_agent, created_at, last_activity, expires_at
+      FROM sessions
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_activity DESC
+    `;
+    const result = await this.query(query, [userId]);
+    return result.rows;
+  }
+
+  async deleteSession(sessionId, userId) {
+    const query = 'DELETE FROM sessions WHERE id = $1 AND user_id = $2 RETURNING id';
+    const result = await this.query(query, [sessionId, userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * End every session of a user, optionally keeping one (the caller's).
+   */
+  async deleteUserSessions(userId, exceptSessionId = null) {
+    const query = `
+      DELETE FROM sessions
+      WHERE user_id = $1 AND ($2::uuid IS NULL OR id <> $2::uuid)
+      RETURNING id
+    `;
+    const result = await this.query(query, [userId, exceptSessionId]);
+    return result.rows.map(row => row.id);
+  }
+
+  async deleteExpiredSessions() {
+    const result = await this.query('DELETE FROM sessions WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  // Audit Log Methods (see src/audit/audit-log.js for the hash chain)
+
+  /**
+   * Append an entry. `seal(prevHash)` returns the entry's hash; the advisory
+   * lock keeps concurrent writers (on any instance) from forking the chain.
+   */
+  async appendAuditEntry(entry, seal) {
+    return this.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_LOCK_ID]);
+      const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+      const prevHash = last.rows[0] ? last.rows[0].hash : AUDIT_GENESIS_HASH;
+
+      const result = await client.query(`
+        INSERT INTO audit_log
+          (created_at, actor_id, actor, actor_role, action, target_type, target_id,
+           changes, ip_address, user_agent, metadata, prev_hash, hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        entry.createdAt,
+        entry.actorId,
+        entry.actor,
+        entry.actorRole,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        entry.changes === null ? null : JSON.stringify(entry.changes),
+        entry.ipAddress,
+        entry.userAgent,
+        JSON.stringify(entry.metadata),
+        prevHash,
+        seal(prevHash)
+      ]);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Filtered entries, newest first (or oldest first with order: 'asc').
+   * `afterId` / `beforeId` page through large result sets.
+   */
+  async getAuditEntries(options = {}) {
+    const {
+      action = null,
+      actor = null,
+      actorId = null,
+      targetType = null,
+      targetId = null,
+      ipAddress = null,
+      from = null,
+      to = null,
+      afterId = null,
+      beforeId = null,
+      order = 'desc',
+      limit = 100,
+      offset = 0
+    } = options;
+
+    let query = 'SELECT * FROM audit_log WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (action) {
+      // "key" matches key.issue, key.rotate, ...
+      query += ` AND (action = $${paramIndex} OR action LIKE $${paramIndex + 1})`;
+      params.push(action, `${action}.%`);
+      paramIndex += 2;
+    }
+    if (actor) {
+      query += ` AND actor = $${paramIndex++}`;
+      params.push(actor);
+    }
+    if (actorId) {
+      query += ` AND actor_id = $${paramIndex++}`;
+      params.push(actorId);
+    }
+    if (targetType) {
+      query += ` AND target_type = $${paramIndex++}`;
+      params.push(targetType);
+    }
+    if (targetId) {
+      query += ` AND target_id = $${paramIndex++}`;
+      params.push(targetId);
+    }
+    if (ipAddress) {
+      query += ` AND ip_address = $${paramIndex++}`;
+      params.push(ipAddress);
+    }
+    if (from) {
+      query += ` AND created_at >= $${paramIndex++}`;
+      params.push(from);
+    }
+    if (to) {
+      query += ` AND created_at <= $${paramIndex++}`;
+      params.push(to);
+    }
+    if (afterId) {
+      query += ` AND id > $${paramIndex++}`;
+      params.push(afterId);
+    }
+    if (beforeId) {
+      query += ` AND id < $${paramIndex++}`;
+      params.push(beforeId);
+    }
+
+    query += ` ORDER BY id ${order === 'asc' ? 'ASC' : 'DESC'} LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    params.push(limit, offset);
+
+    const result = await this.query(query, params);
+    return result.rows;
+  }
+
   // Analytics Methods
   async getAnalyticsSummary(days = 7) {
     const query = `
@@ -351,6 +725,15 @@ class DatabaseClient {
     ]);
   }
 
+  /**
+   * Bring an existing database up to date with schema.sql (see migrations.sql).
+   */
+  async migrate() {
+    const sql = fs.readFileSync(path.join(__dirname, 'migrations.sql'), 'utf8');
+    await this.query(sql);
+    this.logger.info('Database migrations applied');
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -377,3 +760,4 @@ class DatabaseClient {
 }
 
 module.exports = DatabaseClient;
+module.exports.AUDIT_GENESIS_HASH = AUDIT_GENESIS_HASH;
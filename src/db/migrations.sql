@@ -0,0 +1,77 @@
+-- Free API Hub - upgrades for databases created from an older schema.sql
+--
+-- Run on every startup (DatabaseClient.migrate), so every statement must be
+-- idempotent. Fresh databases get all of this from schema.sql already.
+
+-- Quota checkpoints (QuotaManager.checkpoint) upsert ON CONFLICT on this index
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_limits_window_unique
+  ON rate_limits(identifier, service, window_start, window_end);
+
+-- Quota windows are UTC instants compared with NOW(); stored values were written as UTC
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'rate_limits' AND column_name = 'window_start') = 'timestamp without time zone' THEN
+    ALTER TABLE rate_limits
+      ALTER COLUMN window_start TYPE TIMESTAMPTZ USING window_start AT TIME ZONE 'UTC',
+      ALTER COLUMN window_end TYPE TIMESTAMPTZ USING window_end AT TIME ZONE 'UTC';
+  END IF;
+END $$;
+
+-- api_keys.rate_limit used to default to 1000, which overrode every service's rateLimit.
+-- NULL now means "use the service's limit"; rows still holding the old default get it.
+-- (Runs once: the default is gone afterwards.)
+DO $$
+BEGIN
+  IF (SELECT column_default FROM information_schema.columns
+      WHERE table_name = 'api_keys' AND column_name = 'rate_limit') = '1000' THEN
+    UPDATE api_keys SET rate_limit = NULL WHERE rate_limit = 1000;
+    ALTER TABLE api_keys ALTER COLUMN rate_limit DROP DEFAULT;
+  END IF;
+END $$;
+
+-- Audit log (hash-chained, append-only; see src/audit/audit-log.js)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL,
+  actor_id UUID,
+  actor VARCHAR(255) NOT NULL,
+  actor_role VARCHAR(50),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50),
+  target_id VARCHAR(255),
+  changes JSONB,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  metadata JSONB DEFAULT '{}',
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only' AND tgrelid = 'audit_log'::regclass) THEN
+    CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW
+      EXECUTE FUNCTION reject_audit_log_change();
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_no_truncate' AND tgrelid = 'audit_log'::regclass) THEN
+    CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT
+      EXECUTE FUNCTION reject_audit_log_change();
+  END IF;
+END $$;
@@ -10,7 +10,7 @@ CREATE TABLE IF NOT EXISTS api_keys (
   key_hash VARCHAR(64) UNIQUE NOT NULL,
   name VARCHAR(100) NOT NULL,
   description TEXT,
-  rate_limit INTEGER DEFAULT 1000,
+  rate_limit INTEGER, -- overrides the services' rateLimit when set
   allowed_services TEXT[], -- Array of allowed service names
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -84,7 +84,7 @@ CREATE TABLE IF NOT EXISTS users (
   password_hash VARCHAR(255) NOT NULL,
   full_name VARCHAR(200),
   avatar_url VARCHAR(500),
-  role VARCHAR(20) DEFAULT 'user', -- user, admin, superadmin
+  role VARCHAR(20) DEFAULT 'user', -- user, operator, admin
   is_active BOOLEAN DEFAULT true,
   email_verified BOOLEAN DEFAULT false,
   email_verification_token VARCHAR(64),
@@ -150,8 +150,8 @@ CREATE TABLE IF NOT EXISTS rate_limits (
   id BIGSERIAL PRIMARY KEY,
   identifier VARCHAR(100) NOT NULL, -- IP or API key
   service VARCHAR(100),
-  window_start TIMESTAMP NOT NULL,
-  window_end TIMESTAMP NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  window_end TIMESTAMPTZ NOT NULL,
   request_count INTEGER DEFAULT 0,
   limit_exceeded BOOLEAN DEFAULT false,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -159,6 +159,7 @@ CREATE TABLE IF NOT EXISTS rate_limits (
 
 CREATE INDEX idx_rate_limits_identifier ON rate_limits(identifier);
 CREATE INDEX idx_rate_limits_window ON rate_limits(window_start, window_end);
+CREATE UNIQUE INDEX idx_rate_limits_window_unique ON rate_limits(identifier, service, window_start, window_end);
 
 -- Analytics Aggregations (daily summaries)
 CREATE TABLE IF NOT EXISTS analytics_daily (
@@ -217,6 +218,29 @@ CREATE INDEX idx_sessions_token ON sessions(token);
 CREATE INDEX idx_sessions_user ON sessions(user_id);
 CREATE INDEX idx_sessions_expires ON sessions(expires_at);
 
+-- Audit Log (append-only; each entry's hash covers the previous one)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL,
+  actor_id UUID,
+  actor VARCHAR(255) NOT NULL,
+  actor_role VARCHAR(50),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50),
+  target_id VARCHAR(255),
+  changes JSONB,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  metadata JSONB DEFAULT '{}',
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
 -- Functions
 
 -- Update updated_at timestamp
@@ -239,6 +263,31 @@ CREATE TRIGGER update_users_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+-- Audit entries can be added, never changed or removed
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- (Guarded so this section, like src/db/migrations.sql, can be re-run)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only' AND tgrelid = 'audit_log'::regclass) THEN
+    CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW
+      EXECUTE FUNCTION reject_audit_log_change();
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_no_truncate' AND tgrelid = 'audit_log'::regclass) THEN
+    CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT
+      EXECUTE FUNCTION reject_audit_log_change();
+  END IF;
+END $$;
+
 -- Views
 
 -- Service Statistics View
@@ -288,3 +337,4 @@ COMMENT ON TABLE users IS 'User accounts with authentication and authorization';
 COMMENT ON TABLE webhooks IS 'Outbound webhook configurations for event notifications';
 COMMENT ON TABLE analytics_daily IS 'Daily aggregated analytics for performance optimization';
 COMMENT ON TABLE notifications IS 'In-app notifications for users';
+COMMENT ON TABLE audit_log IS 'Append-only, hash-chained trail of administrative and security-relevant actions';
@@ -0,0 +1,254 @@
+const axios = require('axios');
+const { redact } = require('../config/secrets');
+
+/**
+ * Background health checks for every service in apis.yaml
+ *
+ * Each service is probed on its own interval (`healthCheck.interval`),
+ * results are kept in a bounded in-memory history for rolling uptime and
+ * latency figures, and the resulting status is written to the `services`
+ * table through the DB client.
+ */
+
+const DEFAULTS = {
+  path: '',
+  interval: 60,          // seconds between probes
+  timeout: 5000,         // ms
+  expectedStatus: null,  // number or list; null accepts any status below 400
+  degradedLatency: 2000  // ms; slower successful probes count as degraded
+};
+
+const HISTORY_WINDOW = 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 8640; // a day of 10-second probes
+
+class HealthScheduler {
+  constructor(config, { db, logger, secrets = null }) {
+    this.config = config;
+    this.db = db;
+    this.logger = logger;
+    this.secrets = secrets;
+    this.timers = new Map();
+    this.state = new Map();
+  }
+
+  options(api) {
+    return {
+      ...DEFAULTS,
+      timeout: api.timeout || DEFAULTS.timeout,
+      ...(api.healthCheck || {})
+    };
+  }
+
+  start() {
+    const services = Object.keys(this.config);
+    this.running = true;
+    this.syncServices();
+
+    services.forEach((service, index) => {
+      const opts = this.options(this.config[service]);
+      if (opts.enabled === false) return;
+
+      // Spread the first round of probes over a few seconds
+      const initialDelay = Math.min(index * 250, opts.interval * 1000);
+      const timer = setTimeout(() => {
+        this.probe(service);
+        this.timers.set(service, setInterval(() => this.probe(service), opts.interval * 1000));
+      }, initialDelay);
+      this.timers.set(service, timer);
+    });
+
+    this.logger.info(`Health checks scheduled for ${services.length} services`);
+  }
+
+  /**
+   * Make sure every configured service has a row for the status updates to land in.
+   */
+  async syncServices() {
+    for (const [service, api] of Object.entries(this.config)) {
+      const opts = this.options(api);
+      try {
+        await this.db.upsertService({
+          name: service,
+          description: api.description,
+          endpoint: api.endpoint,
+          rateLimit: api.rateLimit,
+          cacheTtl: api.cacheTTL,
+          timeout: api.timeout,
+          healthCheckUrl: this.healthUrl(api, opts)
+        });
+      } catch (error) {
+        this.logger.warn(`Failed to sync service ${service} to database: ${error.message}`);
+        return;
+      }
+    }
+  }
+
+  healthUrl(api, opts) {
+    return `${api.endpoint}${opts.path ? '/' + opts.path.replace(/^\/+/, '') : ''}`;
+  }
+
+  stop() {
+    this.timers.forEach(timer => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    this.timers.clear();
+    this.running = false;
+  }
+
+  /**
+   * Switch to a new services config (hot reload). History is kept for
+   * services that still exist; probes are rescheduled if they were running.
+   */
+  reload(config) {
+    const wasRunning = this.running;
+    this.stop();
+    this.config = config;
+
+    for (const service of this.state.keys()) {
+      if (!config[service]) this.state.delete(service);
+    }
+
+    if (wasRunning) this.start();
+  }
+
+  async probe(service) {
+    const api = this.config[service];
+    if (!api) return null;
+
+    const opts = this.options(api);
+    const url = this.healthUrl(api, opts);
+    const started = Date.now();
+
+    let result;
+    try {
+      // Probe with the service's own credentials, like proxied requests
+      const credentials = this.secrets ? this.secrets.credentialsFor(service, api) : { headers: {}, params: {} };
+      const response = await axios.get(url, {
+        timeout: opts.timeout,
+        headers: { ...(api.headers || {}), ...credentials.headers },
+        params: credentials.params,
+        validateStatus: () => true
+      });
+      const latency = Date.now() - started;
+      const expected = this.isExpectedStatus(response.status, opts.expectedStatus);
+
+      result = {
+        timestamp: Date.now(),
+        status: !expected ? 'down' : latency > opts.degradedLatency ? 'degraded' : 'up',
+        httpStatus: response.status,
+        latency,
+        error: expected ? null : `Unexpected status ${response.status}`
+      };
+    } catch (error) {
+      result = {
+        timestamp: Date.now(),
+        status: 'down',
+        httpStatus: null,
+        latency: Date.now() - started,
+        error: redact(error.message)
+      };
+    }
+
+    this.record(service, result);
+
+    try {
+      await this.db.updateServiceHealth(service, result.status);
+      this.dbAvailable = true;
+    } catch (error) {
+      // Warn once per outage rather than once per probe
+      if (this.dbAvailable !== false) {
+        this.logger.warn(`Failed to persist service health: ${error.message}`);
+      }
+      this.dbAvailable = false;
+    }
+
+    return result;
+  }
+
+  isExpectedStatus(status, expected) {
+    if (expected === null || expected === undefined) return status < 400;
+    return [].concat(expected).map(Number).includes(status);
+  }
+
+  record(service, result) {
+    const entry = this.state.get(service) || { history: [], last: null };
+    const previous = entry.last ? entry.last.status : 'unknown';
+
+    entry.last = result;
+    entry.history.push(result);
+
+    const cutoff = Date.now() - HISTORY_WINDOW;
+    while (entry.history.length > MAX_HISTORY || (entry.history[0] && entry.history[0].timestamp < cutoff)) {
+      entry.history.shift();
+    }
+    this.state.set(service, entry);
+
+    if (previous !== result.status) {
+      const log = result.status === 'up' ? 'info' : 'warn';
+      this.logger[log](`Health ${service}: ${previous} -> ${result.status}${result.error ? ` (${result.error})` : ''}`);
+    }
+  }
+
+  uptime(history, windowMs) {
+    const since = Date.now() - windowMs;
+    const checks = history.filter(h => h.timestamp >= since);
+    if (checks.length === 0) return null;
+
+    const up = checks.filter(h => h.status !== 'down').length;
+    return Math.round((up / checks.length) * 10000) / 100;
+  }
+
+  latency(history, windowMs) {
+    const since = Date.now() - windowMs;
+    const times = history
+      .filter(h => h.timestamp >= since && h.status !== 'down')
+      .map(h => h.latency)
+      .sort((a, b) => a - b);
+    if (times.length === 0) return { avg: null, p95: null };
+
+    return {
+      avg: Math.round(times.reduce((a, b) => a + b, 0) / times.length),
+      p95: times[Math.floor(times.length * 0.95)] ?? times[times.length - 1]
+    };
+  }
+
+  getServiceStatus(service, { historyLimit = 0 } = {}) {
+    const api = this.config[service];
+    if (!api) return null;
+
+    const entry = this.state.get(service) || { history: [], last: null };
+    const { history, last } = entry;
+    const status = {
+      service,
+      status: last ? last.status : 'unknown',
+      lastCheck: last ? new Date(last.timestamp).toISOString() : null,
+      httpStatus: last ? last.httpStatus : null,
+      lastError: last ? last.error : null,
+      interval: this.options(api).interval,
+      latency: {
+        last: last ? last.latency : null,
+        ...this.latency(history, 60 * 60 * 1000)
+      },
+      uptime: {
+        '1h': this.uptime(history, 60 * 60 * 1000),
+        '24h': this.uptime(history, HISTORY_WINDOW)
+      },
+      checks: history.length
+    };
+
+    if (historyLimit > 0) {
+      status.history = history.slice(-historyLimit).map(h => ({
+        ...h,
+        timestamp: new Date(h.timestamp).toISOString()
+      }));
+    }
+    return status;
+  }
+
+  getStatus() {
+    return Object.keys(this.config).map(service => this.getServiceStatus(service));
+  }
+}
+
+module.exports = HealthScheduler;
@@ -1,29 +1,52 @@
 const express = require('express');
 const http = require('http');
 const { createClient } = require('redis');
-const axios = require('axios');
-const yaml = require('yaml');
-const fs = require('fs');
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const winston = require('winston');
 const helmet = require('helmet');
 const compression = require('compression');
-const { swaggerUi, swaggerDocument, swaggerOptions } = require('./swagger');
+const { swaggerUi, swaggerDocument, swaggerOptions, withServiceActions } = require('./swagger');
 const { analyticsMiddleware, getAnalyticsSummary } = require('./middleware/analytics');
 const analyticsRoutes = require('./routes/analytics');
+const setupProxyRoute = require('./routes/proxy');
+const setupKeysRoute = require('./routes/keys');
+const setupAuthRoute = require('./routes/auth');
+const setupAdminRoute = require('./routes/admin');
+const setupUsageRoute = require('./routes/usage');
+const setupCacheRoute = require('./routes/cache');
 const WebSocketServer = require('./websocket/server');
 const CacheStrategies = require('./cache/strategies');
+const CircuitBreaker = require('./proxy/circuit-breaker');
+const RateLimiter = require('./proxy/rate-limiter');
+const QuotaManager = require('./proxy/quota');
+const HealthScheduler = require('./health/scheduler');
+const CacheWarmer = require('./cache/warmer');
+const DatabaseClient = require('./db/client');
+const ConfigLoader = require('./config/loader');
+const SecretStore = require('./config/secrets');
+const ApiKeyAuth = require('./middleware/api-key');
+const SessionAuth = require('./middleware/session');
+const IpFilter = require('./middleware/ip-filter');
+const AuditLog = require('./audit/audit-log');
+const { createRoleGuard, bootstrapAdmin } = require('./middleware/roles');
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
-// Logger setup
+// Logger setup (upstream secrets are masked in every message)
+const redactSecrets = winston.format((info) => {
+  info.message = SecretStore.redact(info.message);
+  if (info.stack) info.stack = SecretStore.redact(info.stack);
+  return info;
+});
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    redactSecrets(),
     winston.format.timestamp(),
     winston.format.json()
   ),
@@ -34,6 +57,29 @@ const logger = winston.createLogger({
   ]
 });
 
+// Redis/Dragonfly client
+const redis = createClient({ 
+  url: process.env.DRAGONFLY_URL || 'redis://localhost:6379',
+  socket: {
+    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
+  }
+});
+
+redis.on('error', err => logger.error('Redis Client Error', err));
+redis.on('connect', () => logger.info('Connected to Dragonfly cache'));
+
+// PostgreSQL (connects lazily on first query)
+const db = new DatabaseClient({}, logger);
+
+// Append-only, hash-chained audit trail (audit_log table)
+const audit = new AuditLog({ db, logger });
+
+// req.ip is the client behind the trusted proxies (APISIX), not the proxy itself
+app.set('trust proxy', IpFilter.parseTrustProxy(process.env.TRUST_PROXY));
+
+// IP allow/deny lists and bans for clients that keep hitting rate limits
+const ipFilter = new IpFilter({ redis, logger, audit });
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -46,109 +92,148 @@ app.use(helmet({
   },
 }));
 app.use(compression());
-app.use(express.json());
+// Proxied requests keep their raw body (see src/routes/proxy.js)
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path.startsWith('/api/') ? next() : jsonParser(req, res, next)));
 app.use(analyticsMiddleware);
+app.use(ipFilter.middleware());
 
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Swagger UI
-app.use('/docs', swaggerUi.serve);
-app.get('/docs', swaggerUi.setup(swaggerDocument, swaggerOptions));
-
-// Analytics routes
-app.use('/analytics', analyticsRoutes);
 
-// Redis/Dragonfly client
-const redis = createClient({ 
-  url: process.env.DRAGONFLY_URL || 'redis://localhost:6379',
-  socket: {
-    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
-  }
-});
+// Initialize cache strategies
+const cacheStrategies = new CacheStrategies(redis, logger);
 
-redis.on('error', err => logger.error('Redis Client Error', err));
-redis.on('connect', () => logger.info('Connected to Dragonfly cache'));
+// Per-service circuit breakers (state lives in Redis)
+const circuitBreaker = new CircuitBreaker(redis, logger);
 
-// Initialize cache strategies
-let cacheStrategies;
+// Sliding-window / token-bucket rate limits (Lua scripts in Redis)
+const rateLimiter = new RateLimiter(redis, logger);
 
 // WebSocket server
 let wsServer;
 
-// Load API configuration
-let yamlConfig = {};
+// Redis subscriber for events published by other instances
+let subscriber;
+
+// Load and validate API configuration (hot-reloaded, see start())
+const configLoader = new ConfigLoader('./config/apis.yaml', logger);
 try {
-  yamlConfig = yaml.parse(fs.readFileSync('./config/apis.yaml', 'utf8'));
-  logger.info(`Loaded ${Object.keys(yamlConfig).length} API services`);
+  configLoader.load();
 } catch (error) {
-  logger.error('Failed to load API config:', error);
+  logger.error(`Failed to load API config: ${error.message}`);
   process.exit(1);
 }
+const getConfig = () => configLoader.config;
+
+// Swagger UI (service actions come from the current config)
+app.use('/docs', swaggerUi.serve);
+app.get('/docs', (req, res, next) => {
+  req.swaggerDoc = withServiceActions(getConfig());
+  next();
+}, swaggerUi.setup(swaggerDocument, swaggerOptions));
+
+// Upstream credentials referenced by `credentials` in apis.yaml
+const secrets = new SecretStore({ logger });
+secrets.load();
+secrets.check(getConfig());
+
+// API keys (api_keys table, lookups cached in Redis)
+const apiKeyAuth = new ApiKeyAuth({ db, redis, getConfig, logger });
+
+// User sessions (JWT access tokens backed by the sessions table)
+const sessionAuth = new SessionAuth({ db, redis, logger });
+
+// requireRole('operator' | 'admin') for administrative routes
+const requireRole = createRoleGuard({ sessionAuth, logger });
+
+// Daily / monthly quotas (Redis counters checkpointed to rate_limits)
+const quotaManager = new QuotaManager({ redis, db, logger });
+
+// Background health checks
+const healthScheduler = new HealthScheduler(getConfig(), { db, logger, secrets });
+
+// Scheduled refresh of the `warm` requests in apis.yaml
+const cacheWarmer = new CacheWarmer(getConfig(), { cacheStrategies, circuitBreaker, rateLimiter, secrets, redis, logger });
 
 // Gemini AI
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'demo');
 const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
 
-// Rate limiting
-async function rateLimit(service, userId) {
-  const key = `rl:${service}:${userId}`;
-  try {
-    const current = await redis.incr(key);
-    if (current === 1) await redis.expire(key, 60);
-    
-    const limit = yamlConfig[service]?.rateLimit || 100;
-    return current > limit;
-  } catch (error) {
-    logger.error('Rate limit check failed:', error);
-    return false;
-  }
-}
-
-// Uptime oracle
-async function verifyUptime(serviceUrl, checks = 3) {
-  const results = await Promise.allSettled(
-    Array(checks).fill(0).map(() => 
-      axios.get(serviceUrl, { 
-        timeout: 3000,
-        validateStatus: (status) => status < 500 
-      })
-      .then(() => true)
-      .catch(() => false)
-    )
-  );
-  
-  const successful = results.filter(r => r.status === 'fulfilled' && r.value).length;
-  const uptimePercent = (successful / checks) * 100;
-  
-  return {
-    up: uptimePercent >= 66,
-    uptimePercent,
-    checks: results.length
-  };
-}
-
 // Routes
 app.get('/', (req, res) => {
   res.redirect('/advanced-dashboard.html');
 });
 
 app.get('/health', async (req, res) => {
+  const services = Object.keys(getConfig());
+  const circuits = await circuitBreaker.getAll(services).catch(() => null);
+  const openCircuits = circuits
+    ? Object.keys(circuits).filter(service => circuits[service].state !== 'closed')
+    : [];
+
   const health = {
-    status: 'healthy',
+    status: openCircuits.length > 0 ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     services: {
       dragonfly: await redis.ping().then(() => 'connected').catch(() => 'disconnected'),
       websocket: wsServer ? 'active' : 'inactive',
-      apis: Object.keys(yamlConfig).length
+      apis: services.length
     },
+    circuits,
     stats: wsServer ? wsServer.getStats() : null
   };
   res.json(health);
 });
 
-// WebSocket stats endpoint
-app.get('/ws/stats', (req, res) => {
+// Per-service health from the background checks
+app.get('/health/services', (req, res) => {
+  const services = healthScheduler.getStatus();
+  const summary = services.reduce((acc, s) => {
+    acc[s.status] = (acc[s.status] || 0) + 1;
+    return acc;
+  }, {});
+  res.json({
+    status: 'success',
+    timestamp: new Date().toISOString(),
+    summary,
+    data: services
+  });
+});
+
+// Last result of each scheduled cache warm
+app.get('/health/warming', (req, res) => {
+  const entries = cacheWarmer.getStatus();
+  const summary = entries.reduce((acc, e) => {
+    acc[e.status] = (acc[e.status] || 0) + 1;
+    return acc;
+  }, {});
+  res.json({
+    status: 'success',
+    timestamp: new Date().toISOString(),
+    summary,
+    data: entries
+  });
+});
+
+app.get('/health/services/:service', (req, res) => {
+  const limit = Math.min(parseInt(req.query.history) || 50, 1000);
+  const status = healthScheduler.getServiceStatus(req.params.service, { historyLimit: limit });
+  if (!status) {
+    return res.status(404).json({ status: 'error', message: 'Service not found' });
+  }
+  res.json({ status: 'success', data: status });
+});
+
+// Analytics routes (resetting is admin only)
+app.post('/analytics/reset', requireRole('admin'), audit.middleware('analytics.reset', () => ({
+  before: getAnalyticsSummary().overview
+})));
+app.use('/analytics', analyticsRoutes);
+
+// WebSocket stats endpoint (lists client IPs)
+app.get('/ws/stats', requireRole('operator'), (req, res) => {
   if (!wsServer) {
     return res.status(503).json({ error: 'WebSocket server not initialized' });
   }
@@ -159,89 +244,48 @@ app.get('/ws/stats', (req, res) => {
   });
 });
 
-// Cache stats endpoint
-app.get('/cache/stats', async (req, res) => {
-  try {
-    const stats = await cacheStrategies.getStats();
-    res.json({ status: 'success', data: stats });
-  } catch (error) {
-    res.status(500).json({ status: 'error', message: error.message });
-  }
-});
+// Cache inspection and invalidation (operator only)
+app.use('/cache', requireRole('operator'), setupCacheRoute({ cacheStrategies, audit, logger }));
+
+// Signup, login and sessions
+app.use('/auth', setupAuthRoute({ db, sessionAuth, rateLimiter, audit, logger }));
+
+// User roles, IP bans, config reload and audit log (admin only)
+app.use('/admin', setupAdminRoute({ db, sessionAuth, configLoader, ipFilter, audit, requireRole, logger }));
+
+// API key management (issue, list, rotate, revoke)
+app.use('/keys', setupKeysRoute({ db, apiKeyAuth, sessionAuth, audit, logger }));
+
+// The caller's quota usage
+app.use('/me', setupUsageRoute({ getConfig, apiKeyAuth, quotaManager, logger }));
 
 // API proxy with advanced caching
-app.get('/api/:service/:action?', async (req, res) => {
-  const { service, action } = req.params;
-  const userId = req.ip;
-  
-  const api = yamlConfig[service];
-  
-  if (!api) {
-    try {
-      const prompt = `API service "${service}" not found. Available services: ${Object.keys(yamlConfig).join(', ')}. Suggest the most relevant alternative service and explain why in 1-2 sentences.`;
-      const result = await model.generateContent(prompt);
-      return res.status(404).json({ 
-        error: 'Service not found',
-        suggestion: result.response.text(),
-        available: Object.keys(yamlConfig)
-      });
-    } catch (aiError) {
-      return res.status(404).json({ 
-        error: 'Service not found',
-        available: Object.keys(yamlConfig)
-      });
-    }
-  }
-  
-  if (await rateLimit(service, userId)) {
-    return res.status(429).json({ 
-      error: 'Rate limit exceeded',
-      limit: api.rateLimit || 100,
-      window: '60 seconds'
-    });
-  }
-  
-  const cacheKey = `cache:${service}:${action || 'default'}:${JSON.stringify(req.query)}`;
-  
-  try {
-    const result = await cacheStrategies.cacheAside(
-      cacheKey,
-      async () => {
-        const uptime = await verifyUptime(api.endpoint);
-        if (!uptime.up) {
-          throw new Error('Service temporarily unavailable');
-        }
-        
-        const targetUrl = `${api.endpoint}${action ? '/' + action : ''}`;
-        const response = await axios.get(targetUrl, {
-          params: req.query,
-          timeout: api.timeout || 5000,
-          headers: api.headers || {}
-        });
-        
-        logger.info(`Proxied: ${service}/${action} -> ${targetUrl}`);
-        return response.data;
-      },
-      api.cacheTTL || 300
-    );
-    
-    res.json(result);
-  } catch (error) {
-    logger.error(`Proxy error: ${service}/${action}`, error.message);
-    res.status(502).json({ 
-      error: 'Bad gateway',
-      service,
-      message: error.message
-    });
-  }
-});
+// Everything after /api/:service is forwarded, e.g. /api/github/repos/Gzeu/free-api-hub
+app.use('/api', setupProxyRoute({
+  getConfig,
+  cacheStrategies,
+  circuitBreaker,
+  rateLimiter,
+  quotaManager,
+  secrets,
+  ipFilter,
+  model,
+  logger,
+  authenticate: apiKeyAuth.middleware()
+}));
 
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
   try {
     const info = await redis.info();
+    const tiers = cacheStrategies.getTierStats();
     res.set('Content-Type', 'text/plain');
-    res.send(`# HELP dragonfly_connected_clients Number of client connections\n# TYPE dragonfly_connected_clients gauge\ndragonfly_connected_clients ${info.match(/connected_clients:(\d+)/)?.[1] || 0}\n`);
+    res.send(`# HELP dragonfly_connected_clients Number of client connections\n# TYPE dragonfly_connected_clients gauge\ndragonfly_connected_clients ${info.match(/connected_clients:(\d+)/)?.[1] || 0}\n` +
+      '# HELP proxy_cache_lookups_total Proxy cache lookups by outcome\n# TYPE proxy_cache_lookups_total counter\n' +
+      `proxy_cache_lookups_total{result="l1_hit"} ${tiers.l1.hits}\n` +
+      `proxy_cache_lookups_total{result="l2_hit"} ${tiers.l2.hits}\n` +
+      `proxy_cache_lookups_total{result="miss"} ${tiers.misses}\n` +
+      `# HELP proxy_cache_l1_bytes Bytes held by the in-memory cache tier\n# TYPE proxy_cache_l1_bytes gauge\nproxy_cache_l1_bytes ${tiers.l1.bytes}\n`);
   } catch (error) {
     res.status(500).send('# Error fetching metrics');
   }
@@ -251,15 +295,53 @@ app.get('/metrics', async (req, res) => {
 async function start() {
   try {
     await redis.connect();
-    
-    // Initialize cache strategies
-    cacheStrategies = new CacheStrategies(redis, logger);
     logger.info('Cache strategies initialized');
     
     // Initialize WebSocket server
     wsServer = new WebSocketServer(server);
     logger.info('WebSocket server initialized on /ws');
     
+    // Relay circuit breaker changes from every instance to the 'circuits' channel
+    subscriber = redis.duplicate();
+    await subscriber.connect();
+    await subscriber.subscribe(CircuitBreaker.CHANNEL, (message) => {
+      wsServer.publishToChannel('circuits', {
+        type: 'circuit_state_change',
+        data: JSON.parse(message)
+      });
+    });
+
+    // Drop in-memory (L1) cache entries purged on other instances
+    await subscriber.subscribe(CacheStrategies.INVALIDATION_CHANNEL, (message) => {
+      cacheStrategies.handleInvalidation(message);
+    });
+    
+    // Upgrade databases created from an older schema.sql
+    await db.migrate().catch(error => logger.error(`Database migrations failed: ${error.message}`));
+
+    await bootstrapAdmin({ db, logger, hashPassword: SessionAuth.hashPassword, audit });
+
+    healthScheduler.start();
+    cacheWarmer.start();
+    apiKeyAuth.start();
+    sessionAuth.start();
+    await quotaManager.start();
+
+    // Hot-reload config/apis.yaml; invalid edits keep the previous config
+    configLoader.on('reload', (event, config, previous) => {
+      // Reloads requested through /admin are audited with their actor there
+      if (event.source !== 'admin') audit.recordConfigReload(null, event, config, previous);
+      secrets.load();
+      secrets.check(config);
+      healthScheduler.reload(config);
+      cacheWarmer.reload(config);
+      wsServer.publishToChannel('config', { type: 'config_reloaded', data: event });
+    });
+    configLoader.on('invalid', (event) => {
+      wsServer.publishToChannel('config', { type: 'config_invalid', data: event });
+    });
+    configLoader.watch();
+    
     // Broadcast analytics updates via WebSocket
     setInterval(() => {
       const analytics = getAnalyticsSummary();
@@ -276,7 +358,7 @@ async function start() {
       logger.info(`📈 Analytics: http://localhost:${PORT}/analytics`);
       logger.info(`⚡ WebSocket: ws://localhost:${PORT}/ws`);
       logger.info(`💚 Health: http://localhost:${PORT}/health`);
-      logger.info(`🎯 API Proxy: http://localhost:${PORT}/api/:service/:action`);
+      logger.info(`🎯 API Proxy: http://localhost:${PORT}/api/:service/*`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -290,7 +372,15 @@ start();
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   if (wsServer) wsServer.close();
+  configLoader.close();
+  healthScheduler.stop();
+  cacheWarmer.stop();
+  await apiKeyAuth.stop();
+  sessionAuth.stop();
+  await quotaManager.stop();
+  if (subscriber) await subscriber.quit();
   await redis.quit();
+  await db.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
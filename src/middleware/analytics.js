@@ -1,4 +1,5 @@
 const winston = require('winston');
+const { redact } = require('../config/secrets');
 
 // In-memory analytics store (can be replaced with Redis/PostgreSQL later)
 const analytics = {
@@ -8,7 +9,8 @@ const analytics = {
   errors: new Map(),
   responseTime: [],
   cacheHits: 0,
-  cacheMisses: 0
+  cacheMisses: 0,
+  cacheCoalesced: 0
 };
 
 // Analytics middleware
@@ -20,13 +22,26 @@ function analyticsMiddleware(req, res, next) {
   const requestData = {
     timestamp: new Date().toISOString(),
     method: req.method,
-    path: req.path,
+    path: redact(req.path),
     ip: req.ip,
     userAgent: req.get('user-agent')
   };
   
+  let jsonCaptured = false;
+  let jsonBody;
+
   // Override res.json to capture response
   res.json = function(data) {
+    jsonCaptured = true;
+    jsonBody = data;
+    return originalJson(data);
+  };
+
+  // Record on finish so proxied text/binary bodies (streamed or sent raw) count too
+  res.on('finish', () => {
+    if (!jsonCaptured && !res.locals.proxy) return;
+
+    const data = jsonBody;
     const duration = Date.now() - start;
     
     // Track response time
@@ -36,53 +51,60 @@ function analyticsMiddleware(req, res, next) {
     }
     
     // Track endpoint usage
-    const endpoint = `${req.method} ${req.path}`;
+    // req.path is relative inside mounted routers, so use the path captured up front
+    const endpoint = `${req.method} ${requestData.path}`;
     analytics.endpoints.set(
       endpoint,
       (analytics.endpoints.get(endpoint) || 0) + 1
     );
     
     // Track service usage (from /api/:service/* endpoints)
-    if (req.params.service) {
+    const proxy = res.locals.proxy;
+    const service = proxy ? proxy.service : req.params.service;
+    if (service) {
       analytics.services.set(
-        req.params.service,
-        (analytics.services.get(req.params.service) || 0) + 1
+        service,
+        (analytics.services.get(service) || 0) + 1
       );
     }
     
     // Track errors
     if (res.statusCode >= 400) {
-      const errorKey = `${res.statusCode}: ${req.path}`;
+      const errorKey = `${res.statusCode}: ${requestData.path}`;
       analytics.errors.set(
         errorKey,
         (analytics.errors.get(errorKey) || 0) + 1
       );
     }
     
-    // Track cache hits/misses
-    if (data && typeof data === 'object') {
-      if (data.cached === true) {
-        analytics.cacheHits++;
-      } else if (data.cached === false) {
-        analytics.cacheMisses++;
-      }
+    // Track cache hits/misses (raw proxy responses report through res.locals)
+    const cached = typeof res.locals.cached === 'boolean'
+      ? res.locals.cached
+      : (data && typeof data === 'object' ? data.cached : undefined);
+    if (cached === true) {
+      analytics.cacheHits++;
+    } else if (cached === false) {
+      analytics.cacheMisses++;
+    }
+    if (res.locals.coalesced) {
+      analytics.cacheCoalesced++;
     }
     
     // Store request with response data
     analytics.requests.push({
       ...requestData,
+      service: service || null,
+      upstreamPath: proxy ? redact(proxy.path) : null,
       statusCode: res.statusCode,
       duration,
-      cached: data?.cached || false
+      cached: cached || false
     });
     
     // Keep only last 1000 requests
     if (analytics.requests.length > 1000) {
       analytics.requests.shift();
     }
-    
-    return originalJson(data);
-  };
+  });
   
   next();
 }
@@ -147,6 +169,7 @@ function getAnalyticsSummary() {
     cache: {
       hits: analytics.cacheHits,
       misses: analytics.cacheMisses,
+      coalesced: analytics.cacheCoalesced,
       hitRate: Math.round(cacheHitRate * 100) / 100
     },
     topEndpoints,
@@ -165,6 +188,7 @@ function resetAnalytics() {
   analytics.responseTime = [];
   analytics.cacheHits = 0;
   analytics.cacheMisses = 0;
+  analytics.cacheCoalesced = 0;
 }
 
 module.exports = {
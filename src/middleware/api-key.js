@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+/**
+ * API key authentication for the proxy
+ *
+ * Keys are sent as an `X-API-Key` header or `api_key` query parameter and
+ * stored only as SHA-256 hashes (api_keys.key_hash). Lookups are cached in
+ * Redis under `apikey:<hash>` - unknown keys too, briefly - so a request
+ * costs no database round trip. Usage counts are buffered and flushed to
+ * the database periodically.
+ *
+ * Services accept anonymous callers unless they set `allowAnonymous: false`.
+ * On success `req.apiKey` holds { id, name, rateLimit, quota, allowedServices, expiresAt };
+ * anonymous requests get `req.apiKey = null`.
+ */
+
+const DEFAULTS = {
+  cacheTTL: 60,          // seconds a found key is cached
+  negativeCacheTTL: 30,  // seconds an unknown key is remembered as unknown
+  flushInterval: 10000   // ms between usage count flushes
+};
+
+const KEY_PREFIX = 'fah_';
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New random key. Only the hash is stored; `prefix` identifies it in listings.
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+class ApiKeyAuth {
+  constructor({ db, redis, getConfig, logger }, options = {}) {
+    this.db = db;
+    this.redis = redis;
+    this.getConfig = getConfig;
+    this.logger = logger;
+    this.options = { ...DEFAULTS, ...options };
+    this.usage = new Map();
+    this.timer = null;
+  }
+
+  cacheKey(keyHash) {
+    return `apikey:${keyHash}`;
+  }
+
+  /**
+   * Express middleware for routes with a `:service` param.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const api = this.getConfig()[req.params.service];
+      // Unknown services are answered (404) by the route itself
+      if (!api) return next();
+
+      const key = this.extractKey(req);
+      if (!key) {
+        if (api.allowAnonymous !== false) {
+          req.apiKey = null;
+          return next();
+        }
+        res.set('WWW-Authenticate', 'ApiKey');
+        return res.status(401).json({ error: 'API key required', service: req.params.service });
+      }
+
+      const keyHash = hashApiKey(key);
+      let record;
+      try {
+        record = await this.lookup(keyHash);
+      } catch (error) {
+        // Fail closed: a key we cannot check is not accepted
+        this.logger.error('API key lookup failed:', error);
+        return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+      }
+
+      const rejection = this.check(record, req.params.service);
+      if (rejection) {
+        if (rejection.status === 401) res.set('WWW-Authenticate', 'ApiKey');
+        return res.status(rejection.status).json({ error: rejection.error, service: req.params.service });
+      }
+
+      req.apiKey = {
+        id: record.id,
+        name: record.name,
+        rateLimit: record.rateLimit,
+        quota: record.quota || null,
+        allowedServices: record.allowedServices,
+        expiresAt: record.expiresAt
+      };
+      this.countUsage(keyHash);
+      next();
+    };
+  }
+
+  /**
+   * Take the key from the header or query string. The query parameter is
+   * removed so it is neither forwarded upstream nor part of the cache key.
+   */
+  extractKey(req) {
+    const header = req.get('X-API-Key');
+    const query = req.query && req.query.api_key;
+    if (query !== undefined) {
+      delete req.query.api_key;
+    }
+    const key = header || (typeof query === 'string' ? query : null);
+    return key ? key.trim() : null;
+  }
+
+  /**
+   * Returns { status, error } when the key may not be used (for this service, if given).
+   */
+  check(record, service = null) {
+    if (!record || !record.isActive) {
+      return { status: 401, error: 'Invalid API key' };
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      return { status: 401, error: 'API key expired' };
+    }
+    if (service && record.allowedServices && record.allowedServices.length > 0 &&
+        !record.allowedServices.includes(service)) {
+      return { status: 403, error: 'API key not allowed for this service' };
+    }
+    return null;
+  }
+
+  /**
+   * Cached key lookup. Redis problems fall back to the database.
+   */
+  async lookup(keyHash) {
+    const cacheKey = this.cacheKey(keyHash);
+    try {
+      const cached = await this.redis.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    } catch (error) {
+      this.logger.error('API key cache read error:', error);
+    }
+
+    const row = await this.db.getApiKey(keyHash);
+    const record = row
+      ? {
+        id: row.id,
+        name: row.name,
+        isActive: row.is_active,
+        rateLimit: row.rate_limit,
+        quota: (row.metadata && row.metadata.quota) || null,
+        allowedServices: row.allowed_services,
+        expiresAt: row.expires_at
+      }
+      : null;
+
+    try {
+      const ttl = record ? this.options.cacheTTL : this.options.negativeCacheTTL;
+      await this.redis.setEx(cacheKey, ttl, JSON.stringify(record));
+    } catch (error) {
+      this.logger.error('API key cache write error:', error);
+    }
+    return record;
+  }
+
+  /**
+   * Drop a cached lookup, e.g. after the key was deactivated.
+   */
+  async invalidate(keyHash) {
+    await this.redis.del(this.cacheKey(keyHash));
+  }
+
+  countUsage(keyHash, count = 1) {
+    this.usage.set(keyHash, (this.usage.get(keyHash) || 0) + count);
+  }
+
+  async flushUsage() {
+    const pending = [...this.usage];
+    this.usage = new Map();
+
+    for (let i = 0; i < pending.length; i++) {
+      try {
+        await this.db.addApiKeyUsage(...pending[i]);
+      } catch (error) {
+        // Keep this and the remaining counts for the next flush
+        for (const [keyHash, count] of pending.slice(i)) {
+          this.countUsage(keyHash, count);
+        }
+        this.logger.warn(`Failed to record API key usage: ${error.message}`);
+        break;
+      }
+    }
+  }
+
+  start() {
+    this.timer = setInterval(() => this.flushUsage(), this.options.flushInterval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    await this.flushUsage();
+  }
+}
+
+module.exports = ApiKeyAuth;
+module.exports.hashApiKey = hashApiKey;
+module.exports.generateApiKey = generateApiKey;
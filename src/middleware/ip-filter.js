@@ -0,0 +1,233 @@
+const net = require('net');
+
+/**
+ * IP allow/deny lists and automatic bans
+ *
+ * `req.ip` is the client address as resolved through the trusted proxies
+ * (TRUST_PROXY, see parseTrustProxy), so everything here - and the rate
+ * limits, quotas and analytics - sees the real client behind APISIX.
+ *
+ * Lists are IPs or CIDR ranges (IPv4 and IPv6). Deny always wins; a
+ * non-empty allow list admits only matching clients. The global lists
+ * (IP_ALLOW / IP_DENY) guard every route, per-service `ipAllow` / `ipDeny`
+ * only that service's proxy route.
+ *
+ * Clients that collect `banThreshold` 429 responses within `banWindow`
+ * seconds are banned for `banDuration` seconds. Bans live in Redis
+ * (`ipban:<ip>`) so they apply on every instance.
+ */
+
+const DEFAULTS = {
+  banThreshold: parseInt(process.env.BAN_THRESHOLD) || 30,  // 429s ...
+  banWindow: parseInt(process.env.BAN_WINDOW) || 60,        // ... within this many seconds
+  banDuration: parseInt(process.env.BAN_DURATION) || 900    // seconds
+};
+
+const BAN_PREFIX = 'ipban:';
+const STRIKE_PREFIX = 'ipstrikes:';
+
+/**
+ * TRUST_PROXY -> Express 'trust proxy' value: a hop count ("1"), true/false,
+ * or a comma-separated list of addresses, CIDRs and names like "loopback".
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * "::ffff:10.0.0.1" -> "10.0.0.1"
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return null;
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * IP/CIDR strings -> net.BlockList. Throws on an invalid entry; the config
+ * schema runs service lists through here, so checkService() never does.
+ */
+function compileList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) throw new Error(`Invalid IP or CIDR: ${entry}`);
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, Number(prefix), family);
+    }
+  }
+  return list;
+}
+
+function matches(list, ip) {
+  const address = normalizeIp(ip);
+  if (!list || !address || !net.isIP(address)) return false;
+  return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+class IpFilter {
+  constructor({ redis, logger, audit = null }, options = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.audit = audit;
+    this.options = { ...DEFAULTS, ...options };
+
+    const allow = options.allow || splitList(process.env.IP_ALLOW);
+    this.allow = compileList(allow);
+    this.deny = compileList(options.deny || splitList(process.env.IP_DENY));
+    this.hasAllow = allow.length > 0;
+
+    // Per-service lists, compiled once per config object (a reload brings new arrays)
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * null when `ip` may pass, else the reason ('denied' | 'not_allowed').
+   */
+  check(ip, { allow = this.allow, deny = this.deny, hasAllow = this.hasAllow } = {}) {
+    if (matches(deny, ip)) return 'denied';
+    if (hasAllow && !matches(allow, ip)) return 'not_allowed';
+    return null;
+  }
+
+  /**
+   * Same check against a service's `ipAllow` / `ipDeny`.
+   */
+  checkService(api, ip) {
+    if (!api.ipAllow && !api.ipDeny) return null;
+
+    let lists = this.compiled.get(api);
+    if (!lists) {
+      lists = {
+        allow: compileList(api.ipAllow || []),
+        deny: compileList(api.ipDeny || []),
+        hasAllow: Boolean(api.ipAllow && api.ipAllow.length > 0)
+      };
+      this.compiled.set(api, lists);
+    }
+    return this.check(ip, lists);
+  }
+
+  /**
+   * Global middleware: bans and the global lists, then counts 429s toward a ban.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const ip = normalizeIp(req.ip);
+
+      const reason = this.check(ip);
+      if (reason) {
+        return res.status(403).json({ error: 'Forbidden', reason: `ip_${reason}` });
+      }
+
+      let ban = null;
+      try {
+        ban = await this.getBan(ip);
+      } catch (error) {
+        // Fail open: a Redis outage must not lock everyone out
+        this.logger.error('Ban lookup failed:', error);
+      }
+      if (ban) {
+        res.set('Retry-After', String(Math.max(1, ban.expiresIn)));
+        return res.status(403).json({
+          error: 'Forbidden',
+          reason: 'ip_banned',
+          message: `Too many rate-limited requests; banned until ${ban.expiresAt}`,
+          retryAfter: ban.expiresIn
+        });
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode === 429) {
+          this.strike(ip).catch(error => this.logger.error('Failed to record 429 strike:', error));
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * Count a 429 for `ip`; bans it once the threshold is reached.
+   */
+  async strike(ip) {
+    const key = `${STRIKE_PREFIX}${ip}`;
+    const strikes = await this.redis.incr(key);
+    if (strikes === 1) {
+      await this.redis.expire(key, this.options.banWindow);
+    }
+    if (strikes >= this.options.banThreshold) {
+      await this.redis.del(key);
+      await this.ban(ip, {
+        reason: `${strikes} rate-limited requests within ${this.options.banWindow}s`,
+        strikes
+      });
+    }
+    return strikes;
+  }
+
+  async ban(ip, { reason, strikes = null, duration = this.options.banDuration } = {}) {
+    const now = Date.now();
+    const ban = {
+      ip,
+      reason,
+      strikes,
+      bannedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + duration * 1000).toISOString()
+    };
+    await this.redis.set(`${BAN_PREFIX}${ip}`, JSON.stringify(ban), { EX: duration });
+    this.logger.warn(`Banned ${ip} for ${duration}s: ${reason}`);
+    if (this.audit) {
+      await this.audit.record(null, {
+        action: 'ip.ban',
+        targetType: 'ip',
+        targetId: ip,
+        metadata: { reason, strikes, expiresAt: ban.expiresAt }
+      });
+    }
+    return ban;
+  }
+
+  async getBan(ip) {
+    const value = await this.redis.get(`${BAN_PREFIX}${ip}`);
+    if (!value) return null;
+    const ban = JSON.parse(value);
+    return { ...ban, expiresIn: Math.ceil((new Date(ban.expiresAt) - Date.now()) / 1000) };
+  }
+
+  /**
+   * Active bans, soonest to expire first.
+   */
+  async getBans() {
+    const bans = [];
+    for await (const key of this.redis.scanIterator({ MATCH: `${BAN_PREFIX}*`, COUNT: 100 })) {
+      const ban = await this.getBan(key.slice(BAN_PREFIX.length));
+      if (ban) bans.push(ban);
+    }
+    return bans.sort((a, b) => a.expiresIn - b.expiresIn);
+  }
+
+  /**
+   * Lift a ban; false when `ip` was not banned.
+   */
+  async unban(ip) {
+    const address = normalizeIp(ip);
+    const removed = await this.redis.del(`${BAN_PREFIX}${address}`);
+    await this.redis.del(`${STRIKE_PREFIX}${address}`);
+    return removed > 0;
+  }
+}
+
+module.exports = IpFilter;
+module.exports.parseTrustProxy = parseTrustProxy;
+module.exports.normalizeIp = normalizeIp;
+module.exports.compileList = compileList;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+/**
+ * Role-based access control for administrative routes
+ *
+ * Roles come from users.role and are ordered: user < operator < admin.
+ * Operators may inspect and operate the gateway (cache, WebSocket clients);
+ * admins may also reset analytics, manage users and reload services.
+ * The ADMIN_TOKEN bearer token counts as admin.
+ *
+ * Responses: 401 without valid credentials, 403 when the role is too low.
+ */
+
+const ROLES = ['user', 'operator', 'admin'];
+
+// Rows created before operators existed may still say 'superadmin'
+const ROLE_ALIASES = { superadmin: 'admin' };
+
+function roleRank(role) {
+  return ROLES.indexOf(ROLE_ALIASES[role] || role);
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && roleRank(user.role) >= roleRank(role);
+}
+
+function isAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return false;
+  // Compare digests so the comparison is constant-time regardless of length
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * requireRole('operator') - middleware factory bound to the session store.
+ */
+function createRoleGuard({ sessionAuth, logger }) {
+  return function requireRole(role) {
+    if (roleRank(role) < 0) throw new Error(`Unknown role: ${role}`);
+
+    return async (req, res, next) => {
+      const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+      if (!bearer) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ status: 'error', message: 'Authentication required' });
+      }
+
+      let user;
+      if (isAdminToken(bearer[1])) {
+        user = { id: null, username: 'admin-token', role: 'admin' };
+      } else {
+        try {
+          user = await sessionAuth.authenticate(bearer[1]);
+        } catch (error) {
+          logger.error('Session lookup failed:', error);
+          return res.status(503).json({ status: 'error', message: 'Authentication temporarily unavailable' });
+        }
+      }
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ status: 'error', message: 'Invalid or expired token' });
+      }
+      if (!hasRole(user, role)) {
+        logger.warn(`Forbidden: ${user.username} (${user.role}) ${req.method} ${req.originalUrl} requires ${role}`);
+        return res.status(403).json({ status: 'error', message: `Requires ${role} role` });
+      }
+
+      req.user = user;
+      next();
+    };
+  };
+}
+
+/**
+ * Make the user in ADMIN_EMAIL an admin on startup, creating it with
+ * ADMIN_PASSWORD (and ADMIN_USERNAME, default "admin") if it does not exist.
+ */
+async function bootstrapAdmin({ db, logger, hashPassword, audit = null }) {
+  const email = process.env.ADMIN_EMAIL && process.env.ADMIN_EMAIL.trim().toLowerCase();
+  if (!email) return null;
+
+  try {
+    const existing = await db.getUserByEmail(email);
+    if (existing) {
+      if (roleRank(existing.role) >= roleRank('admin')) return existing;
+      const user = await db.setUserRole(existing.id, 'admin');
+      if (audit) {
+        await audit.record(null, {
+          action: 'user.role_change',
+          targetType: 'user',
+          targetId: user.id,
+          before: { role: existing.role },
+          after: { role: user.role },
+          metadata: { username: user.username, source: 'ADMIN_EMAIL' }
+        });
+      }
+      logger.info(`Bootstrap: ${email} promoted to admin`);
+      return user;
+    }
+
+    if (!process.env.ADMIN_PASSWORD) {
+      logger.warn(`Bootstrap: no user ${email} and no ADMIN_PASSWORD to create it with`);
+      return null;
+    }
+    const user = await db.createUser({
+      email,
+      username: process.env.ADMIN_USERNAME || 'admin',
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+      role: 'admin'
+    });
+    if (audit) {
+      await audit.record(null, {
+        action: 'user.create',
+        targetType: 'user',
+        targetId: user.id,
+        after: { username: user.username, email: user.email, role: user.role },
+        metadata: { source: 'ADMIN_EMAIL' }
+      });
+    }
+    logger.info(`Bootstrap: admin ${email} created`);
+    return user;
+  } catch (error) {
+    logger.error(`Bootstrap of admin ${email} failed: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  isAdminToken,
+  createRoleGuard,
+  bootstrapAdmin
+};
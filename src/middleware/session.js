@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * User sessions: scrypt password hashes, JWT access tokens, refresh tokens
+ *
+ * Logging in creates a row in `sessions` (with IP and user agent) and returns
+ * a short-lived JWT access token carrying the session id (`sid`) plus an
+ * opaque refresh token, stored only as a SHA-256 hash and rotated on every
+ * refresh. Every request re-checks that the session still exists (cached in
+ * Redis under `session:<id>`), so logging out or terminating a session
+ * revokes its access tokens immediately instead of when they expire.
+ *
+ * On success `req.user` holds { id, username, role, sessionId }.
+ */
+
+const DEFAULTS = {
+  accessTokenTTL: process.env.JWT_EXPIRES_IN || '15m',
+  sessionTTL: parseInt(process.env.SESSION_TTL) || 30 * 24 * 60 * 60, // seconds a refresh token lives
+  cacheTTL: 60,           // seconds a session lookup is cached
+  cleanupInterval: 60 * 60 * 1000 // ms between purges of expired sessions
+};
+
+// N=2^15, r=8, p=1 - about 32 MB and a few tens of ms per hash
+const SCRYPT = { N: 32768, r: 8, p: 1, keylen: 64, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * "scrypt$N$r$p$salt$hash" (base64), so the parameters can be raised later
+ * without breaking existing hashes.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keylen, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, hash] = String(stored).split('$');
+  if (algorithm !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: SCRYPT.maxmem
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class SessionAuth {
+  constructor({ db, redis, logger }, options = {}) {
+    this.db = db;
+    this.redis = redis;
+    this.logger = logger;
+    this.options = { ...DEFAULTS, ...options };
+
+    this.secret = this.options.secret || process.env.JWT_SECRET;
+    if (!this.secret) {
+      // Tokens still work, but only until this process restarts
+      this.secret = crypto.randomBytes(32).toString('hex');
+      this.logger.warn('JWT_SECRET is not set - using a random secret, sessions will not survive a restart');
+    }
+
+    // Verified against when the user does not exist, so both cases take as long
+    this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    this.timer = null;
+  }
+
+  cacheKey(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * The user for `login` (email or username) if `password` matches.
+   */
+  async verifyCredentials(login, password) {
+    const user = login.includes('@')
+      ? await this.db.getUserByEmail(login.toLowerCase())
+      : await this.db.getUserByUsername(login);
+
+    const ok = await verifyPassword(password, user ? user.password_hash : await this.dummyHash);
+    return user && ok ? user : null;
+  }
+
+  /**
+   * New session for `user`; resolves { session, accessToken, refreshToken, expiresIn }.
+   */
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const session = await this.db.createSession({
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      expiresAt: new Date(Date.now() + this.options.sessionTTL * 1000)
+    });
+    return { session, refreshToken, ...this.signAccessToken(user, session.id) };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Resolves null when the token is unknown, already used or expired.
+   */
+  async refresh(refreshToken, req) {
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    const row = await this.db.rotateSessionToken(hashToken(refreshToken), hashToken(nextToken), {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (!row) return null;
+
+    const session = await this.lookup(row.id);
+    if (!session) return null;
+
+    return {
+      session: row,
+      refreshToken: nextToken,
+      ...this.signAccessToken({ id: session.userId, username: session.username, role: session.role }, row.id)
+    };
+  }
+
+  signAccessToken(user, sessionId) {
+    const accessToken = jwt.sign(
+      { sub: user.id, sid: sessionId, username: user.username, role: user.role },
+      this.secret,
+      { algorithm: 'HS256', expiresIn: this.options.accessTokenTTL }
+    );
+    const { exp, iat } = jwt.decode(accessToken);
+    return { accessToken, expiresIn: exp - iat };
+  }
+
+  /**
+   * `req.user` for a bearer access token, or null. Throws only when the
+   * session store cannot be reached.
+   */
+  async authenticate(accessToken) {
+    let claims;
+    try {
+      claims = jwt.verify(accessToken, this.secret, { algorithms: ['HS256'] });
+    } catch (error) {
+      return null;
+    }
+
+    const session = await this.lookup(claims.sid);
+    if (!session || session.userId !== claims.sub) return null;
+    return { id: session.userId, username: session.username, role: session.role, sessionId: claims.sid };
+  }
+
+  /**
+   * Cached session lookup; null when the session ended or the user was deactivated.
+   */
+  async lookup(sessionId) {
+    const cacheKey = this.cacheKey(sessionId);
+    try {
+      const cached = await this.redis.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    } catch (error) {
+      this.logger.error('Session cache read error:', error);
+    }
+
+    const row = await this.db.getSession(sessionId);
+    const session = row
+      ? { userId: row.user_id, username: row.username, role: row.role, expiresAt: row.expires_at }
+      : null;
+
+    if (session) {
+      try {
+        await this.redis.setEx(cacheKey, this.options.cacheTTL, JSON.stringify(session));
+      } catch (error) {
+        this.logger.error('Session cache write error:', error);
+      }
+    }
+    return session;
+  }
+
+  /**
+   * Forget cached sessions after they were deleted.
+   */
+  async invalidate(sessionIds) {
+    const ids = [].concat(sessionIds);
+    if (ids.length > 0) {
+      await this.redis.del(ids.map(id => this.cacheKey(id)));
+    }
+  }
+
+  /**
+   * Express middleware: requires `Authorization: Bearer <access token>`.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+      if (!bearer) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ status: 'error', message: 'Authentication required' });
+      }
+
+      try {
+        const user = await this.authenticate(bearer[1]);
+        if (!user) {
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ status: 'error', message: 'Invalid or expired token' });
+        }
+        req.user = user;
+        next();
+      } catch (error) {
+        this.logger.error('Session lookup failed:', error);
+        res.status(503).json({ status: 'error', message: 'Authentication temporarily unavailable' });
+      }
+    };
+  }
+
+  async purgeExpired() {
+    try {
+      const count = await this.db.deleteExpiredSessions();
+      if (count > 0) this.logger.info(`Purged ${count} expired sessions`);
+    } catch (error) {
+      this.logger.warn(`Failed to purge expired sessions: ${error.message}`);
+    }
+  }
+
+  start() {
+    this.timer = setInterval(() => this.purgeExpired(), this.options.cleanupInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = SessionAuth;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
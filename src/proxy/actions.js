@@ -0,0 +1,212 @@
+const Joi = require('joi');
+
+/**
+ * Declarative query validation for service actions
+ *
+ * A service may describe its upstream paths ("actions") in apis.yaml:
+ *
+ *   actions:
+ *     simple/price:
+ *       description: Current price of one or more coins
+ *       params:
+ *         ids: { type: array, required: true }
+ *         vs_currencies: { type: array, default: [usd] }
+ *         include_24hr_change: { type: boolean }
+ *     coins/{id}:                  # {name} matches one path segment
+ *       params:
+ *         localization: { type: boolean, default: false }
+ *
+ * Requests to a described action have their query string validated before
+ * any rate limit, quota or cache work: wrong types, missing required
+ * parameters and (unless `unknownParams` says otherwise) unknown parameters
+ * get a 400 with one entry per field. The validated query - converted, with
+ * defaults applied - is what gets forwarded and cached. Paths without an
+ * action pass through unchanged.
+ *
+ * `array` parameters are comma-separated lists (`ids=bitcoin,ethereum`, or
+ * repeated parameters) and are forwarded comma-joined.
+ */
+
+const PARAM_TYPES = ['string', 'integer', 'number', 'boolean', 'array'];
+const ITEM_TYPES = ['string', 'integer', 'number', 'boolean'];
+const UNKNOWN_PARAMS = ['reject', 'strip', 'allow'];
+
+function scalarSchema(type, spec = {}) {
+  let schema;
+  switch (type) {
+    case 'integer':
+      schema = Joi.number().integer();
+      break;
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'boolean':
+      return Joi.boolean();
+    default:
+      schema = Joi.string();
+      if (spec.pattern) schema = schema.pattern(new RegExp(spec.pattern));
+  }
+
+  // min/max bound the value of numbers and the length of strings
+  if (spec.min !== undefined) schema = schema.min(spec.min);
+  if (spec.max !== undefined) schema = schema.max(spec.max);
+  if (spec.enum) schema = schema.valid(...spec.enum);
+  return schema;
+}
+
+/**
+ * Joi schema for one parameter spec. Query values arrive as strings and
+ * are converted to the declared type.
+ */
+function paramSchema(spec) {
+  const type = spec.type || 'string';
+  let schema;
+
+  if (type === 'array') {
+    schema = Joi.array()
+      .items(scalarSchema(spec.items || 'string', { ...spec, min: undefined, max: undefined }))
+      .single();
+    if (spec.min !== undefined) {
+      schema = schema.min(spec.min);
+    } else if (spec.required) {
+      // `ids=` or `ids=,` is no list at all
+      schema = schema.min(1);
+    }
+    if (spec.max !== undefined) schema = schema.max(spec.max);
+  } else {
+    schema = scalarSchema(type, spec);
+  }
+
+  if (spec.description) schema = schema.description(spec.description);
+  if (spec.default !== undefined) schema = schema.default(spec.default);
+  return spec.required ? schema.required() : schema;
+}
+
+/**
+ * "coins/{id}/history" -> { regex, pathParams: ['id'] }
+ */
+function compilePattern(name) {
+  const pathParams = [];
+  const source = name.replace(/^\/+|\/+$/g, '').split('/').map(segment => {
+    const param = segment.match(/^\{([^/{}]+)\}$/);
+    if (param) {
+      pathParams.push(param[1]);
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`), pathParams };
+}
+
+/**
+ * Compile an action definition; throws when a pattern or default is invalid.
+ */
+function compileAction(name, action) {
+  const params = action.params || {};
+  const keys = {};
+  for (const [param, spec] of Object.entries(params)) {
+    keys[param] = paramSchema(spec);
+
+    // A default that fails its own rules would turn every request into a 400
+    if (spec.default !== undefined) {
+      const { error } = keys[param].validate(spec.default, { errors: { label: false } });
+      if (error) throw new Error(`default of "${param}": ${error.message}`);
+    }
+  }
+
+  const unknownParams = action.unknownParams || 'reject';
+  // Joi only strips keys it would otherwise reject, so leave unknown() unset for 'strip'
+  let schema = Joi.object(keys);
+  if (unknownParams === 'allow') schema = schema.unknown(true);
+
+  return {
+    name,
+    ...compilePattern(name),
+    schema,
+    // A schema's own prefs do not reach its unknown keys; validateQuery passes these
+    options: { stripUnknown: unknownParams === 'strip', abortEarly: false, convert: true },
+    params: Object.keys(params),
+    arrayParams: Object.keys(params).filter(param => params[param].type === 'array'),
+    methods: action.methods || null
+  };
+}
+
+// Compiled actions per service config object (a reload brings new objects)
+const compiled = new WeakMap();
+
+function getActions(api) {
+  if (!api.actions) return [];
+  if (!compiled.has(api)) {
+    compiled.set(api, Object.entries(api.actions).map(([name, action]) => compileAction(name, action)));
+  }
+  return compiled.get(api);
+}
+
+// HEAD follows GET, as it does for the service's `methods`
+function matchesMethod(action, method) {
+  if (!action.methods) return true;
+  return action.methods.includes(method) || (method === 'HEAD' && action.methods.includes('GET'));
+}
+
+/**
+ * The compiled action describing `path` (and `method`), or null.
+ */
+function findAction(api, path, method) {
+  return getActions(api).find(action =>
+    action.regex.test(path) && matchesMethod(action, method)
+  ) || null;
+}
+
+/**
+ * Validate `query` against the action for `path`.
+ *
+ * @returns {{ action: string|null, query: object, errors: object[]|null }}
+ *   the query to forward, or the field errors ({ field, message, type })
+ */
+function validateQuery(api, path, method, query) {
+  const action = findAction(api, path, method);
+  if (!action) return { action: null, query, errors: null };
+
+  // "a,b" and repeated parameters both become one list
+  const input = { ...query };
+  for (const param of action.arrayParams) {
+    if (input[param] !== undefined) {
+      input[param] = [].concat(input[param]).flatMap(item => String(item).split(',')).filter(Boolean);
+    }
+  }
+
+  const { value, error } = action.schema.validate(input, action.options);
+  if (error) {
+    return {
+      action: action.name,
+      query,
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message.replace(/"/g, ''),
+        type: detail.type
+      }))
+    };
+  }
+
+  // Back to query-string form; undeclared parameters (unknownParams: allow) stay as sent
+  const validated = { ...value };
+  for (const param of action.params) {
+    const item = validated[param];
+    if (item === undefined || item === null) {
+      delete validated[param];
+    } else {
+      validated[param] = Array.isArray(item) ? item.join(',') : String(item);
+    }
+  }
+  return { action: action.name, query: validated, errors: null };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  ITEM_TYPES,
+  UNKNOWN_PARAMS,
+  compileAction,
+  compilePattern,
+  findAction,
+  validateQuery
+};
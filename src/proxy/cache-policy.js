@@ -0,0 +1,147 @@
+const { UpstreamError } = require('./errors');
+const { buildCacheKey } = require('../cache/keys');
+
+/**
+ * How a service's responses are cached, shared by the proxy route and the
+ * cache warmer so both read and write the same entries.
+ *
+ * `cacheStrategy` picks the read path (see src/cache/strategies.js):
+ *   cache-aside             fetch on a miss, keep for the TTL
+ *   refresh-ahead           also refetch in the background once `refreshThreshold`
+ *                           of the TTL has passed, so hot keys never expire
+ *   stale-while-revalidate  keep entries past their TTL by the longest of staleTTL,
+ *                           staleIfError and revalidateTTL (the default when one is set)
+ *   none                    never cache
+ *
+ * `cacheTTL` (default 300) is the fresh lifetime; with `honorCacheControl`
+ * the upstream's headers decide and cacheTTL is only the fallback. Fresh
+ * entries are kept in memory for `l1TTL`. `cacheKey` shapes the key: params
+ * to ignore, request headers to vary on and a version to bump.
+ */
+
+const CACHE_STRATEGIES = ['cache-aside', 'refresh-ahead', 'stale-while-revalidate', 'none'];
+const DEFAULT_CACHE_TTL = 300;
+const DEFAULT_CACHE_METHODS = ['GET'];
+// Fraction of the TTL after which refresh-ahead refetches
+const DEFAULT_REFRESH_THRESHOLD = 0.8;
+// Seconds an expired entry is kept for conditional revalidation under honorCacheControl
+const DEFAULT_REVALIDATE_TTL = 3600;
+
+/**
+ * Methods whose responses may be cached. Only GET by default, since
+ * POST/PUT/PATCH/DELETE change upstream state and must always reach it.
+ */
+function getCacheMethods(api) {
+  return (api.cacheMethods || DEFAULT_CACHE_METHODS).map(m => m.toUpperCase());
+}
+
+function isCacheable(api, method) {
+  if (api.cacheStrategy === 'none') return false;
+  // cacheTTL is only the fallback when upstream headers decide
+  const ttl = api.cacheTTL ?? DEFAULT_CACHE_TTL;
+  return (ttl > 0 || Boolean(api.honorCacheControl)) && getCacheMethods(api).includes(method);
+}
+
+/**
+ * The request headers listed in `cacheKey.vary` that `getHeader(name)`
+ * finds, by lowercase name. They are forwarded upstream and keyed.
+ */
+function varyHeaders(api, getHeader) {
+  const headers = {};
+  for (const name of (api.cacheKey && api.cacheKey.vary) || []) {
+    const value = getHeader(name);
+    if (value !== undefined) headers[name.toLowerCase()] = value;
+  }
+  return headers;
+}
+
+/**
+ * Cache key for one request; `vary` comes from varyHeaders().
+ */
+function cacheKeyFor(service, api, { path, method = 'GET', query = {}, body, vary = {} }) {
+  const { ignoreParams = [], version = null } = api.cacheKey || {};
+
+  const keyed = { ...query };
+  for (const name of ignoreParams) {
+    delete keyed[name];
+  }
+  return buildCacheKey(service, path, method, keyed, body, { vary, version });
+}
+
+/**
+ * Seconds a fetched result stays fresh; 0 means it is not stored.
+ */
+function entryTTL(api) {
+  const ttl = api.cacheTTL ?? DEFAULT_CACHE_TTL;
+  return (entry) => {
+    // Bodies that outgrew maxCacheBytes were streamed but not kept
+    if (entry.type === 'raw' && !entry.body) return 0;
+    if (!api.honorCacheControl || !entry.freshness) return ttl;
+    if (!entry.freshness.store) return 0;
+    return entry.freshness.maxAge ?? ttl;
+  };
+}
+
+function cacheOptions(api) {
+  const staleTTL = api.staleTTL || 0;
+  const staleIfError = api.staleIfError ?? api.staleTTL ?? 0;
+  const revalidateTTL = api.revalidateTTL ?? (api.honorCacheControl ? DEFAULT_REVALIDATE_TTL : 0);
+  const keep = Math.max(staleTTL, staleIfError, revalidateTTL);
+  const strategy = api.cacheStrategy || (keep > 0 ? 'stale-while-revalidate' : 'cache-aside');
+
+  return {
+    strategy,
+    staleTTL,
+    staleIfError,
+    revalidateTTL,
+    refreshThreshold: api.refreshThreshold ?? DEFAULT_REFRESH_THRESHOLD,
+    l1TTL: api.l1TTL || 0,
+    // Seconds an entry is kept past its TTL; only stale-while-revalidate reads expired entries
+    keep: strategy === 'stale-while-revalidate' ? keep : 0
+  };
+}
+
+/**
+ * Read `key` through the cache, calling `fetchFn(previous)` on a miss or
+ * when an entry needs refreshing.
+ */
+function readThroughCache(cacheStrategies, api, key, fetchFn) {
+  const ttl = entryTTL(api);
+  const { strategy, staleTTL, staleIfError, revalidateTTL, refreshThreshold, l1TTL } = cacheOptions(api);
+
+  if (strategy === 'cache-aside') {
+    return cacheStrategies.cacheAside(key, fetchFn, ttl, { l1TTL });
+  }
+  if (strategy === 'refresh-ahead') {
+    return cacheStrategies.refreshAhead(key, fetchFn, ttl, { refreshThreshold, l1TTL });
+  }
+  return cacheStrategies.staleWhileRevalidate(key, fetchFn, ttl, {
+    staleTTL,
+    staleIfError,
+    revalidateTTL,
+    l1TTL,
+    isStaleable: isStaleableError
+  });
+}
+
+/**
+ * Failures that stale cache entries may stand in for: the upstream is
+ * unreachable or broken, not rejecting the request itself.
+ */
+function isStaleableError(error) {
+  return !(error instanceof UpstreamError) || error.status >= 500;
+}
+
+module.exports = {
+  getCacheMethods,
+  isCacheable,
+  varyHeaders,
+  cacheKeyFor,
+  entryTTL,
+  cacheOptions,
+  readThroughCache,
+  isStaleableError,
+  CACHE_STRATEGIES,
+  DEFAULT_CACHE_TTL,
+  DEFAULT_REVALIDATE_TTL
+};
@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Per-service circuit breaker with state shared through Redis
+ *
+ * closed    - requests flow; failures are counted
+ * open      - requests are rejected until resetTimeout has passed
+ * half_open - a limited number of trial requests decide whether to close again
+ *
+ * Every instance reads and writes the same `cb:<service>` hash, so a circuit
+ * opened by one instance is open for all of them. State changes are published
+ * on the `circuit-breaker` Redis channel.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULTS = {
+  failureThreshold: 5,      // consecutive failures that open the circuit
+  errorRateThreshold: 50,   // % of failed requests in the window that opens it
+  minimumRequests: 10,      // requests needed in the window before the error rate counts
+  windowSize: 60,           // seconds
+  resetTimeout: 30,         // seconds to stay open before trying again
+  halfOpenRequests: 1       // trial requests (and successes needed to close)
+};
+
+const CHANNEL = 'circuit-breaker';
+
+class CircuitOpenError extends Error {
+  constructor(service, retryAfter) {
+    super(`Circuit open for ${service}`);
+    this.name = 'CircuitOpenError';
+    this.service = service;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor(redis, logger) {
+    super();
+    this.redis = redis;
+    this.logger = logger;
+  }
+
+  options(config = {}) {
+    return { ...DEFAULTS, ...config };
+  }
+
+  stateKey(service) {
+    return `cb:${service}`;
+  }
+
+  windowKey(service, windowSize) {
+    return `cb:${service}:window:${Math.floor(Date.now() / 1000 / windowSize)}`;
+  }
+
+  /**
+   * Throw CircuitOpenError when the service should not be called right now.
+   * Redis problems never block traffic - the breaker then simply stays out of the way.
+   */
+  async guard(service, config) {
+    const opts = this.options(config);
+
+    try {
+      await this.check(service, opts);
+    } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
+      this.logger.error(`Circuit breaker check failed for ${service}:`, error);
+    }
+  }
+
+  async check(service, opts) {
+    const state = await this.redis.hGetAll(this.stateKey(service));
+
+    if (state.state === STATES.OPEN) {
+      const elapsed = (Date.now() - Number(state.openedAt)) / 1000;
+      if (elapsed < opts.resetTimeout) {
+        throw new CircuitOpenError(service, Math.ceil(opts.resetTimeout - elapsed));
+      }
+      await this.transition(service, STATES.OPEN, STATES.HALF_OPEN, 'reset timeout elapsed', {
+        trials: 0,
+        successes: 0
+      });
+      state.state = STATES.HALF_OPEN;
+    }
+
+    if (state.state === STATES.HALF_OPEN) {
+      // Trials that never reported back (crashed instance) must not wedge the circuit
+      const sinceChange = (Date.now() - Number(state.changedAt)) / 1000;
+      if (sinceChange >= opts.resetTimeout) {
+        await this.redis.hSet(this.stateKey(service), { trials: 0, changedAt: Date.now() });
+      }
+
+      const trials = await this.redis.hIncrBy(this.stateKey(service), 'trials', 1);
+      if (trials > opts.halfOpenRequests) {
+        throw new CircuitOpenError(service, 1);
+      }
+    }
+  }
+
+  async recordSuccess(service, config) {
+    const opts = this.options(config);
+    try {
+      await this.countRequest(service, opts, false);
+
+      const key = this.stateKey(service);
+      const state = await this.redis.hGet(key, 'state');
+      if (state === STATES.HALF_OPEN) {
+        const successes = await this.redis.hIncrBy(key, 'successes', 1);
+        if (successes >= opts.halfOpenRequests) {
+          await this.transition(service, STATES.HALF_OPEN, STATES.CLOSED, 'trial requests succeeded', {
+            failures: 0
+          });
+        }
+      } else {
+        await this.redis.hSet(key, 'failures', 0);
+      }
+    } catch (error) {
+      this.logger.error(`Circuit breaker update failed for ${service}:`, error);
+    }
+  }
+
+  async recordFailure(service, config) {
+    const opts = this.options(config);
+    try {
+      const { total, errors } = await this.countRequest(service, opts, true);
+
+      const key = this.stateKey(service);
+      const failures = await this.redis.hIncrBy(key, 'failures', 1);
+      const state = (await this.redis.hGet(key, 'state')) || STATES.CLOSED;
+
+      if (state === STATES.HALF_OPEN) {
+        await this.open(service, state, 'trial request failed');
+      } else if (state === STATES.CLOSED) {
+        const errorRate = total > 0 ? (errors / total) * 100 : 0;
+        if (failures >= opts.failureThreshold) {
+          await this.open(service, state, `${failures} consecutive failures`);
+        } else if (total >= opts.minimumRequests && errorRate >= opts.errorRateThreshold) {
+          await this.open(service, state, `error rate ${errorRate.toFixed(1)}% over ${total} requests`);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Circuit breaker update failed for ${service}:`, error);
+    }
+  }
+
+  async countRequest(service, opts, failed) {
+    const key = this.windowKey(service, opts.windowSize);
+    const total = await this.redis.hIncrBy(key, 'total', 1);
+    const errors = failed
+      ? await this.redis.hIncrBy(key, 'errors', 1)
+      : Number(await this.redis.hGet(key, 'errors')) || 0;
+    if (total === 1) {
+      await this.redis.expire(key, opts.windowSize * 2);
+    }
+    return { total, errors };
+  }
+
+  open(service, from, reason) {
+    return this.transition(service, from, STATES.OPEN, reason, {
+      openedAt: Date.now(),
+      trials: 0,
+      successes: 0
+    });
+  }
+
+  async transition(service, from, to, reason, fields = {}) {
+    await this.redis.hSet(this.stateKey(service), {
+      ...fields,
+      state: to,
+      changedAt: Date.now(),
+      reason
+    });
+
+    const event = { service, from, to, reason, timestamp: new Date().toISOString() };
+    this.logger.warn(`Circuit ${service}: ${from} -> ${to} (${reason})`);
+    this.emit('stateChange', event);
+
+    try {
+      await this.redis.publish(CHANNEL, JSON.stringify(event));
+    } catch (error) {
+      this.logger.error('Circuit breaker publish failed:', error);
+    }
+  }
+
+  /**
+   * Manually close a circuit (e.g. after fixing an upstream).
+   */
+  async reset(service) {
+    const state = (await this.redis.hGet(this.stateKey(service), 'state')) || STATES.CLOSED;
+    await this.transition(service, state, STATES.CLOSED, 'manual reset', {
+      failures: 0,
+      trials: 0,
+      successes: 0
+    });
+  }
+
+  async getState(service) {
+    const state = await this.redis.hGetAll(this.stateKey(service));
+    return {
+      state: state.state || STATES.CLOSED,
+      failures: Number(state.failures) || 0,
+      openedAt: state.openedAt ? new Date(Number(state.openedAt)).toISOString() : null,
+      changedAt: state.changedAt ? new Date(Number(state.changedAt)).toISOString() : null,
+      reason: state.reason || null
+    };
+  }
+
+  async getAll(services) {
+    const entries = await Promise.all(
+      services.map(async service => [service, await this.getState(service)])
+    );
+    return Object.fromEntries(entries);
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.STATES = STATES;
+module.exports.CHANNEL = CHANNEL;
@@ -0,0 +1,68 @@
+/**
+ * Proxy error classification
+ *
+ * UpstreamError - the upstream answered, but with an error status (4xx/5xx).
+ *                 Carries the upstream result so transparent services can relay it.
+ * GatewayError  - we never got a usable answer (timeout, DNS, refused
+ *                 connection, circuit open, missing upstream credentials).
+ */
+
+class UpstreamError extends Error {
+  constructor(result) {
+    super(`Upstream responded with ${result.status}`);
+    this.name = 'UpstreamError';
+    this.type = 'upstream_error';
+    this.status = result.status;
+    this.result = result;
+  }
+}
+
+class GatewayError extends Error {
+  constructor(message, { status = 502, code, retryAfter } = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.type = 'gateway_error';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Wrap a transport-level axios error.
+   */
+  static from(error) {
+    if (error instanceof GatewayError || error instanceof UpstreamError) return error;
+    if (error.name === 'CircuitOpenError') {
+      return new GatewayError(error.message, { status: 503, code: 'CIRCUIT_OPEN', retryAfter: error.retryAfter });
+    }
+    if (error.name === 'MissingSecretError') {
+      return new GatewayError(error.message, { status: 503, code: 'CREDENTIALS_MISSING' });
+    }
+
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new GatewayError(error.message, {
+      status: timedOut ? 504 : 502,
+      code: error.code
+    });
+  }
+}
+
+/**
+ * Short, JSON-safe preview of an upstream error body for the 502 envelope.
+ */
+function describeUpstreamBody(result) {
+  if (result.type === 'json') return result.data;
+  if (!result.body) return undefined;
+
+  const contentType = result.headers['content-type'] || '';
+  if (/^text\/|xml|html/i.test(contentType)) {
+    return result.body.toString('utf8').slice(0, 1000);
+  }
+  return undefined;
+}
+
+module.exports = {
+  UpstreamError,
+  GatewayError,
+  describeUpstreamBody
+};
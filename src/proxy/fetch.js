@@ -0,0 +1,132 @@
+const axios = require('axios');
+const {
+  toProxyResult,
+  pickHeaders,
+  getRelayedHeaderNames,
+  DEFAULT_MAX_CACHE_BYTES
+} = require('./upstream');
+const { UpstreamError, GatewayError } = require('./errors');
+const { requestWithRetry } = require('./retry');
+const { getFreshness, getValidators, conditionalHeaders } = require('./http-cache');
+const { redact } = require('../config/secrets');
+
+/**
+ * One upstream call, for the proxy route and the cache warmer alike:
+ * upstream credentials, circuit breaker, retries with fallback mirrors and
+ * conditional revalidation of `previous` (the expired cache entry, if any).
+ *
+ * Resolves a proxy result (see upstream.js). Error statuses reject with an
+ * UpstreamError, unreachable upstreams with a GatewayError. Given `res`,
+ * non-JSON bodies are streamed to the client as they arrive.
+ * `onNotModified` runs when the upstream confirmed `previous` with a 304.
+ * `headers` are caller headers to forward (see varyHeaders in cache-policy.js);
+ * they override the service's `headers` but never its credentials.
+ */
+async function fetchUpstream({
+  service,
+  api,
+  method = 'GET',
+  upstreamPath,
+  query = {},
+  body,
+  contentType,
+  headers: forwarded = {},
+  previous,
+  res = null,
+  onNotModified = () => {}
+}, { circuitBreaker, secrets, logger }) {
+  const validators = method === 'GET' && previous ? previous.validators : null;
+  const maxCacheBytes = api.maxCacheBytes || DEFAULT_MAX_CACHE_BYTES;
+  const headerNames = getRelayedHeaderNames(api);
+
+  let credentials;
+  try {
+    credentials = secrets.credentialsFor(service, api);
+    await circuitBreaker.guard(service, api.circuitBreaker);
+  } catch (error) {
+    throw GatewayError.from(error);
+  }
+
+  const headers = { ...(api.headers || {}), ...forwarded, ...credentials.headers, ...conditionalHeaders(validators) };
+  if (body && contentType) {
+    headers['Content-Type'] = contentType;
+  }
+
+  // Primary endpoint first, then the fallback mirrors (see src/proxy/retry.js)
+  let outcome;
+  try {
+    outcome = await requestWithRetry(api, method, (endpoint) => axios.request({
+      method,
+      url: `${endpoint}${upstreamPath.encoded ? '/' + upstreamPath.encoded : ''}`,
+      params: { ...query, ...credentials.params },
+      data: body,
+      timeout: api.timeout || 5000,
+      headers,
+      responseType: 'stream',
+      validateStatus: () => true
+    }), { logger, service });
+  } catch (error) {
+    await circuitBreaker.recordFailure(service, api.circuitBreaker);
+    if (res && !res.headersSent) {
+      res.set('X-Upstream-Attempts', String(error.attempts || 1));
+    }
+    throw GatewayError.from(error);
+  }
+
+  const { response, endpoint, attempts } = outcome;
+  const upstream = { endpoint, attempts };
+
+  // 4xx means the upstream is up and answering; only 5xx counts against it
+  if (response.status >= 500) {
+    await circuitBreaker.recordFailure(service, api.circuitBreaker);
+  } else {
+    await circuitBreaker.recordSuccess(service, api.circuitBreaker);
+  }
+
+  logger.info(`Proxied: ${method} ${service}/${upstreamPath.path} -> ${endpoint} (${response.status}, ${attempts} attempt${attempts === 1 ? '' : 's'})`);
+
+  if (response.status === 304 && validators) {
+    // Unchanged upstream: keep the stored body, take the 304's freshness and headers
+    response.data.resume();
+    onNotModified();
+    const freshnessGiven = response.headers['cache-control'] || response.headers.expires;
+    return {
+      ...previous,
+      headers: { ...previous.headers, ...pickHeaders(response.headers, headerNames) },
+      upstream,
+      freshness: freshnessGiven ? getFreshness(response.headers) : previous.freshness,
+      validators: getValidators(response.headers) || previous.validators
+    };
+  }
+
+  if (response.status >= 400) {
+    // Read the error body instead of streaming it; it is never cached.
+    // Upstreams like to echo a rejected key back, so scrub it.
+    const result = await toProxyResult(response, res, { headerNames, upstream, stream: false });
+    throw new UpstreamError(redactResult(result));
+  }
+  return toProxyResult(response, res, { maxCacheBytes, headerNames, upstream, stream: Boolean(res) });
+}
+
+/**
+ * Copy of an error result with secret values replaced in its body and headers.
+ */
+function redactResult(result) {
+  const headers = {};
+  for (const [name, value] of Object.entries(result.headers)) {
+    headers[name] = typeof value === 'string' ? redact(value) : value;
+  }
+
+  if (result.type === 'json') {
+    return { ...result, headers, data: JSON.parse(redact(JSON.stringify(result.data))) };
+  }
+  if (result.body && /^text\/|json|xml|html/i.test(headers['content-type'] || '')) {
+    return { ...result, headers, body: Buffer.from(redact(result.body.toString('utf8'))) };
+  }
+  return { ...result, headers };
+}
+
+module.exports = {
+  fetchUpstream,
+  redactResult
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+/**
+ * HTTP caching semantics (RFC 9111 / 9110) for upstream responses
+ *
+ * Freshness comes from Cache-Control (s-maxage, max-age) or Expires, minus
+ * the response's Age. We are a shared cache, so `no-store`, `private` and
+ * `no-cache` all mean the response is not kept. Validators (ETag,
+ * Last-Modified) are stored with the body for conditional revalidation.
+ */
+
+/**
+ * Directives of a Cache-Control header, lower-cased:
+ * `public, max-age=60` -> { public: true, 'max-age': '60' }
+ */
+function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+
+  for (const part of String(header).split(',')) {
+    const [name, ...rest] = part.split('=');
+    const key = name.trim().toLowerCase();
+    if (!key) continue;
+    directives[key] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+  }
+  return directives;
+}
+
+function toSeconds(value) {
+  const seconds = Number.parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * What the upstream says about caching a response:
+ *   { store: false }               - must not be cached
+ *   { store: true, maxAge: 120 }   - fresh for that many seconds
+ *   { store: true, maxAge: null }  - no freshness information
+ */
+function getFreshness(headers, now = Date.now()) {
+  const directives = parseCacheControl(headers['cache-control']);
+  if (directives['no-store'] || directives.private || directives['no-cache']) {
+    return { store: false, maxAge: null };
+  }
+
+  let lifetime = toSeconds(directives['s-maxage']) ?? toSeconds(directives['max-age']);
+  if (lifetime === null && headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || now;
+    // An invalid Expires (e.g. "0") means already expired
+    lifetime = Number.isNaN(expires) ? 0 : Math.max(0, Math.floor((expires - date) / 1000));
+  }
+  if (lifetime === null) {
+    return { store: true, maxAge: null };
+  }
+
+  const age = toSeconds(headers.age) || 0;
+  return { store: true, maxAge: Math.max(0, lifetime - age) };
+}
+
+/**
+ * ETag and Last-Modified of an upstream response, or null when it has neither.
+ */
+function getValidators(headers) {
+  const validators = {};
+  if (headers.etag) validators.etag = headers.etag;
+  if (headers['last-modified']) validators.lastModified = headers['last-modified'];
+  return Object.keys(validators).length > 0 ? validators : null;
+}
+
+/**
+ * Request headers that ask the upstream to answer 304 if nothing changed.
+ */
+function conditionalHeaders(validators) {
+  const headers = {};
+  if (!validators) return headers;
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return headers;
+}
+
+/**
+ * Entity tag for a body we serve. `weak` for JSON, which is re-serialized
+ * (and wrapped in an envelope) rather than sent byte for byte.
+ */
+function computeEtag(body, { weak = false } = {}) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64url');
+  return weak ? `W/"${hash}"` : `"${hash}"`;
+}
+
+module.exports = {
+  parseCacheControl,
+  getFreshness,
+  getValidators,
+  conditionalHeaders,
+  computeEtag
+};
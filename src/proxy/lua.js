@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Lua scripts run by SHA (EVALSHA), loaded on first use
+ */
+
+function defineScript(source) {
+  return {
+    source,
+    sha: crypto.createHash('sha1').update(source).digest('hex')
+  };
+}
+
+async function runScript(redis, script, { keys, arguments: args }) {
+  try {
+    return await redis.evalSha(script.sha, { keys, arguments: args });
+  } catch (error) {
+    if (!String(error.message).includes('NOSCRIPT')) throw error;
+    // First use on this Redis (or after a script flush) - EVAL caches it
+    return redis.eval(script.source, { keys, arguments: args });
+  }
+}
+
+module.exports = {
+  defineScript,
+  runScript
+};
@@ -0,0 +1,119 @@
+/**
+ * Upstream path handling for the /api/:service proxy
+ */
+
+// Characters that are legal inside a path segment and read better unescaped
+const SEGMENT_SAFE = /%(3A|40|2C|3B|3D|2B|24)/gi;
+
+/**
+ * Normalize the raw (still percent-encoded) path segments that follow
+ * /api/:service into the path forwarded upstream.
+ *
+ * Every segment is decoded once and re-encoded, so an escaped slash
+ * (%2F) stays inside its segment instead of creating a new one. Dot
+ * segments are rejected so a request can never climb above the
+ * service endpoint.
+ *
+ * @param {string[]} rawSegments - segments as they appear in req.path
+ * @returns {{ path: string, encoded: string }} decoded path for matching
+ *   and logging, encoded path for the upstream URL
+ */
+function resolveUpstreamPath(rawSegments) {
+  const trailingSlash = rawSegments.length > 0 && rawSegments[rawSegments.length - 1] === '';
+  const decoded = [];
+
+  for (const raw of rawSegments) {
+    if (raw === '') continue;
+
+    let segment;
+    try {
+      segment = decodeURIComponent(raw);
+    } catch (error) {
+      throw new InvalidPathError(`Malformed path segment: ${raw}`);
+    }
+
+    // An escaped slash must not smuggle a dot segment past the check
+    if (segment.split('/').some(part => part === '.' || part === '..')) {
+      throw new InvalidPathError('Relative path segments are not allowed');
+    }
+    decoded.push(segment);
+  }
+
+  const encodedSegments = decoded.map(segment =>
+    encodeURIComponent(segment).replace(SEGMENT_SAFE, match => decodeURIComponent(match))
+  );
+  const suffix = trailingSlash && decoded.length > 0 ? '/' : '';
+
+  return {
+    path: decoded.join('/') + suffix,
+    encoded: encodedSegments.join('/') + suffix
+  };
+}
+
+/**
+ * Convert a path glob into a RegExp.
+ * `**` matches across segments, `*` within one segment, `?` a single character.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero segments
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const patternCache = new Map();
+
+function matchesAny(path, patterns = []) {
+  return patterns.some(pattern => {
+    if (!patternCache.has(pattern)) {
+      patternCache.set(pattern, globToRegExp(pattern.replace(/^\/+/, '')));
+    }
+    return patternCache.get(pattern).test(path);
+  });
+}
+
+/**
+ * Check a decoded upstream path against the service's `paths` rules.
+ * Deny patterns win; when an allow list is present the path must match it.
+ */
+function isPathAllowed(path, rules) {
+  if (!rules) return true;
+  const candidate = path.replace(/\/$/, '');
+
+  if (matchesAny(candidate, rules.deny)) return false;
+  if (rules.allow && rules.allow.length > 0) {
+    return matchesAny(candidate, rules.allow);
+  }
+  return true;
+}
+
+class InvalidPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidPathError';
+  }
+}
+
+module.exports = {
+  resolveUpstreamPath,
+  isPathAllowed,
+  globToRegExp,
+  InvalidPathError
+};
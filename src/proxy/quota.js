@@ -0,0 +1,251 @@
+/**
+ * Daily and monthly request quotas
+ *
+ * Quotas come from two places:
+ *   - `quota: { daily, monthly }` on a service in apis.yaml, counted per
+ *     caller (API key or IP) for that service
+ *   - `quota` in an API key's metadata, counted across all services ('*')
+ *
+ * Counters live in Redis (`quota:<identity>:<scope>:<period>:<window>`) and
+ * are checked and incremented by one Lua script, so a request is counted
+ * against every applicable quota or none. Counters touched since the last
+ * checkpoint are written to the rate_limits table every minute; on startup
+ * counters for the current windows are restored from it if Redis lost them.
+ */
+
+const { defineScript, runScript } = require('./lua');
+
+const PERIODS = ['daily', 'monthly'];
+const ALL_SERVICES = '*';
+
+// KEYS: counters, ARGV: limit/ttl pairs. Returns { 0, used... } or { index, used } when exhausted.
+const QUOTA_SCRIPT = defineScript(`
+for i, key in ipairs(KEYS) do
+  local used = tonumber(redis.call('GET', key) or '0')
+  if used >= tonumber(ARGV[i * 2 - 1]) then
+    return { i, used }
+  end
+end
+local result = { 0 }
+for i, key in ipairs(KEYS) do
+  local used = redis.call('INCR', key)
+  if used == 1 then
+    redis.call('EXPIRE', key, ARGV[i * 2])
+  end
+  result[i + 1] = used
+end
+return result
+`);
+
+/**
+ * UTC window of a period containing `now`.
+ */
+function periodWindow(period, now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+
+  if (period === 'monthly') {
+    return {
+      id: `${y}-${String(m + 1).padStart(2, '0')}`,
+      start: new Date(Date.UTC(y, m, 1)),
+      end: new Date(Date.UTC(y, m + 1, 1))
+    };
+  }
+  return {
+    id: `${y}-${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`,
+    start: new Date(Date.UTC(y, m, d)),
+    end: new Date(Date.UTC(y, m, d + 1))
+  };
+}
+
+class QuotaManager {
+  constructor({ redis, db, logger }, { checkpointInterval = 60000 } = {}) {
+    this.redis = redis;
+    this.db = db;
+    this.logger = logger;
+    this.checkpointInterval = checkpointInterval;
+    // counter key -> { identifier, service, start, end, exceeded } touched since the last checkpoint
+    this.dirty = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Quotas that apply to a request: the service's own, then the key-wide ones.
+   */
+  limitsFor(service, api, apiKey) {
+    const limits = [];
+    const add = (scope, quota) => {
+      if (!quota) return;
+      for (const period of PERIODS) {
+        if (quota[period]) limits.push({ scope, period, limit: quota[period] });
+      }
+    };
+    add(service, api && api.quota);
+    add(ALL_SERVICES, apiKey && apiKey.quota);
+    return limits;
+  }
+
+  /**
+   * Every quota `identity` may use: each configured service's, then the key-wide ones.
+   */
+  allLimits(config, apiKey) {
+    const services = Object.keys(config).filter(service =>
+      !apiKey || !apiKey.allowedServices || apiKey.allowedServices.length === 0 ||
+      apiKey.allowedServices.includes(service)
+    );
+    return [
+      ...services.flatMap(service => this.limitsFor(service, config[service], null)),
+      ...this.limitsFor(null, null, apiKey)
+    ];
+  }
+
+  counter(identity, { scope, period }, now) {
+    const window = periodWindow(period, now);
+    return { key: `quota:${identity}:${scope}:${period}:${window.id}`, window };
+  }
+
+  /**
+   * Count one request. Resolves { allowed, exceeded } where `exceeded`
+   * describes the exhausted quota. Redis errors are thrown.
+   */
+  async consume(identity, limits) {
+    if (limits.length === 0) return { allowed: true, exceeded: null };
+
+    const now = new Date();
+    const counters = limits.map(limit => this.counter(identity, limit, now));
+    const args = [];
+    counters.forEach(({ window }, i) => {
+      // Keep counters a day past their window so the last checkpoint can read them
+      const ttl = Math.ceil((window.end - now) / 1000) + 24 * 60 * 60;
+      args.push(String(limits[i].limit), String(ttl));
+    });
+
+    const [index, used] = (await runScript(this.redis, QUOTA_SCRIPT, {
+      keys: counters.map(c => c.key),
+      arguments: args
+    })).map(Number);
+
+    if (index > 0) {
+      const limit = limits[index - 1];
+      const { key, window } = counters[index - 1];
+      this.markDirty(key, identity, limit.scope, window, true);
+      return { allowed: false, exceeded: this.describe(limit, used, window, now) };
+    }
+
+    counters.forEach(({ key, window }, i) => this.markDirty(key, identity, limits[i].scope, window, false));
+    return { allowed: true, exceeded: null };
+  }
+
+  /**
+   * Current usage of every quota that applies to `identity`.
+   */
+  async getUsage(identity, limits) {
+    const now = new Date();
+    return Promise.all(limits.map(async (limit) => {
+      const { key, window } = this.counter(identity, limit, now);
+      const used = Number(await this.redis.get(key)) || 0;
+      return this.describe(limit, used, window, now);
+    }));
+  }
+
+  describe({ scope, period, limit }, used, window, now) {
+    return {
+      scope: scope === ALL_SERVICES ? 'all' : scope,
+      period,
+      limit,
+      used: Math.min(used, limit),
+      remaining: Math.max(0, limit - used),
+      resetsAt: window.end.toISOString(),
+      resetIn: Math.ceil((window.end - now) / 1000)
+    };
+  }
+
+  markDirty(key, identifier, service, window, exceeded) {
+    const entry = this.dirty.get(key);
+    this.dirty.set(key, {
+      identifier,
+      service,
+      start: window.start,
+      end: window.end,
+      exceeded: exceeded || Boolean(entry && entry.exceeded)
+    });
+  }
+
+  /**
+   * Write touched counters to rate_limits (the Redis backup).
+   */
+  async checkpoint() {
+    const pending = [...this.dirty];
+    this.dirty.clear();
+
+    for (let i = 0; i < pending.length; i++) {
+      const [key, entry] = pending[i];
+      try {
+        const count = Number(await this.redis.get(key)) || 0;
+        await this.db.upsertRateLimit({
+          identifier: entry.identifier,
+          service: entry.service,
+          windowStart: entry.start,
+          windowEnd: entry.end,
+          requestCount: count,
+          limitExceeded: entry.exceeded
+        });
+      } catch (error) {
+        // Retry these on the next checkpoint
+        for (const [k, e] of pending.slice(i)) {
+          if (!this.dirty.has(k)) this.dirty.set(k, e);
+        }
+        this.logger.warn(`Quota checkpoint failed: ${error.message}`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Seed Redis with checkpointed counts for the current windows. Counters
+   * Redis still has are left alone (SET NX).
+   */
+  async restore() {
+    let rows;
+    try {
+      rows = await this.db.getActiveRateLimits();
+    } catch (error) {
+      this.logger.warn(`Quota restore skipped: ${error.message}`);
+      return 0;
+    }
+
+    const now = new Date();
+    let restored = 0;
+    for (const row of rows) {
+      const period = PERIODS.find(p => periodWindow(p, new Date(row.window_start)).end.getTime() === new Date(row.window_end).getTime());
+      if (!period) continue;
+
+      const { key, window } = this.counter(row.identifier, { scope: row.service, period }, new Date(row.window_start));
+      const ttl = Math.ceil((window.end - now) / 1000) + 24 * 60 * 60;
+      try {
+        if (await this.redis.set(key, String(row.request_count), { NX: true, EX: ttl })) restored++;
+      } catch (error) {
+        this.logger.warn(`Quota restore failed: ${error.message}`);
+        return restored;
+      }
+    }
+    this.logger.info(`Restored ${restored} quota counters from rate_limits`);
+    return restored;
+  }
+
+  async start() {
+    await this.restore();
+    this.timer = setInterval(() => this.checkpoint(), this.checkpointInterval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    await this.checkpoint();
+  }
+}
+
+module.exports = QuotaManager;
+module.exports.periodWindow = periodWindow;
+module.exports.PERIODS = PERIODS;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { defineScript, runScript } = require('./lua');
+
+/**
+ * Atomic per-service rate limiting in Redis
+ *
+ * Each check is a single Lua script, so concurrent requests on any number
+ * of instances can never over-admit. Time comes from the Redis server
+ * (TIME), not from the instance clocks.
+ *
+ * sliding-window - at most `limit` requests in any `window` seconds
+ *                  (sorted set of request timestamps)
+ * token-bucket   - bursts of up to `limit`, refilled at limit/window per second
+ */
+
+const STRATEGIES = ['sliding-window', 'token-bucket'];
+
+const DEFAULTS = {
+  limit: 100,
+  window: 60,               // seconds
+  strategy: 'sliding-window'
+};
+
+// Returns { allowed, remaining, reset_ms, retry_ms }
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local member = ARGV[3]
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', key, now, member)
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', key, window)
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+local reset = window
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+local retry = 0
+if allowed == 0 then
+  retry = reset
+end
+return { allowed, limit - count, reset, retry }
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local rate = capacity / window
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', key, 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', key, 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', key, window)
+
+local reset = math.ceil((capacity - tokens) / rate)
+local retry = 0
+if allowed == 0 then
+  retry = math.ceil((1 - tokens) / rate)
+end
+return { allowed, math.floor(tokens), reset, retry }
+`;
+
+const SCRIPTS = {
+  'sliding-window': defineScript(SLIDING_WINDOW_SCRIPT),
+  'token-bucket': defineScript(TOKEN_BUCKET_SCRIPT)
+};
+
+class RateLimiter {
+  constructor(redis, logger) {
+    this.redis = redis;
+    this.logger = logger;
+  }
+
+  /**
+   * Limits for one request: the service's rateLimit / rateLimitWindow /
+   * rateLimitStrategy, with the API key's own rate_limit taking precedence
+   * when one was set (it is NULL unless an admin gave the key a limit).
+   */
+  options(api, apiKey) {
+    return {
+      limit: (apiKey && apiKey.rateLimit) || api.rateLimit || DEFAULTS.limit,
+      window: api.rateLimitWindow || DEFAULTS.window,
+      strategy: api.rateLimitStrategy || DEFAULTS.strategy
+    };
+  }
+
+  key(strategy, service, identity) {
+    return `rl:${strategy}:${service}:${identity}`;
+  }
+
+  /**
+   * Count one request against `identity` (e.g. `key:<id>` or `ip:<addr>`).
+   *
+   * Resolves { allowed, limit, remaining, reset, retryAfter, window, strategy }
+   * with reset / retryAfter in whole seconds. Redis errors are thrown - the
+   * caller decides how to fail.
+   */
+  async consume(service, identity, { limit, window, strategy } = DEFAULTS) {
+    const script = SCRIPTS[strategy] || SCRIPTS[DEFAULTS.strategy];
+    const windowMs = window * 1000;
+    const args = {
+      keys: [this.key(strategy, service, identity)],
+      arguments: [String(limit), String(windowMs), `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`]
+    };
+
+    const result = await runScript(this.redis, script, args);
+    const [allowed, remaining, resetMs, retryMs] = result.map(Number);
+    return {
+      allowed: allowed === 1,
+      limit,
+      remaining: Math.max(0, remaining),
+      reset: Math.ceil(resetMs / 1000),
+      retryAfter: Math.ceil(retryMs / 1000),
+      window,
+      strategy
+    };
+  }
+}
+
+/**
+ * RateLimit-* headers (IETF draft) on every response; Retry-After when limited.
+ */
+function setRateLimitHeaders(res, result) {
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.reset));
+  res.set('RateLimit-Policy', `${result.limit};w=${result.window}`);
+  if (!result.allowed) {
+    res.set('Retry-After', String(Math.max(1, result.retryAfter)));
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.setRateLimitHeaders = setRateLimitHeaders;
+module.exports.STRATEGIES = STRATEGIES;
+module.exports.DEFAULTS = DEFAULTS;
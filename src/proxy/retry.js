@@ -0,0 +1,119 @@
+/**
+ * Upstream retries with backoff and fallback mirror endpoints
+ *
+ * The primary endpoint is tried up to `retry.maxAttempts` times, then each
+ * entry of `fallbacks` in order with the same budget. Transport errors
+ * (timeouts, refused connections) and `retry.retryOn` statuses are retried;
+ * any other response is final.
+ */
+
+const DEFAULTS = {
+  maxAttempts: 1,                 // per endpoint; 1 = no retries
+  backoff: 'exponential',         // exponential | linear | fixed
+  initialDelay: 200,              // ms
+  maxDelay: 5000,                 // ms
+  retryOn: [502, 503, 504],
+  // Only methods that are safe to repeat; POST/PATCH could apply twice
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+function getRetryOptions(api) {
+  const opts = { ...DEFAULTS, ...(api.retry || {}) };
+  opts.methods = opts.methods.map(m => m.toUpperCase());
+  return opts;
+}
+
+function backoffDelay(opts, attempt) {
+  let delay;
+  switch (opts.backoff) {
+    case 'fixed':
+      delay = opts.initialDelay;
+      break;
+    case 'linear':
+      delay = opts.initialDelay * attempt;
+      break;
+    default:
+      delay = opts.initialDelay * Math.pow(2, attempt - 1);
+  }
+  return Math.min(delay, opts.maxDelay);
+}
+
+/**
+ * Retry-After (seconds or HTTP date) in ms, if the upstream sent one.
+ */
+function retryAfterMs(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) return 0;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call `send(endpoint)` across the endpoint list until a final answer.
+ *
+ * Resolves with `{ response, endpoint, attempts }` - the response may still
+ * carry an error status when every attempt failed with a retryable one.
+ * Rejects with the last transport error (with `attempts` / `endpoint` set)
+ * when no endpoint answered at all.
+ */
+async function requestWithRetry(api, method, send, { logger, service } = {}) {
+  const opts = getRetryOptions(api);
+  const retryable = opts.methods.includes(method);
+  const endpoints = retryable ? [api.endpoint, ...(api.fallbacks || [])] : [api.endpoint];
+  const maxAttempts = retryable ? Math.max(1, opts.maxAttempts) : 1;
+
+  let attempts = 0;
+  let lastError;
+
+  for (let e = 0; e < endpoints.length; e++) {
+    const endpoint = endpoints[e];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      attempts++;
+      const isLast = e === endpoints.length - 1 && attempt === maxAttempts;
+      let wait = backoffDelay(opts, attempt);
+
+      try {
+        const response = await send(endpoint);
+        if (isLast || !opts.retryOn.includes(response.status)) {
+          return { response, endpoint, attempts };
+        }
+
+        // Retryable status - drop the body and go again
+        if (response.data && typeof response.data.destroy === 'function') {
+          response.data.destroy();
+        }
+        wait = Math.min(Math.max(wait, retryAfterMs(response.headers)), opts.maxDelay);
+        lastError = new Error(`Upstream responded with ${response.status}`);
+      } catch (error) {
+        lastError = error;
+        if (isLast) break;
+      }
+
+      if (logger) {
+        logger.warn(`Retrying ${service || endpoint} (attempt ${attempts} failed: ${lastError.message})`);
+      }
+      // Moving on to a mirror does not need to wait
+      if (attempt < maxAttempts) {
+        await sleep(wait);
+      }
+    }
+  }
+
+  lastError.attempts = attempts;
+  lastError.endpoint = endpoints[endpoints.length - 1];
+  throw lastError;
+}
+
+module.exports = {
+  requestWithRetry,
+  getRetryOptions,
+  backoffDelay,
+  retryAfterMs
+};
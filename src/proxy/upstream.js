@@ -0,0 +1,221 @@
+/**
+ * Upstream response handling: content-type detection, body collection
+ * and streaming to the client.
+ */
+
+const { getFreshness, getValidators, computeEtag } = require('./http-cache');
+
+// Headers that describe the body and travel with it (also into the cache)
+const BODY_HEADERS = ['content-type', 'content-disposition', 'content-language'];
+
+// Upstream headers relayed by transparent services unless they set exposeHeaders.
+// RateLimit-* is left out: those headers describe the gateway's own limits.
+const DEFAULT_EXPOSE_HEADERS = [
+  'etag',
+  'last-modified',
+  'link',
+  'retry-after',
+  'x-ratelimit-*'
+];
+
+const DEFAULT_MAX_CACHE_BYTES = 1024 * 1024;
+
+function isJsonContentType(contentType) {
+  return /^application\/([\w.-]+\+)?json\b/i.test(contentType || '');
+}
+
+/**
+ * Copy the named headers; a trailing `*` matches a prefix (e.g. `x-ratelimit-*`).
+ */
+function pickHeaders(headers, names) {
+  const patterns = names.map(name => name.toLowerCase());
+  const picked = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    const wanted = patterns.some(pattern =>
+      pattern.endsWith('*') ? lower.startsWith(pattern.slice(0, -1)) : lower === pattern
+    );
+    if (wanted && value !== undefined) picked[lower] = value;
+  }
+  return picked;
+}
+
+/**
+ * Headers kept from an upstream response: the body headers, plus the
+ * service's exposeHeaders allowlist when it runs in transparent mode.
+ */
+function getRelayedHeaderNames(api) {
+  if (!api.transparent) return BODY_HEADERS;
+  return [...BODY_HEADERS, ...(api.exposeHeaders || DEFAULT_EXPOSE_HEADERS)];
+}
+
+/**
+ * Read a whole stream into a Buffer.
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Pipe an upstream body to the client while keeping a copy for the cache.
+ * The copy is dropped (body: null) once it grows past maxBytes so large
+ * downloads still stream but are never held in memory or cached.
+ */
+function streamToClient(stream, res, maxBytes = DEFAULT_MAX_CACHE_BYTES) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (chunks && size <= maxBytes) {
+        chunks.push(chunk);
+      } else {
+        chunks = null;
+      }
+    });
+    stream.on('end', () => resolve({ body: chunks ? Buffer.concat(chunks) : null, size }));
+    stream.on('error', reject);
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Turn an axios `responseType: 'stream'` response into a proxy result.
+ *
+ * JSON bodies are parsed and returned as `{ type: 'json', data }`. Anything
+ * else becomes `{ type: 'raw', body, headers }`; when the client has not been
+ * answered yet the body is streamed to it as it arrives.
+ *
+ * Results also carry the upstream's `freshness` and `validators` (see
+ * src/proxy/http-cache.js) and the `etag` of the body itself, which is what
+ * transparent services send; enveloped JSON is tagged in sendProxyResult.
+ */
+async function toProxyResult(response, res, {
+  maxCacheBytes = DEFAULT_MAX_CACHE_BYTES,
+  headerNames = BODY_HEADERS,
+  upstream = null,
+  stream = true
+} = {}) {
+  const headers = pickHeaders(response.headers, headerNames);
+  const base = {
+    status: response.status,
+    headers,
+    upstream,
+    freshness: getFreshness(response.headers),
+    validators: getValidators(response.headers)
+  };
+  // Raw bodies go out byte for byte, so the upstream's own ETag still identifies them
+  const rawEtag = (body) => response.headers.etag || (body ? computeEtag(body) : null);
+
+  if (isJsonContentType(headers['content-type'])) {
+    const body = await readStream(response.data);
+    try {
+      const data = JSON.parse(body.toString('utf8'));
+      return { ...base, type: 'json', data, etag: computeEtag(body, { weak: true }) };
+    } catch (error) {
+      // Mislabelled or empty (HEAD) body - pass it through untouched
+      return { ...base, type: 'raw', body, etag: rawEtag(body) };
+    }
+  }
+
+  if (!stream || res.headersSent) {
+    // Error body, or a background refresh with nobody to stream to
+    const body = await readStream(response.data);
+    const kept = body.length <= maxCacheBytes ? body : null;
+    return { ...base, type: 'raw', body: kept, etag: rawEtag(kept) };
+  }
+
+  const etag = rawEtag(null);
+  res.status(response.status);
+  res.set(headers);
+  if (etag) res.set('ETag', etag);
+  res.set('X-Cache', 'MISS');
+  setUpstreamHeaders(res, upstream);
+  res.locals.cached = false;
+
+  const { body } = await streamToClient(response.data, res, maxCacheBytes);
+  // Without an upstream ETag the streamed miss went out untagged; cache hits get one
+  return { ...base, type: 'raw', body, etag: etag || (body ? computeEtag(body) : null), streamed: true };
+}
+
+/**
+ * Report which endpoint (primary or mirror) answered and after how many attempts.
+ */
+function setUpstreamHeaders(res, upstream) {
+  if (!upstream) return;
+  res.set('X-Upstream-Endpoint', upstream.endpoint);
+  res.set('X-Upstream-Attempts', String(upstream.attempts));
+}
+
+/**
+ * Send a proxy result that has not been streamed yet.
+ *
+ * JSON is wrapped as `{ data, cached }` (plus `stale: true` for stale cache
+ * entries, `revalidated: true` for entries an upstream 304 confirmed) unless
+ * the service is transparent, in which case the upstream status and body are
+ * sent unchanged. Results with an `etag` answer a matching If-None-Match with 304.
+ */
+function sendProxyResult(res, result, cached, { transparent = false, stale = false, revalidated = false } = {}) {
+  if (res.headersSent) return;
+
+  // A cache hit was not served by any endpoint this time
+  const upstream = cached && !revalidated ? undefined : result.upstream || undefined;
+
+  res.locals.cached = cached;
+  setUpstreamHeaders(res, upstream);
+  if (result.type === 'json' && !transparent) {
+    const body = JSON.stringify({
+      data: result.data,
+      cached,
+      stale: stale || undefined,
+      revalidated: revalidated || undefined,
+      upstream
+    });
+    // Tag the envelope as sent: the same data comes wrapped differently on hits, misses and stale answers
+    res.set('ETag', computeEtag(body, { weak: true }));
+    if (isNotModified(res)) return res.status(304).end();
+    return res.type('json').send(body);
+  }
+
+  if (result.etag) {
+    res.set('ETag', result.etag);
+  }
+
+  res.set(result.headers);
+  res.set('X-Cache', revalidated ? 'REVALIDATED' : cached ? 'HIT' : 'MISS');
+  res.status(result.status || 200);
+  if (isNotModified(res)) return res.status(304).end();
+
+  if (result.type === 'json') {
+    return res.json(result.data);
+  }
+  res.send(result.body || Buffer.alloc(0));
+}
+
+/**
+ * Whether the client already holds what we are about to send (If-None-Match
+ * against our ETag). Express only calls 2xx answers to GET/HEAD fresh.
+ */
+function isNotModified(res) {
+  return Boolean(res.get('ETag')) && res.req.fresh;
+}
+
+module.exports = {
+  isJsonContentType,
+  pickHeaders,
+  getRelayedHeaderNames,
+  readStream,
+  streamToClient,
+  toProxyResult,
+  sendProxyResult,
+  setUpstreamHeaders,
+  BODY_HEADERS,
+  DEFAULT_EXPOSE_HEADERS,
+  DEFAULT_MAX_CACHE_BYTES
+};
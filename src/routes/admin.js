@@ -0,0 +1,272 @@
+const express = require('express');
+const Joi = require('joi');
+const { ROLES } = require('../middleware/roles');
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+const auditFilterSchema = Joi.object({
+  action: Joi.string().max(100),
+  actor: Joi.string().max(255),
+  actorId: Joi.string().guid(),
+  targetType: Joi.string().max(50),
+  targetId: Joi.string().max(255),
+  ip: Joi.string().max(64),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+const auditQuerySchema = auditFilterSchema.keys({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const auditExportSchema = auditFilterSchema.keys({
+  format: Joi.string().valid('ndjson', 'csv').default('ndjson')
+});
+
+const EXPORT_BATCH = 1000;
+const CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor', 'actor_role', 'action', 'target_type', 'target_id',
+  'changes', 'ip_address', 'user_agent', 'metadata', 'prev_hash', 'hash'
+];
+
+/**
+ * /admin - user roles, IP bans, service config and the audit log (admin only)
+ */
+function setupAdminRoute({ db, sessionAuth, configLoader, ipFilter, audit, requireRole, logger }) {
+  const router = express.Router();
+
+  router.use(requireRole('admin'));
+
+  /**
+   * GET /admin/users
+   */
+  router.get('/users', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    try {
+      const users = await db.getUsers({ limit, offset });
+      res.json({ status: 'success', total: users.length, data: users.map(toUserResponse) });
+    } catch (err) {
+      logger.error('Failed to list users:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to list users' });
+    }
+  });
+
+  /**
+   * PUT /admin/users/:id/role
+   * Takes effect on the user's next request (cached sessions are dropped)
+   */
+  router.put('/users/:id/role', async (req, res) => {
+    const { value, error } = roleSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+    if (req.params.id === req.user.id && value.role !== 'admin') {
+      return res.status(409).json({ status: 'error', message: 'Admins cannot demote themselves' });
+    }
+
+    try {
+      const { error: idError } = Joi.string().guid().validate(req.params.id);
+      const before = idError ? null : await db.getUserById(req.params.id);
+      const user = idError ? null : await db.setUserRole(req.params.id, value.role);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      await audit.record(req, {
+        action: 'user.role_change',
+        targetType: 'user',
+        targetId: user.id,
+        before: { role: before ? before.role : null },
+        after: { role: user.role },
+        metadata: { username: user.username }
+      });
+
+      const sessions = await db.getUserSessions(user.id);
+      await sessionAuth.invalidate(sessions.map(session => session.id));
+
+      logger.info(`Role of ${user.username} set to ${user.role} by ${req.user.username}`);
+      res.json({ status: 'success', data: toUserResponse(user) });
+    } catch (err) {
+      logger.error('Failed to set user role:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to set user role' });
+    }
+  });
+
+  /**
+   * GET /admin/bans
+   * Clients currently banned for repeatedly hitting rate limits
+   */
+  router.get('/bans', async (req, res) => {
+    try {
+      const bans = await ipFilter.getBans();
+      res.json({ status: 'success', total: bans.length, data: bans });
+    } catch (err) {
+      logger.error('Failed to list bans:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to list bans' });
+    }
+  });
+
+  /**
+   * DELETE /admin/bans/:ip
+   * Lift a ban early (also clears the client's 429 count)
+   */
+  router.delete('/bans/:ip', async (req, res) => {
+    try {
+      const removed = await ipFilter.unban(req.params.ip);
+      if (!removed) {
+        return res.status(404).json({ status: 'error', message: 'No active ban for this IP' });
+      }
+      await audit.record(req, { action: 'ip.unban', targetType: 'ip', targetId: req.params.ip });
+      logger.info(`Ban on ${req.params.ip} lifted by ${req.user.username}`);
+      res.json({ status: 'success', data: { ip: req.params.ip } });
+    } catch (err) {
+      logger.error('Failed to lift ban:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to lift ban' });
+    }
+  });
+
+  /**
+   * POST /admin/config/reload
+   * Re-read config/apis.yaml now instead of waiting for the file watcher
+   */
+  router.post('/config/reload', async (req, res) => {
+    const previous = configLoader.config;
+    const result = configLoader.reload({ source: 'admin' });
+    if (result.status === 'invalid') {
+      return res.status(422).json({ status: 'error', message: 'Config is invalid, previous config kept', errors: result.errors });
+    }
+    if (result.status === 'reloaded') {
+      await audit.recordConfigReload(req, result, configLoader.config, previous);
+    }
+    logger.info(`Config reload requested by ${req.user.username}: ${result.status}`);
+    res.json({ status: 'success', data: result });
+  });
+
+  /**
+   * GET /admin/audit
+   * Audit entries, newest first. `action` also matches sub-actions
+   * ("key" finds key.issue, key.rotate, key.revoke).
+   */
+  router.get('/audit', async (req, res) => {
+    const { value, error } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const { ip, ...filters } = value;
+      const entries = await audit.query({ ...filters, ipAddress: ip });
+      res.json({ status: 'success', total: entries.length, data: entries.map(toAuditResponse) });
+    } catch (err) {
+      logger.error('Failed to query audit log:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to query audit log' });
+    }
+  });
+
+  /**
+   * GET /admin/audit/export
+   * Every matching entry, oldest first, as NDJSON or CSV (hashes included
+   * so the chain can be checked elsewhere)
+   */
+  router.get('/audit/export', async (req, res) => {
+    const { value, error } = auditExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    const { format, ip, ...filters } = value;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+
+    try {
+      await audit.record(req, { action: 'audit.export', metadata: { format, filters: value } });
+      if (format === 'csv') res.write(CSV_COLUMNS.join(',') + '\n');
+
+      let afterId = null;
+      for (;;) {
+        const rows = await audit.query({ ...filters, ipAddress: ip, afterId, order: 'asc', limit: EXPORT_BATCH });
+        for (const row of rows) {
+          res.write(format === 'csv' ? toCsvLine(row) : JSON.stringify(toAuditResponse(row)) + '\n');
+        }
+        if (rows.length < EXPORT_BATCH) break;
+        afterId = rows[rows.length - 1].id;
+      }
+      res.end();
+    } catch (err) {
+      logger.error('Audit export failed:', err);
+      if (!res.headersSent) {
+        return res.status(500).json({ status: 'error', message: 'Audit export failed' });
+      }
+      // Cut the download short rather than let it look complete
+      res.destroy(err);
+    }
+  });
+
+  /**
+   * GET /admin/audit/verify
+   * Recompute the hash chain; reports the first entry that does not match
+   */
+  router.get('/audit/verify', async (req, res) => {
+    try {
+      const result = await audit.verify();
+      if (!result.valid) {
+        logger.error(`Audit log chain broken at entry ${result.brokenAt.id}: ${result.brokenAt.reason}`);
+      }
+      res.json({ status: 'success', data: result });
+    } catch (err) {
+      logger.error('Audit log verification failed:', err);
+      res.status(500).json({ status: 'error', message: 'Audit log verification failed' });
+    }
+  });
+
+  return router;
+}
+
+function toAuditResponse(row) {
+  return {
+    id: Number(row.id),
+    createdAt: row.created_at,
+    actor: { id: row.actor_id, name: row.actor, role: row.actor_role },
+    action: row.action,
+    target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+    changes: row.changes,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    metadata: row.metadata,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+function toCsvLine(row) {
+  return CSV_COLUMNS.map(column => {
+    let value = row[column];
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) value = value.toISOString();
+    else if (typeof value === 'object') value = JSON.stringify(value);
+    value = String(value);
+    // Keep spreadsheets from evaluating attacker-supplied text (user agents) as formulas
+    if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(',') + '\n';
+}
+
+function toUserResponse(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    fullName: user.full_name,
+    role: user.role,
+    isActive: user.is_active,
+    lastLoginAt: user.last_login_at,
+    loginCount: user.login_count,
+    createdAt: user.created_at
+  };
+}
+
+module.exports = setupAdminRoute;
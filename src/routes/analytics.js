@@ -132,11 +132,10 @@ router.get('/errors', (req, res) => {
 
 /**
  * POST /analytics/reset
- * Resets all analytics data (admin only)
+ * Resets all analytics data (admin only - guarded by requireRole('admin') in src/index.js)
  */
 router.post('/reset', (req, res) => {
   try {
-    // TODO: Add authentication/authorization check
     resetAnalytics();
     res.json({
       status: 'success',
@@ -0,0 +1,290 @@
+const express = require('express');
+const Joi = require('joi');
+const { hashPassword } = require('../middleware/session');
+
+// Per-IP limits; signups and logins each cost a scrypt hash (~32 MB)
+const LOGIN_LIMIT = { limit: 10, window: 15 * 60, strategy: 'sliding-window' };
+const SIGNUP_LIMIT = { limit: 5, window: 60 * 60, strategy: 'sliding-window' };
+const REFRESH_LIMIT = { limit: 60, window: 15 * 60, strategy: 'sliding-window' };
+
+const signupSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().max(255).required(),
+  username: Joi.string().trim().pattern(/^[a-zA-Z0-9_.-]+$/).min(3).max(50).required(),
+  password: Joi.string().min(10).max(256).required(),
+  fullName: Joi.string().trim().max(200).allow('', null)
+});
+
+const loginSchema = Joi.object({
+  login: Joi.string().trim().max(255).required().description('Email or username'),
+  password: Joi.string().max(256).required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+/**
+ * /auth - signup, login, token refresh, logout and session management
+ *
+ * Access tokens are sent as `Authorization: Bearer <token>`; see
+ * src/middleware/session.js for how sessions and tokens relate.
+ */
+function setupAuthRoute({ db, sessionAuth, rateLimiter, audit, logger }) {
+  const router = express.Router();
+  const requireUser = sessionAuth.middleware();
+
+  // Count the request against a per-IP limit before any work is done
+  const throttle = (scope, limits, message) => async (req, res, next) => {
+    let attempts;
+    try {
+      attempts = await rateLimiter.consume(scope, `ip:${req.ip}`, limits);
+    } catch (err) {
+      logger.error('Auth rate limit check failed:', err);
+      res.set('Retry-After', '5');
+      return res.status(503).json({ status: 'error', message: 'Rate limiter unavailable' });
+    }
+    if (!attempts.allowed) {
+      res.set('Retry-After', String(Math.max(1, attempts.retryAfter)));
+      return res.status(429).json({ status: 'error', message, retryAfter: attempts.retryAfter });
+    }
+    next();
+  };
+
+  /**
+   * POST /auth/signup
+   * Create an account and log it in
+   */
+  router.post('/signup', throttle('auth:signup', SIGNUP_LIMIT, 'Too many signups'), async (req, res) => {
+    const { value, error } = signupSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const user = await db.createUser({
+        email: value.email,
+        username: value.username,
+        passwordHash: await hashPassword(value.password),
+        fullName: value.fullName
+      });
+      const tokens = await sessionAuth.createSession(user, req);
+
+      await audit.record(req, {
+        action: 'auth.signup',
+        targetType: 'user',
+        targetId: user.id,
+        actor: { actorId: user.id, actor: user.username, actorRole: user.role },
+        metadata: { sessionId: tokens.session.id }
+      });
+      logger.info(`User signed up: ${user.username} (${user.id})`);
+      res.status(201).json({ status: 'success', data: { user: toUserResponse(user), ...toTokenResponse(tokens) } });
+    } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({ status: 'error', message: 'Email or username already registered' });
+      }
+      logger.error('Signup failed:', err);
+      res.status(500).json({ status: 'error', message: 'Signup failed' });
+    }
+  });
+
+  /**
+   * POST /auth/login
+   * `login` is the email address or username
+   */
+  router.post('/login', throttle('auth:login', LOGIN_LIMIT, 'Too many login attempts'), async (req, res) => {
+    const { value, error } = loginSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const user = await sessionAuth.verifyCredentials(value.login, value.password);
+      if (!user) {
+        await audit.record(req, { action: 'auth.login_failed', metadata: { login: value.login } });
+        logger.warn(`Failed login for "${value.login}" from ${req.ip}`);
+        return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+      }
+
+      const tokens = await sessionAuth.createSession(user, req);
+      await db.updateUserLogin(user.id);
+      await audit.record(req, {
+        action: 'auth.login',
+        targetType: 'session',
+        targetId: tokens.session.id,
+        actor: { actorId: user.id, actor: user.username, actorRole: user.role }
+      });
+
+      logger.info(`User logged in: ${user.username} (session ${tokens.session.id})`);
+      res.json({ status: 'success', data: { user: toUserResponse(user), ...toTokenResponse(tokens) } });
+    } catch (err) {
+      logger.error('Login failed:', err);
+      res.status(500).json({ status: 'error', message: 'Login failed' });
+    }
+  });
+
+  /**
+   * POST /auth/refresh
+   * New access token and refresh token; the presented refresh token is spent
+   */
+  router.post('/refresh', throttle('auth:refresh', REFRESH_LIMIT, 'Too many token refreshes'), async (req, res) => {
+    const { value, error } = refreshSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const tokens = await sessionAuth.refresh(value.refreshToken, req);
+      if (!tokens) {
+        return res.status(401).json({ status: 'error', message: 'Invalid or expired refresh token' });
+      }
+      res.json({ status: 'success', data: toTokenResponse(tokens) });
+    } catch (err) {
+      logger.error('Token refresh failed:', err);
+      res.status(500).json({ status: 'error', message: 'Token refresh failed' });
+    }
+  });
+
+  /**
+   * POST /auth/logout
+   * End the current session (`?all=true` ends every session of the user)
+   */
+  router.post('/logout', requireUser, async (req, res) => {
+    try {
+      let ended;
+      if (req.query.all === 'true') {
+        ended = await db.deleteUserSessions(req.user.id);
+      } else {
+        ended = (await db.deleteSession(req.user.sessionId, req.user.id)) ? [req.user.sessionId] : [];
+      }
+      await sessionAuth.invalidate(ended);
+
+      await audit.record(req, {
+        action: 'auth.logout',
+        targetType: 'session',
+        targetId: req.user.sessionId,
+        metadata: { all: req.query.all === 'true', sessionsEnded: ended }
+      });
+      logger.info(`User logged out: ${req.user.username} (${ended.length} session(s))`);
+      res.json({ status: 'success', data: { sessionsEnded: ended.length } });
+    } catch (err) {
+      logger.error('Logout failed:', err);
+      res.status(500).json({ status: 'error', message: 'Logout failed' });
+    }
+  });
+
+  /**
+   * GET /auth/me
+   */
+  router.get('/me', requireUser, async (req, res) => {
+    try {
+      const user = await db.getUserById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      res.json({ status: 'success', data: toUserResponse(user) });
+    } catch (err) {
+      logger.error('Failed to load user:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to load user' });
+    }
+  });
+
+  /**
+   * GET /auth/sessions
+   * The user's active sessions, the current one flagged
+   */
+  router.get('/sessions', requireUser, async (req, res) => {
+    try {
+      const rows = await db.getUserSessions(req.user.id);
+      res.json({
+        status: 'success',
+        total: rows.length,
+        data: rows.map(row => toSessionResponse(row, req.user.sessionId))
+      });
+    } catch (err) {
+      logger.error('Failed to list sessions:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to list sessions' });
+    }
+  });
+
+  /**
+   * DELETE /auth/sessions/:id
+   * Terminate one of the user's sessions; its tokens stop working at once
+   */
+  router.delete('/sessions/:id', requireUser, async (req, res) => {
+    try {
+      const { error } = Joi.string().guid().validate(req.params.id);
+      const ended = error ? null : await db.deleteSession(req.params.id, req.user.id);
+      if (!ended) {
+        return res.status(404).json({ status: 'error', message: 'Session not found' });
+      }
+      await sessionAuth.invalidate(ended.id);
+      await audit.record(req, { action: 'auth.session_terminate', targetType: 'session', targetId: ended.id });
+
+      logger.info(`Session terminated: ${ended.id} by ${req.user.username}`);
+      res.json({ status: 'success', data: { id: ended.id, current: ended.id === req.user.sessionId } });
+    } catch (err) {
+      logger.error('Failed to terminate session:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to terminate session' });
+    }
+  });
+
+  /**
+   * DELETE /auth/sessions
+   * Terminate every session except the current one
+   */
+  router.delete('/sessions', requireUser, async (req, res) => {
+    try {
+      const ended = await db.deleteUserSessions(req.user.id, req.user.sessionId);
+      await sessionAuth.invalidate(ended);
+      await audit.record(req, {
+        action: 'auth.session_terminate',
+        targetType: 'user',
+        targetId: req.user.id,
+        metadata: { sessionsEnded: ended }
+      });
+      res.json({ status: 'success', data: { sessionsEnded: ended.length } });
+    } catch (err) {
+      logger.error('Failed to terminate sessions:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to terminate sessions' });
+    }
+  });
+
+  return router;
+}
+
+function toUserResponse(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    fullName: user.full_name,
+    role: user.role,
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at
+  };
+}
+
+function toTokenResponse({ session, accessToken, refreshToken, expiresIn }) {
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn,
+    refreshToken,
+    refreshExpiresAt: session.expires_at,
+    sessionId: session.id
+  };
+}
+
+function toSessionResponse(row, currentSessionId) {
+  return {
+    id: row.id,
+    current: row.id === currentSessionId,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastActivity: row.last_activity,
+    expiresAt: row.expires_at
+  };
+}
+
+module.exports = setupAuthRoute;
@@ -0,0 +1,168 @@
+const express = require('express');
+const Joi = require('joi');
+const { parseCacheKey, servicePattern, scopedPattern, isCacheKey } = require('../cache/keys');
+
+const MAX_TTL = 30 * 24 * 60 * 60;
+
+const serviceName = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/i);
+const cacheKey = Joi.string().max(4096).custom((value, helpers) =>
+  isCacheKey(value) ? value : helpers.message({ custom: 'key must be a cache entry (cache:...)' })
+);
+
+const listSchema = Joi.object({
+  service: serviceName,
+  action: Joi.string().max(1000),
+  pattern: Joi.string().max(1000),
+  cursor: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+}).with('action', 'service').oxor('service', 'pattern');
+
+const purgeSchema = Joi.object({
+  service: serviceName,
+  action: Joi.string().max(1000),
+  pattern: Joi.string().max(1000)
+}).with('action', 'service').xor('service', 'pattern');
+
+const keySchema = Joi.object({
+  key: cacheKey.required()
+});
+
+const ttlSchema = Joi.object({
+  ttl: Joi.number().integer().min(1).max(MAX_TTL).required()
+});
+
+/**
+ * /cache - inspect and invalidate cached upstream responses (operator role)
+ *
+ * Entries are addressed by service, by service and action (the upstream
+ * path, e.g. `simple/price`), or by a glob over the part after `cache:` -
+ * patterns can never reach keys outside the cache (sessions, bans, quotas).
+ * TTLs include the window staleTTL/staleIfError/revalidateTTL keep entries past expiry.
+ */
+function setupCacheRoute({ cacheStrategies, audit, logger }) {
+  const router = express.Router();
+
+  /**
+   * GET /cache/stats
+   */
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await cacheStrategies.getStats();
+      res.json({ status: 'success', data: stats });
+    } catch (error) {
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  /**
+   * GET /cache/keys
+   * One page of cached entries with TTL and size; pass `cursor` back for more
+   */
+  router.get('/keys', async (req, res) => {
+    const { value, error } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const pattern = toPattern(value);
+      const page = await cacheStrategies.listKeys(pattern, { cursor: value.cursor, limit: value.limit });
+      res.json({
+        status: 'success',
+        pattern,
+        cursor: page.cursor,
+        total: page.keys.length,
+        data: page.keys.map(entry => ({ ...entry, ...parseCacheKey(entry.key) }))
+      });
+    } catch (err) {
+      logger.error('Failed to list cache keys:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to list cache keys' });
+    }
+  });
+
+  /**
+   * GET /cache/entry?key=...
+   */
+  router.get('/entry', async (req, res) => {
+    const { value, error } = keySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const entry = await cacheStrategies.inspect(value.key);
+      if (!entry) {
+        return res.status(404).json({ status: 'error', message: 'Cache entry not found' });
+      }
+      res.json({ status: 'success', data: { ...entry, ...parseCacheKey(entry.key) } });
+    } catch (err) {
+      logger.error('Failed to read cache entry:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to read cache entry' });
+    }
+  });
+
+  /**
+   * PATCH /cache/entry?key=...
+   * Extend or shorten an entry's TTL: { "ttl": seconds from now }
+   */
+  router.patch('/entry', async (req, res) => {
+    const { value: query, error: keyError } = keySchema.validate(req.query);
+    const { value, error } = keyError ? { error: keyError } : ttlSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const previous = await cacheStrategies.setTTL(query.key, value.ttl);
+      if (previous === null) {
+        return res.status(404).json({ status: 'error', message: 'Cache entry not found' });
+      }
+      await audit.record(req, {
+        action: 'cache.ttl',
+        targetType: 'cache_key',
+        targetId: query.key,
+        before: { ttl: previous },
+        after: { ttl: value.ttl }
+      });
+      res.json({ status: 'success', data: { key: query.key, ttl: value.ttl, previousTtl: previous } });
+    } catch (err) {
+      logger.error('Failed to update cache TTL:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to update cache TTL' });
+    }
+  });
+
+  /**
+   * POST /cache/purge
+   * { service } | { service, action } | { pattern } - reports how many keys were deleted
+   */
+  router.post('/purge', async (req, res) => {
+    const { value, error } = purgeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const pattern = toPattern(value);
+      const deleted = await cacheStrategies.invalidatePattern(pattern);
+      await audit.record(req, {
+        action: 'cache.purge',
+        targetType: 'cache',
+        targetId: pattern,
+        metadata: { ...value, deleted }
+      });
+      res.json({ status: 'success', data: { pattern, deleted } });
+    } catch (err) {
+      logger.error('Cache purge failed:', err);
+      res.status(500).json({ status: 'error', message: 'Cache purge failed' });
+    }
+  });
+
+  return router;
+}
+
+function toPattern({ service, action, pattern }) {
+  if (service) return servicePattern(service, action ?? null);
+  return scopedPattern(pattern || '*');
+}
+
+module.exports = setupCacheRoute;
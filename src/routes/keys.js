@@ -0,0 +1,321 @@
+const express = require('express');
+const Joi = require('joi');
+const { hashApiKey, generateApiKey } = require('../middleware/api-key');
+const { hasRole, isAdminToken } = require('../middleware/roles');
+
+const MAX_GRACE_PERIOD = 7 * 24 * 60 * 60;
+
+const quotaSchema = Joi.object({
+  daily: Joi.number().integer().min(1),
+  monthly: Joi.number().integer().min(1)
+}).or('daily', 'monthly');
+
+const issueSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().max(500).allow('', null),
+  allowedServices: Joi.array().items(Joi.string()).allow(null),
+  // Admins only (see below): they lift or replace the services' own limits
+  rateLimit: Joi.number().integer().min(1),
+  quota: quotaSchema.allow(null),
+  expiresAt: Joi.date().iso().greater('now').allow(null),
+  userId: Joi.string().guid()
+});
+
+const rotateSchema = Joi.object({
+  gracePeriod: Joi.number().integer().min(0).max(MAX_GRACE_PERIOD).default(24 * 60 * 60),
+  expiresAt: Joi.date().iso().greater('now').allow(null),
+  userId: Joi.string().guid()
+});
+
+/**
+ * /keys - issue, list, rotate and revoke API keys
+ *
+ * Callers authenticate with a session access token (see /auth) or one of
+ * their own API keys (X-API-Key) and manage the keys linked to them through
+ * user_api_keys. Issuing and rotating need a session, so a leaked key cannot
+ * mint its own replacements. Admins (and the ADMIN_TOKEN bearer token) may
+ * act for any user given as `userId` and set a key's rateLimit and quota.
+ */
+function setupKeysRoute({ db, apiKeyAuth, sessionAuth, audit, logger }) {
+  const router = express.Router();
+
+  router.use(authenticateKeyOwner({ db, apiKeyAuth, sessionAuth, logger }));
+  router.use(checkTargetUser({ db, logger }));
+
+  /**
+   * POST /keys
+   * Issue a key. The plaintext is only ever returned here.
+   */
+  router.post('/', requireSession, async (req, res) => {
+    const { value, error } = issueSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+    if ((value.rateLimit !== undefined || value.quota !== undefined) && !isAdmin(req.user)) {
+      return res.status(403).json({ status: 'error', message: 'Only admins can set rateLimit or quota' });
+    }
+
+    try {
+      const { key, keyHash, prefix } = generateApiKey();
+      const row = await db.createUserApiKey(req.user.id, {
+        keyHash,
+        name: value.name,
+        description: value.description,
+        rateLimit: value.rateLimit,
+        allowedServices: value.allowedServices,
+        expiresAt: value.expiresAt,
+        metadata: { prefix, quota: value.quota || undefined }
+      });
+
+      await audit.record(req, {
+        action: 'key.issue',
+        targetType: 'api_key',
+        targetId: row.id,
+        after: toKeyResponse(row),
+        metadata: { userId: req.user.id }
+      });
+      logger.info(`API key issued: ${row.id} (${prefix}...) for user ${req.user.id}`);
+      res.status(201).json({
+        status: 'success',
+        message: 'Store this key now - it cannot be shown again',
+        data: { ...toKeyResponse(row), key }
+      });
+    } catch (err) {
+      logger.error('Failed to issue API key:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to issue API key' });
+    }
+  });
+
+  /**
+   * GET /keys
+   * The caller's keys with usage counts (never the key itself)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await db.getUserApiKeys(req.user.id);
+      res.json({ status: 'success', total: rows.length, data: rows.map(toKeyResponse) });
+    } catch (err) {
+      logger.error('Failed to list API keys:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to list API keys' });
+    }
+  });
+
+  /**
+   * POST /keys/:id/rotate
+   * Issue a replacement with the same settings; the old key keeps working
+   * for `gracePeriod` seconds (default 24h) and then expires.
+   */
+  router.post('/:id/rotate', requireSession, async (req, res) => {
+    const { value, error } = rotateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    try {
+      const old = await findOwnKey(db, req, res);
+      if (!old) return;
+      if (keyStatus(old) !== 'active') {
+        return res.status(409).json({ status: 'error', message: `Cannot rotate a ${keyStatus(old)} key` });
+      }
+
+      const { key, keyHash, prefix } = generateApiKey();
+      const row = await db.createUserApiKey(req.user.id, {
+        keyHash,
+        name: old.name,
+        description: old.description,
+        rateLimit: old.rate_limit,
+        allowedServices: old.allowed_services,
+        expiresAt: value.expiresAt !== undefined ? value.expiresAt : old.expires_at,
+        metadata: { prefix, quota: (old.metadata && old.metadata.quota) || undefined, rotatedFrom: old.id }
+      });
+
+      const graceUntil = new Date(Date.now() + value.gracePeriod * 1000);
+      const retired = await db.expireApiKey(old.id, graceUntil);
+      await apiKeyAuth.invalidate(old.key_hash).catch(err => logger.error('API key cache invalidation failed:', err));
+
+      await audit.record(req, {
+        action: 'key.rotate',
+        targetType: 'api_key',
+        targetId: old.id,
+        before: toKeyResponse(old),
+        after: toKeyResponse(retired),
+        metadata: { userId: req.user.id, replacementId: row.id, gracePeriod: value.gracePeriod }
+      });
+      logger.info(`API key rotated: ${old.id} -> ${row.id}, old key valid until ${graceUntil.toISOString()}`);
+      res.status(201).json({
+        status: 'success',
+        message: 'Store this key now - it cannot be shown again',
+        data: { ...toKeyResponse(row), key },
+        previous: toKeyResponse(retired)
+      });
+    } catch (err) {
+      logger.error('Failed to rotate API key:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to rotate API key' });
+    }
+  });
+
+  /**
+   * DELETE /keys/:id
+   * Revoke a key immediately
+   */
+  router.delete('/:id', async (req, res) => {
+    try {
+      const key = await findOwnKey(db, req, res);
+      if (!key) return;
+
+      const revoked = await db.deactivateApiKeyById(key.id);
+      await apiKeyAuth.invalidate(key.key_hash).catch(err => logger.error('API key cache invalidation failed:', err));
+
+      await audit.record(req, {
+        action: 'key.revoke',
+        targetType: 'api_key',
+        targetId: key.id,
+        before: toKeyResponse(key),
+        after: toKeyResponse(revoked),
+        metadata: { userId: req.user.id }
+      });
+      logger.info(`API key revoked: ${key.id}`);
+      res.json({ status: 'success', data: toKeyResponse(revoked) });
+    } catch (err) {
+      logger.error('Failed to revoke API key:', err);
+      res.status(500).json({ status: 'error', message: 'Failed to revoke API key' });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Resolve `req.user` from a session access token, the caller's API key, or
+ * ADMIN_TOKEN + userId.
+ */
+function authenticateKeyOwner({ db, apiKeyAuth, sessionAuth, logger }) {
+  return async (req, res, next) => {
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+    if (bearer && isAdminToken(bearer[1])) {
+      const userId = (req.body && req.body.userId) || req.query.userId;
+      if (!userId) {
+        return res.status(400).json({ status: 'error', message: 'userId is required with the admin token' });
+      }
+      req.user = { id: userId, admin: true, actor: { id: null, username: 'admin-token', role: 'admin' } };
+      return next();
+    }
+
+    if (bearer) {
+      try {
+        const user = await sessionAuth.authenticate(bearer[1]);
+        if (!user) {
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ status: 'error', message: 'Invalid or expired token' });
+        }
+        const userId = (req.body && req.body.userId) || req.query.userId;
+        req.user = userId && hasRole(user, 'admin') ? { id: userId, admin: true, actor: user } : user;
+        return next();
+      } catch (err) {
+        logger.error('Session lookup failed:', err);
+        return res.status(503).json({ status: 'error', message: 'Authentication temporarily unavailable' });
+      }
+    }
+
+    const key = req.get('X-API-Key');
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer, ApiKey');
+      return res.status(401).json({ status: 'error', message: 'Authentication required' });
+    }
+
+    try {
+      const record = await apiKeyAuth.lookup(hashApiKey(key));
+      const rejection = apiKeyAuth.check(record);
+      if (rejection) {
+        res.set('WWW-Authenticate', 'ApiKey');
+        return res.status(401).json({ status: 'error', message: rejection.error });
+      }
+
+      const owner = await db.getApiKeyOwner(record.id);
+      if (!owner) {
+        return res.status(403).json({ status: 'error', message: 'API key is not linked to a user' });
+      }
+      req.user = { id: owner.id, role: owner.role, username: owner.username, viaApiKey: true };
+      next();
+    } catch (err) {
+      logger.error('Key owner lookup failed:', err);
+      res.status(503).json({ status: 'error', message: 'Authentication temporarily unavailable' });
+    }
+  };
+}
+
+/**
+ * When an admin acts for `userId`, make sure that user exists - keys are
+ * linked to it by foreign key.
+ */
+function checkTargetUser({ db, logger }) {
+  return async (req, res, next) => {
+    if (!req.user.admin) return next();
+
+    if (Joi.string().guid().validate(req.user.id).error) {
+      return res.status(400).json({ status: 'error', message: 'userId must be a UUID' });
+    }
+    try {
+      if (!await db.getUserById(req.user.id)) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      next();
+    } catch (err) {
+      logger.error('User lookup failed:', err);
+      res.status(503).json({ status: 'error', message: 'Authentication temporarily unavailable' });
+    }
+  };
+}
+
+/**
+ * Reject callers that authenticated with an API key.
+ */
+function requireSession(req, res, next) {
+  if (req.user.viaApiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ status: 'error', message: 'A session access token is required to issue or rotate keys' });
+  }
+  next();
+}
+
+// Acting for a user as admin, or an admin managing their own keys
+function isAdmin(user) {
+  return Boolean(user.admin) || hasRole(user, 'admin');
+}
+
+async function findOwnKey(db, req, res) {
+  const { error } = Joi.string().guid().validate(req.params.id);
+  const key = error ? null : await db.getUserApiKey(req.user.id, req.params.id);
+  if (!key) {
+    res.status(404).json({ status: 'error', message: 'API key not found' });
+  }
+  return key;
+}
+
+function keyStatus(row) {
+  if (!row.is_active) return 'revoked';
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return 'expired';
+  return 'active';
+}
+
+function toKeyResponse(row) {
+  const metadata = row.metadata || {};
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    prefix: metadata.prefix || null,
+    status: keyStatus(row),
+    allowedServices: row.allowed_services,
+    rateLimit: row.rate_limit,
+    quota: metadata.quota || null,
+    usageCount: row.usage_count,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    rotatedFrom: metadata.rotatedFrom || null
+  };
+}
+
+module.exports = setupKeysRoute;
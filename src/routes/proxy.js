@@ -0,0 +1,281 @@
+const express = require('express');
+const { resolveUpstreamPath, isPathAllowed } = require('../proxy/path');
+const { sendProxyResult, setUpstreamHeaders } = require('../proxy/upstream');
+const { fetchUpstream } = require('../proxy/fetch');
+const { isCacheable, varyHeaders, cacheKeyFor, readThroughCache } = require('../proxy/cache-policy');
+const { UpstreamError, GatewayError, describeUpstreamBody } = require('../proxy/errors');
+const { validateQuery } = require('../proxy/actions');
+const { setRateLimitHeaders } = require('../proxy/rate-limiter');
+const { redact, credentialParamNames } = require('../config/secrets');
+
+const DEFAULT_METHODS = ['GET'];
+
+const GATEWAY_ERROR_TITLES = {
+  503: 'Service temporarily unavailable',
+  504: 'Gateway timeout'
+};
+
+// Warning header for stale cache entries (RFC 7234 warn-codes)
+const STALE_WARNINGS = {
+  revalidating: '110 - "Response is Stale"',
+  error: '111 - "Revalidation Failed"'
+};
+
+/**
+ * /api/:service/* - proxy any HTTP method to the configured upstream
+ *
+ * `getConfig()` returns the current services config; it is read once per
+ * request so a hot reload never changes the config mid-request.
+ * `authenticate` runs first and sets `req.apiKey` (see src/middleware/api-key.js).
+ * Upstream credentials come from `secrets` (see src/config/secrets.js).
+ * Per-service `ipAllow` / `ipDeny` are checked by `ipFilter` (see src/middleware/ip-filter.js).
+ * Query strings of declared `actions` are validated first (see src/proxy/actions.js).
+ * The upstream call itself lives in src/proxy/fetch.js, the caching rules
+ * (TTLs, Cache-Control, stale and L1 windows) in src/proxy/cache-policy.js.
+ */
+function setupProxyRoute({
+  getConfig,
+  cacheStrategies,
+  circuitBreaker,
+  rateLimiter,
+  quotaManager,
+  secrets,
+  ipFilter = null,
+  model,
+  logger,
+  authenticate = (req, res, next) => next()
+}) {
+  const router = express.Router();
+
+  // Keep the body as raw bytes so it is forwarded exactly as received
+  router.use(express.raw({
+    type: () => true,
+    limit: process.env.PROXY_BODY_LIMIT || '1mb'
+  }));
+
+  router.all(['/:service', '/:service/*'], authenticate, async (req, res) => {
+    const { service } = req.params;
+    // Rate limits and quotas follow the API key when there is one
+    const identity = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const method = req.method.toUpperCase();
+
+    const config = getConfig();
+    const api = config[service];
+
+    if (!api) {
+      try {
+        const prompt = `API service "${service}" not found. Available services: ${Object.keys(config).join(', ')}. Suggest the most relevant alternative service and explain why in 1-2 sentences.`;
+        const result = await model.generateContent(prompt);
+        return res.status(404).json({
+          error: 'Service not found',
+          suggestion: result.response.text(),
+          available: Object.keys(config)
+        });
+      } catch (aiError) {
+        return res.status(404).json({
+          error: 'Service not found',
+          available: Object.keys(config)
+        });
+      }
+    }
+
+    const ipBlocked = ipFilter && ipFilter.checkService(api, req.ip);
+    if (ipBlocked) {
+      logger.warn(`Blocked IP ${req.ip} for ${service}: ${ipBlocked}`);
+      return res.status(403).json({ error: 'Forbidden', service, reason: `ip_${ipBlocked}` });
+    }
+
+    const allowedMethods = getAllowedMethods(api);
+    if (!allowedMethods.includes(method)) {
+      res.set('Allow', allowedMethods.join(', '));
+      return res.status(405).json({
+        error: 'Method not allowed',
+        service,
+        method,
+        allowed: allowedMethods
+      });
+    }
+
+    let upstreamPath;
+    try {
+      // req.path is relative to the /api mount and keeps the original encoding: ['', service, ...segments]
+      upstreamPath = resolveUpstreamPath(req.path.split('/').slice(2));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid path', service, message: error.message });
+    }
+    res.locals.proxy = { service, path: upstreamPath.path };
+
+    if (!isPathAllowed(upstreamPath.path, api.paths)) {
+      logger.warn(`Blocked path: ${service}/${upstreamPath.path}`);
+      return res.status(403).json({
+        error: 'Path not allowed',
+        service,
+        path: upstreamPath.path
+      });
+    }
+
+    // The hub supplies these itself; a caller's value must neither override
+    // the secret nor end up in the cache key
+    for (const name of credentialParamNames(api)) {
+      delete req.query[name];
+    }
+
+    // Declared actions reject bad query strings before they cost rate budget
+    const validation = validateQuery(api, upstreamPath.path, method, req.query);
+    if (validation.errors) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        service,
+        action: validation.action,
+        message: validation.errors.map(e => e.message).join('; '),
+        fields: validation.errors
+      });
+    }
+    req.query = validation.query;
+
+    let rate;
+    try {
+      rate = await rateLimiter.consume(service, identity, rateLimiter.options(api, req.apiKey));
+    } catch (error) {
+      // Fail closed - without the limiter we cannot protect the upstream quotas
+      logger.error('Rate limit check failed:', error);
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Rate limiter unavailable', service });
+    }
+
+    setRateLimitHeaders(res, rate);
+    if (!rate.allowed) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        limit: rate.limit,
+        window: `${rate.window} seconds`,
+        retryAfter: rate.retryAfter
+      });
+    }
+
+    let quota;
+    try {
+      quota = await quotaManager.consume(identity, quotaManager.limitsFor(service, api, req.apiKey));
+    } catch (error) {
+      logger.error('Quota check failed:', error);
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: 'Quota service unavailable', service });
+    }
+
+    if (!quota.allowed) {
+      const { exceeded } = quota;
+      res.set('Retry-After', String(Math.max(1, exceeded.resetIn)));
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: `${exceeded.period} quota of ${exceeded.limit} requests for ${exceeded.scope === 'all' ? 'all services' : exceeded.scope} exhausted; resets at ${exceeded.resetsAt}`,
+        quota: exceeded,
+        retryAfter: exceeded.resetIn
+      });
+    }
+
+    const body = Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined;
+    const cacheable = isCacheable(api, method);
+    const transparent = Boolean(api.transparent);
+    const vary = varyHeaders(api, name => req.get(name));
+    let revalidated = false;
+
+    // `previous` is the expired cache entry being refreshed, if any
+    const fetchFromUpstream = (previous) => fetchUpstream({
+      service,
+      api,
+      method,
+      upstreamPath,
+      query: req.query,
+      body,
+      contentType: req.get('content-type'),
+      headers: vary,
+      previous,
+      res,
+      onNotModified: () => { revalidated = true; }
+    }, { circuitBreaker, secrets, logger });
+
+    if (api.cacheKey && api.cacheKey.vary) {
+      // Tell downstream caches what the response depends on
+      api.cacheKey.vary.forEach(name => res.vary(name));
+    }
+
+    try {
+      const cacheKey = cacheKeyFor(service, api, { path: upstreamPath.path, method, query: req.query, body, vary });
+      let { data: result, cached, coalesced, stale } = cacheable
+        ? await readThroughCache(cacheStrategies, api, cacheKey, fetchFromUpstream)
+        : { data: await fetchFromUpstream(), cached: false };
+
+      if (coalesced && result.type === 'raw' && !result.body) {
+        // The shared fetch streamed an oversized body to another client only
+        result = await fetchFromUpstream();
+      }
+
+      if (stale) {
+        res.set('Warning', STALE_WARNINGS[stale]);
+      }
+      res.locals.coalesced = Boolean(coalesced);
+      // A 304 from the upstream means the body still came from the cache
+      sendProxyResult(res, result, cached || revalidated, { transparent, stale: Boolean(stale), revalidated });
+    } catch (error) {
+      logger.error(`Proxy error: ${method} ${service}/${upstreamPath.path}`, redact(error.message));
+      if (res.headersSent) {
+        // Failed mid-stream - all we can do is cut the response short
+        return res.destroy(error);
+      }
+      sendProxyError(res, error, { service, transparent });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Answer a failed proxy call.
+ *
+ * Transparent services relay upstream errors as-is (status, body, allowed
+ * headers). Everything else gets a JSON envelope whose `type` says whether
+ * the upstream rejected the call or the gateway could not complete it.
+ */
+function sendProxyError(res, error, { service, transparent }) {
+  if (error instanceof UpstreamError) {
+    res.set('X-Proxy-Error', error.type);
+    if (transparent) {
+      return sendProxyResult(res, error.result, false, { transparent });
+    }
+    setUpstreamHeaders(res, error.result.upstream);
+    return res.status(502).json({
+      error: 'Bad gateway',
+      type: error.type,
+      service,
+      upstreamStatus: error.status,
+      upstreamBody: describeUpstreamBody(error.result),
+      upstream: error.result.upstream || undefined,
+      message: redact(error.message)
+    });
+  }
+
+  const gatewayError = GatewayError.from(error);
+  res.set('X-Proxy-Error', gatewayError.type);
+  if (gatewayError.retryAfter) {
+    res.set('Retry-After', String(gatewayError.retryAfter));
+  }
+  res.status(gatewayError.status).json({
+    error: GATEWAY_ERROR_TITLES[gatewayError.status] || 'Bad gateway',
+    type: gatewayError.type,
+    service,
+    message: redact(gatewayError.message)
+  });
+}
+
+/**
+ * Methods a service accepts; HEAD follows GET.
+ */
+function getAllowedMethods(api) {
+  const methods = (api.methods || DEFAULT_METHODS).map(m => m.toUpperCase());
+  if (methods.includes('GET') && !methods.includes('HEAD')) {
+    methods.push('HEAD');
+  }
+  return methods;
+}
+
+module.exports = setupProxyRoute;
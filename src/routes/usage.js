@@ -0,0 +1,51 @@
+const express = require('express');
+const { hashApiKey } = require('../middleware/api-key');
+
+/**
+ * /me - the caller's own usage
+ *
+ * The caller is identified the same way the proxy identifies it: by API key
+ * (X-API-Key or api_key) when one is sent, otherwise by IP address.
+ */
+function setupUsageRoute({ getConfig, apiKeyAuth, quotaManager, logger }) {
+  const router = express.Router();
+
+  /**
+   * GET /me/usage
+   * Used and remaining requests for every quota that applies to the caller
+   */
+  router.get('/usage', async (req, res) => {
+    const key = apiKeyAuth.extractKey(req);
+    let apiKey = null;
+
+    try {
+      if (key) {
+        const record = await apiKeyAuth.lookup(hashApiKey(key));
+        const rejection = apiKeyAuth.check(record);
+        if (rejection) {
+          res.set('WWW-Authenticate', 'ApiKey');
+          return res.status(401).json({ status: 'error', message: rejection.error });
+        }
+        apiKey = record;
+      }
+
+      const identity = apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`;
+      const quotas = await quotaManager.getUsage(identity, quotaManager.allLimits(getConfig(), apiKey));
+
+      res.json({
+        status: 'success',
+        data: {
+          identity: apiKey ? { type: 'api_key', id: apiKey.id, name: apiKey.name } : { type: 'ip', ip: req.ip },
+          quotas
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to read quota usage:', error);
+      res.status(503).json({ status: 'error', message: 'Usage temporarily unavailable' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = setupUsageRoute;
@@ -14,15 +14,24 @@ Production-ready API Gateway with AI-powered automation
 - 🤖 AI-powered 404 suggestions (Gemini)
 - 🔒 Rate limiting per service
 - 📊 Health monitoring
-- 🎯 Uptime verification oracle
+- 🎯 Per-service circuit breakers
 
 ## Base URL
 \`\`\`
 http://localhost:3000
 \`\`\`
 
+## Authentication
+Send an API key as \`X-API-Key\` header or \`api_key\` query parameter. Services that set
+\`allowAnonymous: false\` require one; keys may be limited to certain services and expire.
+
+Accounts log in at \`/auth/login\` and send the access token as \`Authorization: Bearer <token>\`
+(e.g. to manage their API keys under \`/keys\`). Administrative routes require the \`operator\`
+or \`admin\` role (401 without credentials, 403 when the role is too low).
+
 ## Rate Limits
-Default: 100 requests/minute per IP (configurable per service)
+Default: 100 requests/minute per IP or API key (configurable per service, sliding window or
+token bucket). Responses carry \`RateLimit-Limit\`, \`RateLimit-Remaining\` and \`RateLimit-Reset\`.
 
 ## Caching
 Responses cached with configurable TTL (default 5 minutes)
@@ -56,6 +65,26 @@ Responses cached with configurable TTL (default 5 minutes)
       name: 'API Proxy',
       description: 'Proxied API services with caching and rate limiting'
     },
+    {
+      name: 'Service Actions',
+      description: 'Actions declared under `actions` in config/apis.yaml, with validated query parameters'
+    },
+    {
+      name: 'Auth',
+      description: 'Signup, login and session management'
+    },
+    {
+      name: 'Admin',
+      description: 'User roles, IP bans, config reload and the audit log (admin role)'
+    },
+    {
+      name: 'Cache',
+      description: 'Inspect, purge and re-expire cached responses (operator role)'
+    },
+    {
+      name: 'API Keys',
+      description: 'Issue, list, rotate and revoke API keys'
+    },
     {
       name: 'Metrics',
       description: 'Prometheus-compatible metrics'
@@ -70,7 +99,7 @@ Responses cached with configurable TTL (default 5 minutes)
       get: {
         tags: ['Health'],
         summary: 'Health check endpoint',
-        description: 'Returns system health status including Dragonfly connection and loaded API services',
+        description: 'Returns system health status including Dragonfly connection, loaded API services and circuit breaker states. Status is `degraded` while any circuit is not closed.',
         responses: {
           200: {
             description: 'System is healthy',
@@ -103,6 +132,11 @@ Responses cached with configurable TTL (default 5 minutes)
                           example: 20
                         }
                       }
+                    },
+                    circuits: {
+                      type: 'object',
+                      description: 'Circuit breaker state per service',
+                      additionalProperties: { $ref: '#/components/schemas/CircuitState' }
                     }
                   }
                 },
@@ -120,6 +154,110 @@ Responses cached with configurable TTL (default 5 minutes)
         }
       }
     },
+    '/health/services': {
+      get: {
+        tags: ['Health'],
+        summary: 'Per-service health from background checks',
+        description: 'Status, latency and rolling uptime (1h / 24h) for every service in config/apis.yaml. Each service is probed on its own `healthCheck.interval`.',
+        responses: {
+          200: {
+            description: 'Health of all services',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    summary: {
+                      type: 'object',
+                      additionalProperties: { type: 'integer' },
+                      example: { up: 16, degraded: 1, down: 1 }
+                    },
+                    data: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/ServiceHealth' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/health/warming': {
+      get: {
+        tags: ['Health'],
+        summary: 'Scheduled cache warming results',
+        description: 'Last result of every request listed under `warm` in config/apis.yaml. Each is refetched into the cache on its own `interval`; results are per instance (`skipped` means another instance warmed it this round).',
+        responses: {
+          200: {
+            description: 'Warm schedule with latest results',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    summary: {
+                      type: 'object',
+                      additionalProperties: { type: 'integer' },
+                      example: { warmed: 1, revalidated: 1 }
+                    },
+                    data: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/CacheWarmEntry' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/health/services/{service}': {
+      get: {
+        tags: ['Health'],
+        summary: 'Health of one service with recent probe history',
+        parameters: [
+          {
+            name: 'service',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', example: 'crypto' }
+          },
+          {
+            name: 'history',
+            in: 'query',
+            required: false,
+            description: 'Number of recent probes to include (default 50, max 1000)',
+            schema: { type: 'integer', example: 50 }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Service health',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: { $ref: '#/components/schemas/ServiceHealth' }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: 'Service not found'
+          }
+        }
+      }
+    },
     '/metrics': {
       get: {
         tags: ['Metrics'],
@@ -154,12 +292,18 @@ Responses cached with configurable TTL (default 5 minutes)
     '/api/{service}': {
       get: {
         tags: ['API Proxy'],
+        // Anonymous unless the service sets allowAnonymous: false
+        security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
         summary: 'Proxy API request to service',
         description: `
 Proxies requests to configured API services with automatic:
 - Rate limiting per IP
 - Response caching (Dragonfly)
-- Uptime verification (3-check oracle)
+- Per-service circuit breaker (fails fast while the upstream is down)
+- Stale-while-revalidate / serve-stale-on-error (\`Warning: 110\` / \`111\` with \`stale: true\`)
+- Upstream \`Cache-Control\` / \`Expires\` and conditional revalidation with \`honorCacheControl\`
+- \`ETag\` on every response; send it back as \`If-None-Match\` to get 304
+- Retries with backoff and fallback mirror endpoints (\`X-Upstream-Endpoint\`, \`X-Upstream-Attempts\`)
 - AI-powered 404 suggestions (Gemini)
 
 **Example services:**
@@ -185,6 +329,16 @@ Proxies requests to configured API services with automatic:
         responses: {
           200: {
             description: 'Successful response from proxied service',
+            headers: {
+              Warning: {
+                description: 'Set on stale cache entries: 110 (revalidating) or 111 (upstream failed)',
+                schema: { type: 'string', example: '110 - "Response is Stale"' }
+              },
+              ETag: {
+                description: 'Validator for If-None-Match (weak for JSON, over the envelope as sent; the upstream\'s own for other bodies)',
+                schema: { type: 'string', example: 'W/"BThvKNFhT-yxx-MpvYJBf7SN1FI"' }
+              }
+            },
             content: {
               'application/json': {
                 schema: {
@@ -194,17 +348,34 @@ Proxies requests to configured API services with automatic:
                       type: 'boolean',
                       description: 'Whether response came from cache',
                       example: false
+                    },
+                    stale: {
+                      type: 'boolean',
+                      description: 'Present when an expired cache entry was served (see the Warning header)',
+                      example: true
+                    },
+                    revalidated: {
+                      type: 'boolean',
+                      description: 'Present when the upstream confirmed an expired entry with 304 Not Modified',
+                      example: true
+                    },
+                    upstream: {
+                      $ref: '#/components/schemas/UpstreamInfo'
                     }
                   },
                   additionalProperties: true
                 },
                 example: {
                   data: 'Response from proxied API',
-                  cached: false
+                  cached: false,
+                  upstream: { endpoint: 'https://api1.binance.com/api/v3', attempts: 3 }
                 }
               }
             }
           },
+          304: {
+            description: 'Not modified - the If-None-Match matched the current ETag'
+          },
           404: {
             description: 'Service not found (with AI suggestion)',
             content: {
@@ -231,8 +402,13 @@ Proxies requests to configured API services with automatic:
               }
             }
           },
-          429: {
-            description: 'Rate limit exceeded',
+          401: {
+            description: 'API key missing (service has allowAnonymous: false), unknown, inactive or expired',
+            headers: {
+              'WWW-Authenticate': {
+                schema: { type: 'string', example: 'ApiKey' }
+              }
+            },
             content: {
               'application/json': {
                 schema: {
@@ -240,23 +416,107 @@ Proxies requests to configured API services with automatic:
                   properties: {
                     error: {
                       type: 'string',
-                      example: 'Rate limit exceeded'
+                      enum: ['API key required', 'Invalid API key', 'API key expired'],
+                      example: 'Invalid API key'
                     },
-                    limit: {
-                      type: 'integer',
-                      example: 100
+                    service: { type: 'string', example: 'huggingface' }
+                  }
+                }
+              }
+            }
+          },
+          403: {
+            description: 'API key not allowed for this service (allowed_services), client IP blocked by IP_ALLOW/IP_DENY or ipAllow/ipDeny, or client banned after repeated 429s (reason: ip_banned, with Retry-After)',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' }
+              }
+            }
+          },
+          429: {
+            description: 'Rate limit or daily/monthly quota exceeded (RateLimit-* headers are also sent on successful responses)',
+            headers: {
+              'RateLimit-Limit': {
+                description: 'Requests allowed per window',
+                schema: { type: 'integer', example: 100 }
+              },
+              'RateLimit-Remaining': {
+                description: 'Requests left in the current window',
+                schema: { type: 'integer', example: 0 }
+              },
+              'RateLimit-Reset': {
+                description: 'Seconds until the quota frees up',
+                schema: { type: 'integer', example: 12 }
+              },
+              'RateLimit-Policy': {
+                schema: { type: 'string', example: '100;w=60' }
+              },
+              'Retry-After': {
+                description: 'Seconds to wait before retrying',
+                schema: { type: 'integer', example: 12 }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    {
+                      type: 'object',
+                      properties: {
+                        error: {
+                          type: 'string',
+                          example: 'Rate limit exceeded'
+                        },
+                        limit: {
+                          type: 'integer',
+                          example: 100
+                        },
+                        window: {
+                          type: 'string',
+                          example: '60 seconds'
+                        },
+                        retryAfter: {
+                          type: 'integer',
+                          example: 12
+                        }
+                      }
                     },
-                    window: {
-                      type: 'string',
-                      example: '60 seconds'
+                    {
+                      type: 'object',
+                      properties: {
+                        error: {
+                          type: 'string',
+                          example: 'Quota exceeded'
+                        },
+                        message: {
+                          type: 'string',
+                          example: 'daily quota of 10000 requests for crypto exhausted; resets at 2025-01-02T00:00:00.000Z'
+                        },
+                        quota: { $ref: '#/components/schemas/QuotaUsage' },
+                        retryAfter: {
+                          type: 'integer',
+                          description: 'Seconds until the quota resets',
+                          example: 43200
+                        }
+                      }
                     }
-                  }
+                  ]
                 }
               }
             }
           },
           502: {
-            description: 'Bad gateway (upstream service error)',
+            description: `
+Bad gateway. \`type\` is \`upstream_error\` when the upstream answered with an error status
+(its status and body are included) and \`gateway_error\` when no answer was received.
+Services with \`transparent: true\` relay upstream errors with their original status instead.
+            `,
+            headers: {
+              'X-Proxy-Error': {
+                description: 'upstream_error or gateway_error',
+                schema: { type: 'string' }
+              }
+            },
             content: {
               'application/json': {
                 schema: {
@@ -266,21 +526,53 @@ Proxies requests to configured API services with automatic:
                       type: 'string',
                       example: 'Bad gateway'
                     },
+                    type: {
+                      type: 'string',
+                      enum: ['upstream_error', 'gateway_error'],
+                      example: 'upstream_error'
+                    },
                     service: {
                       type: 'string',
-                      example: 'weather'
+                      example: 'github'
+                    },
+                    upstreamStatus: {
+                      type: 'integer',
+                      example: 404
+                    },
+                    upstreamBody: {
+                      description: 'Upstream error body (JSON or text)',
+                      example: { message: 'Not Found' }
                     },
                     message: {
                       type: 'string',
-                      example: 'timeout of 5000ms exceeded'
+                      example: 'Upstream responded with 404'
                     }
                   }
                 }
               }
             }
           },
+          504: {
+            description: 'Gateway timeout (upstream did not answer in time)',
+            content: {
+              'application/json': {
+                example: {
+                  error: 'Gateway timeout',
+                  type: 'gateway_error',
+                  service: 'weather',
+                  message: 'timeout of 5000ms exceeded'
+                }
+              }
+            }
+          },
           503: {
-            description: 'Service temporarily unavailable',
+            description: 'Circuit open - the upstream failed repeatedly and is not being called',
+            headers: {
+              'Retry-After': {
+                description: 'Seconds until the circuit lets a trial request through',
+                schema: { type: 'integer' }
+              }
+            },
             content: {
               'application/json': {
                 schema: {
@@ -290,13 +582,17 @@ Proxies requests to configured API services with automatic:
                       type: 'string',
                       example: 'Service temporarily unavailable'
                     },
-                    uptime: {
+                    type: {
                       type: 'string',
-                      example: '33.33%'
+                      example: 'gateway_error'
                     },
-                    checks: {
-                      type: 'integer',
-                      example: 3
+                    service: {
+                      type: 'string',
+                      example: 'etherscan'
+                    },
+                    message: {
+                      type: 'string',
+                      example: 'Circuit open for etherscan'
                     }
                   }
                 }
@@ -307,10 +603,81 @@ Proxies requests to configured API services with automatic:
       }
     },
     '/api/{service}/{action}': {
+      post: {
+        tags: ['API Proxy'],
+        // Anonymous unless the service sets allowAnonymous: false
+        security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+        summary: 'Proxy a write request with body',
+        description: `
+POST, PUT, PATCH and DELETE are forwarded with the request body and its \`Content-Type\` untouched.
+A service only accepts the methods listed under \`methods\` in config/apis.yaml (default: GET).
+Write requests are never cached unless the method is listed under \`cacheMethods\`.
+        `,
+        parameters: [
+          {
+            name: 'service',
+            in: 'path',
+            required: true,
+            description: 'API service name',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'action',
+            in: 'path',
+            required: true,
+            description: 'Service action/endpoint (may contain slashes)',
+            schema: { type: 'string' }
+          }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': { schema: { type: 'object', additionalProperties: true } },
+            'application/x-www-form-urlencoded': { schema: { type: 'object', additionalProperties: true } }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Successful response from proxied service',
+            content: {
+              'application/json': {
+                example: { data: 'Response from proxied API', cached: false }
+              }
+            }
+          },
+          405: {
+            description: 'Method not allowed for this service',
+            content: {
+              'application/json': {
+                example: {
+                  error: 'Method not allowed',
+                  service: 'github',
+                  method: 'POST',
+                  allowed: ['GET', 'HEAD']
+                }
+              }
+            }
+          }
+        }
+      },
       get: {
         tags: ['API Proxy'],
+        // Anonymous unless the service sets allowAnonymous: false
+        security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
         summary: 'Proxy API request with action',
-        description: 'Proxies requests to specific service actions/endpoints',
+        description: `
+Proxies requests to specific service actions/endpoints.
+
+JSON upstream responses are wrapped as \`{ data, cached }\`. Images, plain text and other bodies
+are passed through with their original \`Content-Type\` and an \`X-Cache: HIT|MISS|REVALIDATED\` header.
+
+The action may span several path segments (e.g. \`repos/Gzeu/free-api-hub\`); everything
+after the service name is forwarded upstream. Services can restrict forwarded paths with
+\`paths.allow\` / \`paths.deny\` globs in config/apis.yaml.
+
+Paths declared under \`actions\` have their query parameters validated (400 with per-field
+errors); they are listed individually under *Service Actions*.
+        `,
         parameters: [
           {
             name: 'service',
@@ -326,7 +693,7 @@ Proxies requests to configured API services with automatic:
             name: 'action',
             in: 'path',
             required: true,
-            description: 'Service action/endpoint',
+            description: 'Service action/endpoint (may contain slashes)',
             schema: {
               type: 'string',
               example: 'users/Gzeu'
@@ -334,6 +701,52 @@ Proxies requests to configured API services with automatic:
           }
         ],
         responses: {
+          400: {
+            description: 'Malformed or relative upstream path',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' }
+              }
+            }
+          },
+          401: {
+            description: 'API key missing (service has allowAnonymous: false), unknown, inactive or expired',
+            headers: {
+              'WWW-Authenticate': {
+                schema: { type: 'string', example: 'ApiKey' }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    error: {
+                      type: 'string',
+                      enum: ['API key required', 'Invalid API key', 'API key expired'],
+                      example: 'Invalid API key'
+                    },
+                    service: { type: 'string', example: 'huggingface' }
+                  }
+                }
+              }
+            }
+          },
+          403: {
+            description: 'Upstream path blocked by the service path rules, or API key not allowed for this service',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    error: { type: 'string', example: 'Path not allowed' },
+                    service: { type: 'string', example: 'github' },
+                    path: { type: 'string', example: 'user/emails' }
+                  }
+                }
+              }
+            }
+          },
           200: {
             description: 'Successful response from proxied service',
             content: {
@@ -348,39 +761,1200 @@ Proxies requests to configured API services with automatic:
                   },
                   additionalProperties: true
                 }
+              },
+              'image/png': {
+                schema: { type: 'string', format: 'binary' }
+              },
+              'text/plain': {
+                schema: { type: 'string' }
               }
             }
           }
         }
       }
-    }
-  },
-  components: {
-    schemas: {
-      HealthResponse: {
-        type: 'object',
-        properties: {
-          status: {
-            type: 'string',
-            enum: ['healthy', 'degraded', 'unhealthy']
-          },
-          timestamp: {
-            type: 'string',
-            format: 'date-time'
-          },
-          services: {
-            type: 'object',
-            properties: {
-              dragonfly: {
-                type: 'string',
-                enum: ['connected', 'disconnected']
-              },
-              apis: {
-                type: 'integer'
+    },
+    '/auth/signup': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Create an account',
+        description: 'Creates a user and logs it in. Passwords are hashed with scrypt. Limited to 5 signups per IP every hour.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'username', 'password'],
+                properties: {
+                  email: { type: 'string', format: 'email' },
+                  username: { type: 'string', example: 'alice', description: '3-50 letters, digits, "_", "." or "-"' },
+                  password: { type: 'string', format: 'password', minLength: 10 },
+                  fullName: { type: 'string' }
+                }
               }
             }
           }
-        }
+        },
+        responses: {
+          201: {
+            description: 'Account created and logged in',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/AuthResponse' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid request body'
+          },
+          409: {
+            description: 'Email or username already registered'
+          },
+          429: {
+            description: 'Too many signups',
+            headers: {
+              'Retry-After': {
+                schema: { type: 'integer' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Log in',
+        description: 'Starts a session (IP address and user agent are recorded) and returns an access token and a refresh token. Limited to 10 attempts per IP every 15 minutes.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['login', 'password'],
+                properties: {
+                  login: { type: 'string', description: 'Email or username', example: 'alice' },
+                  password: { type: 'string', format: 'password' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Logged in',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/AuthResponse' }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid credentials'
+          },
+          429: {
+            description: 'Too many login attempts',
+            headers: {
+              'Retry-After': {
+                schema: { type: 'integer' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/refresh': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Refresh the access token',
+        description: 'Returns a new access token and a new refresh token. Each refresh token works once. Limited to 60 refreshes per IP every 15 minutes.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['refreshToken'],
+                properties: {
+                  refreshToken: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'New tokens',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: { $ref: '#/components/schemas/AuthTokens' }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid, used or expired refresh token'
+          },
+          429: {
+            description: 'Too many token refreshes',
+            headers: {
+              'Retry-After': {
+                schema: { type: 'integer' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Log out',
+        description: 'Ends the current session; its access and refresh tokens stop working immediately.',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: 'all',
+            in: 'query',
+            description: 'End every session of the user',
+            schema: { type: 'boolean', default: false }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Logged out',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        sessionsEnded: { type: 'integer', example: 1 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Missing or invalid access token'
+          }
+        }
+      }
+    },
+    '/auth/me': {
+      get: {
+        tags: ['Auth'],
+        summary: 'Current user',
+        security: [{ BearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'The logged-in user',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: { $ref: '#/components/schemas/User' }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Missing or invalid access token'
+          }
+        }
+      }
+    },
+    '/auth/sessions': {
+      get: {
+        tags: ['Auth'],
+        summary: 'List your sessions',
+        security: [{ BearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Active sessions, the current one flagged',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    total: { type: 'integer', example: 2 },
+                    data: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/Session' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Missing or invalid access token'
+          }
+        }
+      },
+      delete: {
+        tags: ['Auth'],
+        summary: 'End all other sessions',
+        description: 'Terminates every session of the user except the current one.',
+        security: [{ BearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Sessions ended'
+          },
+          401: {
+            description: 'Missing or invalid access token'
+          }
+        }
+      }
+    },
+    '/auth/sessions/{id}': {
+      delete: {
+        tags: ['Auth'],
+        summary: 'End a session',
+        description: 'Terminates one of your sessions; its tokens stop working immediately.',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', format: 'uuid' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Session ended'
+          },
+          404: {
+            description: 'No such session for this user'
+          }
+        }
+      }
+    },
+    '/admin/users': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List users',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } }
+        ],
+        responses: {
+          200: {
+            description: 'Users',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    total: { type: 'integer' },
+                    data: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/User' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' }
+        }
+      }
+    },
+    '/admin/users/{id}/role': {
+      put: {
+        tags: ['Admin'],
+        summary: "Change a user's role",
+        description: 'Takes effect on the next request of that user.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['role'],
+                properties: {
+                  role: { type: 'string', enum: ['user', 'operator', 'admin'] }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Role changed' },
+          400: { description: 'Unknown role' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' },
+          404: { description: 'User not found' },
+          409: { description: 'Admins cannot demote themselves' }
+        }
+      }
+    },
+    '/admin/bans': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List banned clients',
+        description: 'IPs banned for repeatedly hitting rate limits (BAN_THRESHOLD 429s within BAN_WINDOW seconds), soonest to expire first.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        responses: {
+          200: {
+            description: 'Active bans',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    total: { type: 'integer' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/IpBan' } }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' }
+        }
+      }
+    },
+    '/admin/bans/{ip}': {
+      delete: {
+        tags: ['Admin'],
+        summary: 'Lift a ban',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'ip', in: 'path', required: true, schema: { type: 'string' }, example: '198.51.100.7' }
+        ],
+        responses: {
+          200: { description: 'Ban lifted' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' },
+          404: { description: 'No active ban for this IP' }
+        }
+      }
+    },
+    '/admin/audit': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Query the audit log',
+        description: 'Administrative and security-relevant actions, newest first.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'action', in: 'query', description: 'Action or action prefix (`key` matches `key.issue`, `key.revoke`, ...)', schema: { type: 'string' }, example: 'key' },
+          { name: 'actor', in: 'query', description: 'Username (or `admin-token`, `system`)', schema: { type: 'string' } },
+          { name: 'actorId', in: 'query', schema: { type: 'string', format: 'uuid' } },
+          { name: 'targetType', in: 'query', schema: { type: 'string', example: 'api_key' } },
+          { name: 'targetId', in: 'query', schema: { type: 'string' } },
+          { name: 'ip', in: 'query', schema: { type: 'string' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } }
+        ],
+        responses: {
+          200: {
+            description: 'Audit entries',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    total: { type: 'integer' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/AuditEntry' } }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid filter' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' }
+        }
+      }
+    },
+    '/admin/audit/export': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Export the audit log',
+        description: 'Every matching entry, oldest first, including `prev_hash` / `hash` so the chain can be verified offline. The export itself is audited.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['ndjson', 'csv'], default: 'ndjson' } },
+          { name: 'action', in: 'query', description: 'Action or action prefix (`key` matches `key.issue`, `key.revoke`, ...)', schema: { type: 'string' }, example: 'key' },
+          { name: 'actor', in: 'query', description: 'Username (or `admin-token`, `system`)', schema: { type: 'string' } },
+          { name: 'actorId', in: 'query', schema: { type: 'string', format: 'uuid' } },
+          { name: 'targetType', in: 'query', schema: { type: 'string', example: 'api_key' } },
+          { name: 'targetId', in: 'query', schema: { type: 'string' } },
+          { name: 'ip', in: 'query', schema: { type: 'string' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } }
+        ],
+        responses: {
+          200: {
+            description: 'NDJSON (one AuditEntry per line) or CSV download',
+            content: {
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          400: { description: 'Invalid filter' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' }
+        }
+      }
+    },
+    '/admin/audit/verify': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Verify the audit hash chain',
+        description: 'Recomputes every entry hash from the first one; `brokenAt` names the first entry that was modified or whose predecessor is missing.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        responses: {
+          200: {
+            description: 'Verification result',
+            content: {
+              'application/json': {
+                example: { status: 'success', data: { valid: false, checked: 41, lastId: 41, brokenAt: { id: 42, reason: 'entry modified' } } }
+              }
+            }
+          },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' }
+        }
+      }
+    },
+    '/admin/config/reload': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Reload config/apis.yaml',
+        description: 'Re-reads and validates the services config now instead of waiting for the file watcher.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        responses: {
+          200: { description: 'Reloaded (or unchanged), with added/removed/changed services' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires admin role' },
+          422: { description: 'Config is invalid; the previous config stays active' }
+        }
+      }
+    },
+    '/cache/stats': {
+      get: {
+        tags: ['Cache'],
+        summary: 'Cache statistics',
+        description: 'Redis keyspace hits and misses, coalesced fetches, the number of cached keys, and proxy lookups by tier (`tiers`: L1 memory hits, L2 Redis hits, misses, L1 size and evictions).',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        responses: {
+          200: { description: 'Cache statistics' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires operator role' }
+        }
+      }
+    },
+    '/cache/keys': {
+      get: {
+        tags: ['Cache'],
+        summary: 'List cached entries',
+        description: 'One SCAN page of cached responses with their remaining TTL and size. Pass the returned `cursor` back for the next page; `0` means done. Pages may hold fewer than `limit` entries.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'service', in: 'query', schema: { type: 'string' }, example: 'crypto' },
+          { name: 'action', in: 'query', description: 'Upstream path within `service`', schema: { type: 'string' }, example: 'simple/price' },
+          { name: 'pattern', in: 'query', description: 'Glob over the key after `cache:` (instead of `service`)', schema: { type: 'string' }, example: 'crypto:coins/*' },
+          { name: 'cursor', in: 'query', schema: { type: 'integer', default: 0 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } }
+        ],
+        responses: {
+          200: {
+            description: 'Cached entries',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    pattern: { type: 'string', example: 'cache:crypto:*' },
+                    cursor: { type: 'integer' },
+                    total: { type: 'integer' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/CacheEntry' } }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid filters' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires operator role' }
+        }
+      }
+    },
+    '/cache/entry': {
+      get: {
+        tags: ['Cache'],
+        summary: 'Fetch one cached entry',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'key', in: 'query', required: true, schema: { type: 'string' }, example: 'cache:crypto:simple/price:{"ids":"bitcoin"}' }
+        ],
+        responses: {
+          200: { description: 'The entry with its cached value' },
+          400: { description: 'Not a cache key' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires operator role' },
+          404: { description: 'Cache entry not found' }
+        }
+      },
+      patch: {
+        tags: ['Cache'],
+        summary: "Change an entry's TTL",
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          { name: 'key', in: 'query', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ttl'],
+                properties: {
+                  ttl: { type: 'integer', minimum: 1, maximum: 2592000, description: 'Seconds from now', example: 600 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'TTL changed (returns the previous TTL as well)' },
+          400: { description: 'Not a cache key or invalid TTL' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires operator role' },
+          404: { description: 'Cache entry not found' }
+        }
+      }
+    },
+    '/cache/purge': {
+      post: {
+        tags: ['Cache'],
+        summary: 'Purge cached entries',
+        description: 'Delete every entry of a service, of one action within a service, or matching a glob. Patterns only ever match `cache:` keys.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  service: { type: 'string', example: 'crypto' },
+                  action: { type: 'string', description: 'Requires `service`', example: 'simple/price' },
+                  pattern: { type: 'string', description: 'Instead of `service`', example: 'weather:*' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Entries deleted',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        pattern: { type: 'string', example: 'cache:crypto:simple/price:{*' },
+                        deleted: { type: 'integer', example: 42 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Give either `service` (optionally with `action`) or `pattern`' },
+          401: { description: 'Missing or invalid credentials' },
+          403: { description: 'Requires operator role' }
+        }
+      }
+    },
+    '/keys': {
+      get: {
+        tags: ['API Keys'],
+        summary: 'List your API keys',
+        description: 'Keys linked to the caller (through `user_api_keys`) with usage counts and last-used times. The key itself is never returned.',
+        security: [{ BearerAuth: [] }, { ApiKeyHeader: [] }, { AdminToken: [] }],
+        parameters: [
+          {
+            name: 'userId',
+            in: 'query',
+            description: 'Required with the admin token',
+            schema: { type: 'string', format: 'uuid' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Your keys',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    total: { type: 'integer', example: 2 },
+                    data: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/ApiKey' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired API key',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        tags: ['API Keys'],
+        summary: 'Issue an API key',
+        description: 'Creates a key for the caller. **The plaintext key is only returned in this response.** Needs a session access token (not an API key). Use the admin token with `userId` to issue the first key of a user; only admins may set `rateLimit` or `quota`.',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string', example: 'dashboard' },
+                  description: { type: 'string' },
+                  allowedServices: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    nullable: true,
+                    example: ['crypto', 'weather']
+                  },
+                  rateLimit: { type: 'integer', description: 'Admins only; overrides the services\' rateLimit', example: 1000 },
+                  quota: { $ref: '#/components/schemas/Quota' },
+                  expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                  userId: { type: 'string', format: 'uuid', description: 'Admin token only' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Key issued',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/IssuedApiKey' }
+              }
+            }
+          },
+          400: {
+            description: 'Invalid request body',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired session token, or an API key was sent instead'
+          },
+          403: {
+            description: '`rateLimit` or `quota` set by a non-admin'
+          },
+          404: {
+            description: '`userId` is not an active user'
+          }
+        }
+      }
+    },
+    '/keys/{id}/rotate': {
+      post: {
+        tags: ['API Keys'],
+        summary: 'Rotate an API key',
+        description: 'Issues a replacement with the same settings. The old key keeps working for `gracePeriod` seconds (default 86400, max 7 days) and then expires. Needs a session access token (not an API key).',
+        security: [{ BearerAuth: [] }, { AdminToken: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', format: 'uuid' }
+          }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  gracePeriod: { type: 'integer', example: 86400 },
+                  expiresAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'New key issued; `previous` shows when the old key expires',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/IssuedApiKey' },
+                    {
+                      type: 'object',
+                      properties: {
+                        previous: { $ref: '#/components/schemas/ApiKey' }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Missing, invalid or expired session token, or an API key was sent instead'
+          },
+          404: {
+            description: 'No such key for this user'
+          },
+          409: {
+            description: 'Key is already revoked or expired'
+          }
+        }
+      }
+    },
+    '/keys/{id}': {
+      delete: {
+        tags: ['API Keys'],
+        summary: 'Revoke an API key',
+        description: 'Deactivates the key immediately.',
+        security: [{ BearerAuth: [] }, { ApiKeyHeader: [] }, { AdminToken: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', format: 'uuid' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Key revoked',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: { $ref: '#/components/schemas/ApiKey' }
+                  }
+                }
+              }
+            }
+          },
+          404: {
+            description: 'No such key for this user'
+          }
+        }
+      }
+    },
+    '/me/usage': {
+      get: {
+        tags: ['API Keys'],
+        summary: 'Your quota usage',
+        description: 'Used and remaining requests for every daily/monthly quota that applies to the caller: per-service quotas from the config and the quota of the API key. Without a key the caller is identified by IP.',
+        security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+        responses: {
+          200: {
+            description: 'Quota usage',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'success' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        identity: {
+                          type: 'object',
+                          properties: {
+                            type: { type: 'string', enum: ['api_key', 'ip'] },
+                            id: { type: 'string', format: 'uuid' },
+                            name: { type: 'string' },
+                            ip: { type: 'string' }
+                          }
+                        },
+                        quotas: {
+                          type: 'array',
+                          items: { $ref: '#/components/schemas/QuotaUsage' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: {
+            description: 'Invalid or expired API key'
+          }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key'
+      },
+      ApiKeyQuery: {
+        type: 'apiKey',
+        in: 'query',
+        name: 'api_key'
+      },
+      BearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from /auth/login'
+      },
+      AdminToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'ADMIN_TOKEN from the environment; acts for the user given as userId'
+      }
+    },
+    schemas: {
+      HealthResponse: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            enum: ['healthy', 'degraded', 'unhealthy']
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time'
+          },
+          services: {
+            type: 'object',
+            properties: {
+              dragonfly: {
+                type: 'string',
+                enum: ['connected', 'disconnected']
+              },
+              apis: {
+                type: 'integer'
+              }
+            }
+          }
+        }
+      },
+      ServiceHealth: {
+        type: 'object',
+        properties: {
+          service: { type: 'string', example: 'crypto' },
+          status: {
+            type: 'string',
+            enum: ['up', 'degraded', 'down', 'unknown']
+          },
+          lastCheck: { type: 'string', format: 'date-time', nullable: true },
+          httpStatus: { type: 'integer', nullable: true, example: 200 },
+          lastError: { type: 'string', nullable: true },
+          interval: { type: 'number', description: 'Seconds between probes', example: 60 },
+          latency: {
+            type: 'object',
+            properties: {
+              last: { type: 'integer', nullable: true, example: 120 },
+              avg: { type: 'integer', nullable: true, example: 140 },
+              p95: { type: 'integer', nullable: true, example: 310 }
+            }
+          },
+          uptime: {
+            type: 'object',
+            description: 'Percentage of successful probes',
+            properties: {
+              '1h': { type: 'number', nullable: true, example: 100 },
+              '24h': { type: 'number', nullable: true, example: 99.65 }
+            }
+          },
+          checks: { type: 'integer', example: 1440 }
+        }
+      },
+      CacheWarmEntry: {
+        type: 'object',
+        properties: {
+          service: { type: 'string', example: 'crypto' },
+          path: { type: 'string', example: 'simple/price?ids=bitcoin' },
+          key: { type: 'string', nullable: true, example: 'cache:crypto:simple/price:{"ids":"bitcoin","vs_currencies":"usd"}' },
+          interval: { type: 'integer', description: 'Seconds between refreshes', example: 30 },
+          status: {
+            type: 'string',
+            enum: ['pending', 'warmed', 'revalidated', 'skipped', 'rate_limited', 'failed', 'invalid']
+          },
+          lastRun: { type: 'string', format: 'date-time', nullable: true },
+          lastSuccess: { type: 'string', format: 'date-time', nullable: true },
+          nextRun: { type: 'string', format: 'date-time', nullable: true },
+          latency: { type: 'integer', nullable: true, description: 'Milliseconds the last run took', example: 180 },
+          runs: { type: 'integer', example: 120 },
+          failures: { type: 'integer', example: 0 },
+          error: { type: 'string', nullable: true }
+        }
+      },
+      UpstreamInfo: {
+        type: 'object',
+        description: 'Which endpoint (primary or fallback mirror) answered, after how many attempts. Omitted for cache hits.',
+        properties: {
+          endpoint: {
+            type: 'string',
+            example: 'https://api1.binance.com/api/v3'
+          },
+          attempts: {
+            type: 'integer',
+            example: 3
+          }
+        }
+      },
+      CircuitState: {
+        type: 'object',
+        properties: {
+          state: {
+            type: 'string',
+            enum: ['closed', 'open', 'half_open']
+          },
+          failures: {
+            type: 'integer',
+            description: 'Consecutive failures'
+          },
+          openedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          changedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          reason: {
+            type: 'string',
+            nullable: true
+          }
+        }
+      },
+      AuthTokens: {
+        type: 'object',
+        properties: {
+          tokenType: { type: 'string', example: 'Bearer' },
+          accessToken: { type: 'string', description: 'JWT for the Authorization header' },
+          expiresIn: { type: 'integer', description: 'Seconds the access token is valid', example: 900 },
+          refreshToken: { type: 'string', description: 'Single-use; exchange at /auth/refresh' },
+          refreshExpiresAt: { type: 'string', format: 'date-time' },
+          sessionId: { type: 'string', format: 'uuid' }
+        }
+      },
+      AuthResponse: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'success' },
+          data: {
+            allOf: [
+              { $ref: '#/components/schemas/AuthTokens' },
+              {
+                type: 'object',
+                properties: {
+                  user: { $ref: '#/components/schemas/User' }
+                }
+              }
+            ]
+          }
+        }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          email: { type: 'string', format: 'email' },
+          username: { type: 'string', example: 'alice' },
+          fullName: { type: 'string', nullable: true },
+          role: { type: 'string', example: 'user' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastLoginAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          current: { type: 'boolean' },
+          ipAddress: { type: 'string', example: '203.0.113.7' },
+          userAgent: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastActivity: { type: 'string', format: 'date-time', description: 'Login or last token refresh' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CacheEntry: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', example: 'cache:crypto:simple/price:{"ids":"bitcoin"}' },
+          ttl: { type: 'integer', description: 'Seconds left, including any stale window (-1: no expiry)', example: 57 },
+          size: { type: 'integer', description: 'Bytes', example: 512 },
+          service: { type: 'string', example: 'crypto' },
+          path: { type: 'string', example: 'simple/price' },
+          query: { type: 'object', example: { ids: 'bitcoin' } },
+          method: { type: 'string', example: 'GET' },
+          vary: { type: 'object', nullable: true, description: 'Request headers the entry is keyed on (`cacheKey.vary`)', example: { 'accept-language': 'de' } },
+          version: { type: 'integer', nullable: true, description: 'Service key version (`cacheKey.version`)', example: 2 },
+          value: { type: 'object', description: 'Cached response (GET /cache/entry only)' }
+        }
+      },
+      AuditEntry: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          actor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid', nullable: true },
+              name: { type: 'string', example: 'alice' },
+              role: { type: 'string', nullable: true, example: 'admin' }
+            }
+          },
+          action: { type: 'string', example: 'key.revoke' },
+          target: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              type: { type: 'string', example: 'api_key' },
+              id: { type: 'string' }
+            }
+          },
+          changes: {
+            type: 'object',
+            nullable: true,
+            description: 'Changed fields as { field: { before, after } }',
+            example: { status: { before: 'active', after: 'revoked' } }
+          },
+          ipAddress: { type: 'string', nullable: true },
+          userAgent: { type: 'string', nullable: true },
+          metadata: { type: 'object' },
+          prevHash: { type: 'string', description: 'Hash of the previous entry (64 zeros for the first)' },
+          hash: { type: 'string', description: 'SHA-256 over prevHash and this entry' }
+        }
+      },
+      IpBan: {
+        type: 'object',
+        properties: {
+          ip: { type: 'string', example: '198.51.100.7' },
+          reason: { type: 'string', example: '30 rate-limited requests within 60s' },
+          strikes: { type: 'integer', nullable: true },
+          bannedAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          expiresIn: { type: 'integer', description: 'Seconds until the ban ends' }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          name: { type: 'string', example: 'dashboard' },
+          description: { type: 'string', nullable: true },
+          prefix: { type: 'string', example: 'fah_Xk2p9Q', description: 'First characters of the key, for recognising it' },
+          status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+          allowedServices: { type: 'array', items: { type: 'string' }, nullable: true },
+          rateLimit: { type: 'integer', nullable: true, description: 'Overrides the services\' rateLimit; null uses theirs', example: 1000 },
+          quota: { $ref: '#/components/schemas/Quota' },
+          usageCount: { type: 'integer', example: 1234 },
+          lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          rotatedFrom: { type: 'string', format: 'uuid', nullable: true }
+        }
+      },
+      Quota: {
+        type: 'object',
+        nullable: true,
+        description: 'Requests allowed per UTC day / calendar month, across all services',
+        properties: {
+          daily: { type: 'integer', example: 10000 },
+          monthly: { type: 'integer', example: 200000 }
+        }
+      },
+      QuotaUsage: {
+        type: 'object',
+        properties: {
+          scope: { type: 'string', example: 'crypto', description: "Service name, or 'all' for a key-wide quota" },
+          period: { type: 'string', enum: ['daily', 'monthly'] },
+          limit: { type: 'integer', example: 10000 },
+          used: { type: 'integer', example: 9512 },
+          remaining: { type: 'integer', example: 488 },
+          resetsAt: { type: 'string', format: 'date-time' },
+          resetIn: { type: 'integer', description: 'Seconds until reset', example: 43200 }
+        }
+      },
+      IssuedApiKey: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'success' },
+          message: { type: 'string', example: 'Store this key now - it cannot be shown again' },
+          data: {
+            allOf: [
+              { $ref: '#/components/schemas/ApiKey' },
+              {
+                type: 'object',
+                properties: {
+                  key: { type: 'string', example: 'fah_Xk2p9Q...' }
+                }
+              }
+            ]
+          }
+        }
       },
       ErrorResponse: {
         type: 'object',
@@ -393,6 +1967,26 @@ Proxies requests to configured API services with automatic:
           }
         }
       },
+      InvalidParameters: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', example: 'Invalid parameters' },
+          service: { type: 'string', example: 'crypto' },
+          action: { type: 'string', example: 'simple/price' },
+          message: { type: 'string', example: 'ids is required' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'ids' },
+                message: { type: 'string', example: 'ids is required' },
+                type: { type: 'string', example: 'any.required' }
+              }
+            }
+          }
+        }
+      },
       RateLimitError: {
         type: 'object',
         properties: {
@@ -412,6 +2006,83 @@ Proxies requests to configured API services with automatic:
 };
 
 // Custom Swagger UI options
+const PARAM_SCHEMA_TYPES = { integer: 'integer', number: 'number', boolean: 'boolean', string: 'string' };
+
+function toParameterSchema(spec) {
+  const schema = { type: PARAM_SCHEMA_TYPES[spec.type] || 'string' };
+  if (spec.type === 'array') {
+    schema.type = 'array';
+    schema.items = { type: PARAM_SCHEMA_TYPES[spec.items] || 'string' };
+    if (spec.enum) schema.items.enum = spec.enum;
+    if (spec.min !== undefined) schema.minItems = spec.min;
+    if (spec.max !== undefined) schema.maxItems = spec.max;
+  } else {
+    if (spec.enum) schema.enum = spec.enum;
+    const [minKey, maxKey] = schema.type === 'string' ? ['minLength', 'maxLength'] : ['minimum', 'maximum'];
+    if (spec.min !== undefined) schema[minKey] = spec.min;
+    if (spec.max !== undefined) schema[maxKey] = spec.max;
+  }
+  if (spec.pattern && schema.type === 'string') schema.pattern = spec.pattern;
+  if (spec.default !== undefined) schema.default = spec.default;
+  return schema;
+}
+
+/**
+ * The document plus one path per declared service action (config/apis.yaml
+ * `actions`), so the docs follow config reloads.
+ */
+function withServiceActions(config) {
+  const paths = { ...swaggerDocument.paths };
+
+  for (const [service, api] of Object.entries(config)) {
+    for (const [name, action] of Object.entries(api.actions || {})) {
+      const pathParams = (name.match(/\{[^/{}]+\}/g) || []).map(param => ({
+        name: param.slice(1, -1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }));
+      const queryParams = Object.entries(action.params || {}).map(([param, spec]) => ({
+        name: param,
+        in: 'query',
+        required: Boolean(spec.required),
+        description: spec.description,
+        schema: toParameterSchema(spec),
+        // Lists are comma-separated
+        ...(spec.type === 'array' ? { style: 'form', explode: false } : {})
+      }));
+
+      const methods = (action.methods || api.methods || ['GET']).filter(m => m !== 'HEAD' && m !== 'OPTIONS');
+      const operations = {};
+      for (const method of methods) {
+        operations[method.toLowerCase()] = {
+          tags: ['Service Actions'],
+          security: api.allowAnonymous === false
+            ? [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }]
+            : [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+          summary: `${service}: ${action.description || name}`,
+          description: api.description,
+          parameters: [...pathParams, ...queryParams],
+          responses: {
+            200: { description: 'Successful response from proxied service' },
+            400: {
+              description: action.unknownParams === 'allow'
+                ? 'Invalid query parameters'
+                : 'Invalid or unknown query parameters',
+              content: {
+                'application/json': { schema: { $ref: '#/components/schemas/InvalidParameters' } }
+              }
+            }
+          }
+        };
+      }
+      paths[`/api/${service}/${name.replace(/^\/+|\/+$/g, '')}`] = operations;
+    }
+  }
+
+  return { ...swaggerDocument, paths };
+}
+
 const swaggerOptions = {
   customCss: `
     .swagger-ui .topbar { display: none }
@@ -435,5 +2106,6 @@ const swaggerOptions = {
 module.exports = {
   swaggerUi,
   swaggerDocument,
-  swaggerOptions
+  swaggerOptions,
+  withServiceActions
 };
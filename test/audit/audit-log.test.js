@@ -0,0 +1,163 @@
+const AuditLog = require('../../src/audit/audit-log');
+const { canonicalJson, diff } = AuditLog;
+const { AUDIT_GENESIS_HASH } = require('../../src/db/client');
+
+// JSONB keeps object keys shorter-first, then bytewise - not in insertion order
+function jsonb(value) {
+  if (Array.isArray(value)) return value.map(jsonb);
+  if (!value || typeof value !== 'object') return value;
+  const keys = Object.keys(value).sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0));
+  return Object.fromEntries(keys.map(key => [key, jsonb(value[key])]));
+}
+
+// audit_log as node-postgres returns it
+function fakeDb() {
+  const rows = [];
+  return {
+    rows,
+    async appendAuditEntry(entry, seal) {
+      const prevHash = rows.length > 0 ? rows[rows.length - 1].hash : AUDIT_GENESIS_HASH;
+      const row = {
+        id: String(rows.length + 1),
+        created_at: new Date(entry.createdAt),
+        actor_id: entry.actorId,
+        actor: entry.actor,
+        actor_role: entry.actorRole,
+        action: entry.action,
+        target_type: entry.targetType,
+        target_id: entry.targetId,
+        changes: entry.changes === null ? null : jsonb(entry.changes),
+        ip_address: entry.ipAddress,
+        user_agent: entry.userAgent,
+        metadata: jsonb(entry.metadata),
+        prev_hash: prevHash,
+        hash: seal(prevHash)
+      };
+      rows.push(row);
+      return row;
+    },
+    async getAuditEntries({ afterId = null, limit }) {
+      return rows.filter(row => afterId === null || Number(row.id) > Number(afterId)).slice(0, limit);
+    }
+  };
+}
+
+const request = (user) => ({ user, ip: '203.0.113.7', get: () => 'curl/8.0' });
+
+async function trail() {
+  const db = fakeDb();
+  const audit = new AuditLog({ db, logger: { error: jest.fn() } });
+  const admin = request({ id: '5b0c1e1a-0000-4000-8000-000000000001', username: 'root', role: 'admin' });
+  await audit.record(admin, { action: 'key.issue', targetType: 'api_key', targetId: 1, after: { name: 'ci', rateLimit: 100 } });
+  await audit.record(admin, {
+    action: 'user.role_change',
+    targetType: 'user',
+    targetId: 'u2',
+    before: { role: 'user', email: 'a@b.c' },
+    after: { role: 'operator', email: 'a@b.c' },
+    metadata: { zeta: 1, alpha: { nested: true, b: [2, 1] } }
+  });
+  await audit.record(null, { action: 'ip.ban', targetType: 'ip', targetId: '198.51.100.1', metadata: { strikes: 5 } });
+  return { db, audit };
+}
+
+describe('AuditLog chain', () => {
+  test('entries chain from the genesis hash and verify after a JSONB round trip', async () => {
+    const { db, audit } = await trail();
+    expect(db.rows[0].prev_hash).toBe(AUDIT_GENESIS_HASH);
+    expect(db.rows[1].prev_hash).toBe(db.rows[0].hash);
+    expect(Object.keys(db.rows[1].metadata)).toEqual(['zeta', 'alpha']);
+    expect(await audit.verify()).toEqual({ valid: true, checked: 3, lastId: '3' });
+  });
+
+  test('an edited row is reported as modified', async () => {
+    const { db, audit } = await trail();
+    db.rows[1].changes.role.after = 'admin';
+
+    expect(await audit.verify()).toEqual({
+      valid: false,
+      checked: 1,
+      lastId: '1',
+      brokenAt: { id: '2', reason: 'entry modified' }
+    });
+  });
+
+  test('a deleted row breaks the link of the entry after it', async () => {
+    const { db, audit } = await trail();
+    db.rows.splice(1, 1);
+
+    expect((await audit.verify()).brokenAt).toEqual({ id: '3', reason: 'previous entry missing or changed' });
+  });
+
+  test('a re-sealed edit still breaks the next link', async () => {
+    const { db, audit } = await trail();
+    db.rows[0].actor = 'someone-else';
+    db.rows[0].hash = AuditLog.hashEntry(db.rows[0].prev_hash, {
+      createdAt: db.rows[0].created_at,
+      actorId: db.rows[0].actor_id,
+      actor: 'someone-else',
+      actorRole: db.rows[0].actor_role,
+      action: db.rows[0].action,
+      targetType: db.rows[0].target_type,
+      targetId: db.rows[0].target_id,
+      changes: db.rows[0].changes,
+      ipAddress: db.rows[0].ip_address,
+      userAgent: db.rows[0].user_agent,
+      metadata: db.rows[0].metadata
+    });
+
+    expect((await audit.verify()).brokenAt).toEqual({ id: '2', reason: 'previous entry missing or changed' });
+  });
+
+  test('records the actor, client and stringified target', async () => {
+    const { db } = await trail();
+    expect(db.rows[0]).toMatchObject({
+      actor: 'root',
+      actor_role: 'admin',
+      target_id: '1',
+      ip_address: '203.0.113.7',
+      user_agent: 'curl/8.0'
+    });
+    expect(db.rows[2]).toMatchObject({ actor: 'system', actor_id: null, ip_address: null });
+  });
+
+  test('a failed write is logged and resolves null', async () => {
+    const logger = { error: jest.fn() };
+    const audit = new AuditLog({ db: { appendAuditEntry: jest.fn().mockRejectedValue(new Error('relation "audit_log" does not exist')) }, logger });
+
+    await expect(audit.record(null, { action: 'config.reload' })).resolves.toBeNull();
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('config.reload'));
+  });
+});
+
+describe('canonicalJson', () => {
+  test('ignores key order at every depth', () => {
+    const a = { b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } };
+    const b = { a: { c: null, d: [1, { x: 1, y: 2 }] }, b: 1 };
+    expect(canonicalJson(a)).toBe(canonicalJson(b));
+    expect(canonicalJson(a)).toBe('{"a":{"c":null,"d":[1,{"x":1,"y":2}]},"b":1}');
+  });
+
+  test('keeps array order and drops undefined properties', () => {
+    expect(canonicalJson([2, 1])).not.toBe(canonicalJson([1, 2]));
+    expect(canonicalJson({ a: undefined, b: 1 })).toBe('{"b":1}');
+    expect(canonicalJson(undefined)).toBe('null');
+  });
+});
+
+describe('diff', () => {
+  test('keeps only changed top-level fields', () => {
+    expect(diff({ role: 'user', email: 'a', meta: { x: 1, y: 2 } }, { role: 'admin', email: 'a', meta: { y: 2, x: 1 } }))
+      .toEqual({ role: { before: 'user', after: 'admin' } });
+  });
+
+  test('added and removed fields become null on the missing side', () => {
+    expect(diff({ a: 1 }, { b: 2 })).toEqual({ a: { before: 1, after: null }, b: { before: null, after: 2 } });
+  });
+
+  test('non-objects are kept whole; nothing given is null', () => {
+    expect(diff(undefined, { name: 'ci' })).toEqual({ before: null, after: { name: 'ci' } });
+    expect(diff(['a'], ['b'])).toEqual({ before: ['a'], after: ['b'] });
+    expect(diff(undefined, undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const { buildCacheKey, parseCacheKey, servicePattern, scopedPattern, escapeGlob } = require('../../src/cache/keys');
+
+describe('buildCacheKey', () => {
+  test('sorts query parameters by name but keeps repeated values in order', () => {
+    const a = buildCacheKey('coingecko', 'simple/price', 'GET', { vs: 'usd', ids: ['eth', 'btc'] });
+    const b = buildCacheKey('coingecko', 'simple/price', 'GET', { ids: ['eth', 'btc'], vs: 'usd' });
+    expect(a).toBe(b);
+    expect(a).toBe('cache:coingecko:simple/price:{"ids":["eth","btc"],"vs":"usd"}');
+    expect(buildCacheKey('coingecko', 'simple/price', 'GET', { ids: ['btc', 'eth'] }))
+      .not.toBe(buildCacheKey('coingecko', 'simple/price', 'GET', { ids: ['eth', 'btc'] }));
+  });
+
+  test('an empty path becomes "default"', () => {
+    expect(buildCacheKey('hn', '', 'GET', {})).toBe('cache:hn:default:{}');
+  });
+
+  test('write methods are keyed by method and body hash', () => {
+    const one = buildCacheKey('graphql', 'query', 'POST', {}, '{"q":1}');
+    expect(one).toMatch(/^cache:graphql:query:\{\}:POST:[0-9a-f]{64}$/);
+    expect(one).not.toBe(buildCacheKey('graphql', 'query', 'POST', {}, '{"q":2}'));
+    expect(buildCacheKey('graphql', 'query', 'POST', {})).toBe('cache:graphql:query:{}:POST:empty');
+  });
+
+  test('appends sorted vary headers, then the version', () => {
+    const key = buildCacheKey('gh', 'users', 'GET', {}, null, { vary: { b: '2', a: '1' }, version: 3 });
+    expect(key).toBe('cache:gh:users:{}:vary:{"a":"1","b":"2"}:v3');
+    expect(buildCacheKey('gh', 'users', 'GET', {}, null, { vary: {} })).toBe('cache:gh:users:{}');
+  });
+
+  test('bumping the version moves every key', () => {
+    const v1 = buildCacheKey('gh', 'users', 'GET', { q: 'x' }, null, { version: 1 });
+    const v2 = buildCacheKey('gh', 'users', 'GET', { q: 'x' }, null, { version: 2 });
+    expect(v1).not.toBe(v2);
+  });
+});
+
+describe('parseCacheKey', () => {
+  test('round-trips every suffix', () => {
+    const key = buildCacheKey('gh', 'repos/a/b', 'PUT', { page: '2' }, 'x', { vary: { accept: 'json' }, version: 7 });
+    expect(parseCacheKey(key)).toEqual({
+      service: 'gh',
+      path: 'repos/a/b',
+      query: { page: '2' },
+      method: 'PUT',
+      vary: { accept: 'json' },
+      version: 7
+    });
+  });
+
+  test('defaults to GET with no vary or version', () => {
+    expect(parseCacheKey('cache:hn:topstories.json:{}')).toEqual({
+      service: 'hn', path: 'topstories.json', query: {}, method: 'GET', vary: null, version: null
+    });
+  });
+
+  test('returns null for keys in another layout', () => {
+    expect(parseCacheKey('ratelimit:abc')).toBeNull();
+    expect(parseCacheKey('cache:hn:path:{not json}')).toBeNull();
+  });
+});
+
+describe('patterns', () => {
+  test('escapeGlob escapes Redis MATCH metacharacters', () => {
+    expect(escapeGlob('a*b?[c]\\')).toBe('a\\*b\\?\\[c\\]\\\\');
+  });
+
+  test('servicePattern covers a service or one of its actions', () => {
+    expect(servicePattern('gh')).toBe('cache:gh:**');
+    expect(servicePattern('gh', '/users/*')).toBe('cache:gh:users/\\*:{*');
+  });
+
+  test('scopedPattern stays under the cache prefix', () => {
+    expect(scopedPattern('gh:*')).toBe('cache:gh:*');
+    expect(scopedPattern('cache:gh:*')).toBe('cache:gh:*');
+  });
+});
@@ -0,0 +1,95 @@
+const MemoryCache = require('../../src/cache/memory-cache');
+const { globToRegExp } = MemoryCache;
+
+describe('MemoryCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('evicts least recently used entries to stay within maxBytes', () => {
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    cache.set('a', 'A', 60, 40);
+    cache.set('b', 'B', 60, 40);
+    cache.set('c', 'C', 60, 40);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b')).toBe('B');
+    expect(cache.stats()).toMatchObject({ entries: 2, bytes: 80, evictions: 1 });
+  });
+
+  test('a hit makes an entry most recently used', () => {
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    cache.set('a', 'A', 60, 40);
+    cache.set('b', 'B', 60, 40);
+    cache.get('a');
+    cache.set('c', 'C', 60, 40);
+
+    expect(cache.get('a')).toBe('A');
+    expect(cache.get('b')).toBeUndefined();
+  });
+
+  test('one large entry can evict several small ones', () => {
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    for (const key of ['a', 'b', 'c', 'd']) cache.set(key, key, 60, 20);
+    cache.set('big', 'BIG', 60, 70);
+
+    expect([...cache.entries.keys()]).toEqual(['d', 'big']);
+    expect(cache.stats()).toMatchObject({ bytes: 90, evictions: 3 });
+  });
+
+  test('evicts by entry count as well', () => {
+    const cache = new MemoryCache({ maxBytes: 1000, maxEntries: 2 });
+    cache.set('a', 'A', 60, 1);
+    cache.set('b', 'B', 60, 1);
+    cache.set('c', 'C', 60, 1);
+    expect([...cache.entries.keys()]).toEqual(['b', 'c']);
+  });
+
+  test('refuses values larger than the whole budget without evicting', () => {
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    cache.set('a', 'A', 60, 50);
+    expect(cache.set('huge', 'H', 60, 101)).toBe(false);
+    expect(cache.get('a')).toBe('A');
+    expect(cache.stats().evictions).toBe(0);
+  });
+
+  test('replacing a key releases its old size', () => {
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    cache.set('a', 'A', 60, 60);
+    cache.set('a', 'A2', 60, 30);
+    expect(cache.stats()).toMatchObject({ entries: 1, bytes: 30 });
+  });
+
+  test('entries expire after their ttl and do not count as evictions', () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new MemoryCache({ maxBytes: 100, maxEntries: 100 });
+    cache.set('a', 'A', 1, 50);
+    cache.set('b', 'B', 60, 40);
+    jest.setSystemTime(1000);
+
+    cache.set('c', 'C', 60, 40);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.stats()).toMatchObject({ entries: 2, bytes: 80, evictions: 0 });
+    expect(cache.set('d', 'D', 0, 1)).toBe(false);
+  });
+
+  test('deleteMatching drops keys by glob and frees their bytes', () => {
+    const cache = new MemoryCache();
+    cache.set('cache:gh:users:{}', 1, 60, 10);
+    cache.set('cache:gh:repos:{}', 2, 60, 10);
+    cache.set('cache:hn:top:{}', 3, 60, 10);
+
+    expect(cache.deleteMatching('cache:gh:*')).toBe(2);
+    expect(cache.stats()).toMatchObject({ entries: 1, bytes: 10 });
+  });
+});
+
+describe('globToRegExp', () => {
+  test('follows Redis MATCH syntax', () => {
+    expect(globToRegExp('cache:*').test('cache:a:b')).toBe(true);
+    expect(globToRegExp('v?').test('v1')).toBe(true);
+    expect(globToRegExp('v[12]').test('v3')).toBe(false);
+    expect(globToRegExp('v[^12]').test('v3')).toBe(true);
+    expect(globToRegExp('a\\*b').test('a*b')).toBe(true);
+    expect(globToRegExp('a\\*b').test('axb')).toBe(false);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
@@ -0,0 +1,337 @@
+const FakeRedis = require('../helpers/fake-redis');
+const CacheStrategies = require('../../src/cache/strategies');
+
+const logger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+
+// FakeRedis with the one script CacheStrategies runs: drop the fill lock if it still holds our token
+function lockingRedis() {
+  const redis = new FakeRedis();
+  redis.eval = jest.fn(async (script, { keys: [key], arguments: [token] }) =>
+    (await redis.get(key)) === token ? redis.del(key) : 0);
+  return redis;
+}
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('coalescing', () => {
+  let redis;
+  let cache;
+
+  beforeEach(() => {
+    redis = lockingRedis();
+    cache = new CacheStrategies(redis, logger(), { pollInterval: 5, lockWait: 200 });
+  });
+
+  test('concurrent misses share one fetch; followers are flagged coalesced', async () => {
+    const upstream = deferred();
+    const fetchFn = jest.fn(() => upstream.promise);
+
+    const calls = [1, 2, 3].map(() => cache.cacheAside('k', fetchFn, 60));
+    // Let every caller get past its Redis read and join the fill
+    while (cache.coalescing.local < 2) await new Promise(setImmediate);
+    expect(cache.inflight.has('k')).toBe(true);
+
+    upstream.resolve({ n: 1 });
+    const results = await Promise.all(calls);
+
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([
+      { data: { n: 1 }, cached: false },
+      { data: { n: 1 }, cached: false, coalesced: true },
+      { data: { n: 1 }, cached: false, coalesced: true }
+    ]);
+    expect(cache.inflight.size).toBe(0);
+    expect(cache.getCoalescingStats()).toMatchObject({ total: 2, local: 2, remote: 0, inflight: 0 });
+    expect(JSON.parse(await redis.get('k'))).toEqual({ n: 1 });
+  });
+
+  test('a failed fetch rejects every waiter and is not remembered', async () => {
+    const upstream = deferred();
+    const fetchFn = jest.fn(() => upstream.promise);
+
+    const calls = [1, 2].map(() => cache.cacheAside('k', fetchFn, 60));
+    while (cache.coalescing.local < 1) await new Promise(setImmediate);
+    upstream.reject(new Error('upstream down'));
+
+    await expect(Promise.all(calls.map(call => call.catch(error => error.message))))
+      .resolves.toEqual(['upstream down', 'upstream down']);
+    expect(cache.inflight.size).toBe(0);
+    expect(await redis.exists('lock:k')).toBe(0);
+
+    fetchFn.mockResolvedValueOnce('ok');
+    await expect(cache.cacheAside('k', fetchFn, 60)).resolves.toEqual({ data: 'ok', cached: false });
+  });
+
+  test('holds lock:<key> while fetching and releases it after', async () => {
+    let lockDuringFetch;
+    await cache.cacheAside('k', async () => {
+      lockDuringFetch = await redis.get('lock:k');
+      return 'v';
+    }, 60);
+
+    expect(lockDuringFetch).toMatch(/^[0-9a-f]{16}$/);
+    expect(redis.eval).toHaveBeenCalledWith(expect.any(String), { keys: ['lock:k'], arguments: [lockDuringFetch] });
+    expect(await redis.exists('lock:k')).toBe(0);
+  });
+
+  test('leaves a lock alone once another instance owns it', async () => {
+    await cache.cacheAside('k', async () => {
+      // Our lock ran out mid-fetch and another instance took over
+      await redis.set('lock:k', 'someone-else');
+      return 'v';
+    }, 60);
+
+    expect(await redis.get('lock:k')).toBe('someone-else');
+  });
+
+  test("waits for another instance's fill instead of fetching", async () => {
+    await redis.set('lock:k', 'other-instance', { PX: 10000 });
+    const fetchFn = jest.fn();
+
+    const call = cache.cacheAside('k', fetchFn, 60);
+    setTimeout(() => redis.setEx('k', 60, JSON.stringify({ from: 'other' })), 20);
+
+    await expect(call).resolves.toEqual({ data: { from: 'other' }, cached: true, coalesced: true });
+    expect(fetchFn).not.toHaveBeenCalled();
+    expect(cache.getCoalescingStats()).toMatchObject({ remote: 1, waitTimeouts: 0 });
+  });
+
+  test('fetches itself when the other fill released the lock without a value', async () => {
+    await redis.set('lock:k', 'other-instance', { PX: 10000 });
+    setTimeout(() => redis.del('lock:k'), 20);
+
+    await expect(cache.cacheAside('k', async () => 'mine', 60)).resolves.toEqual({ data: 'mine', cached: false });
+    expect(cache.getCoalescingStats()).toMatchObject({ remote: 0, waitTimeouts: 0 });
+  });
+
+  test('fetches itself once lockWait runs out', async () => {
+    await redis.set('lock:k', 'other-instance', { PX: 10000 });
+    cache = new CacheStrategies(redis, logger(), { pollInterval: 5, lockWait: 30 });
+
+    await expect(cache.cacheAside('k', async () => 'mine', 60)).resolves.toEqual({ data: 'mine', cached: false });
+    expect(cache.getCoalescingStats().waitTimeouts).toBe(1);
+    // The other instance's lock is not ours to release
+    expect(await redis.get('lock:k')).toBe('other-instance');
+  });
+
+  test('a waiter ignores the stale value it is replacing', async () => {
+    await redis.set('lock:k', 'other-instance', { PX: 10000 });
+    const previous = JSON.stringify('old');
+    await redis.setEx('k', 60, previous);
+    setTimeout(() => redis.setEx('k', 60, JSON.stringify('new')), 20);
+
+    await expect(cache.fill('k', jest.fn(), 60, { previous })).resolves.toEqual({ data: 'new', cached: true, coalesced: true });
+  });
+
+  test('fills unlocked when Redis cannot take the lock', async () => {
+    redis.set = jest.fn().mockRejectedValue(new Error('READONLY'));
+
+    await expect(cache.cacheAside('k', async () => 'v', 60)).resolves.toEqual({ data: 'v', cached: false });
+    expect(redis.eval).not.toHaveBeenCalled();
+  });
+
+  test('a TTL of 0 from the TTL function skips storing the value', async () => {
+    await cache.cacheAside('k', async () => ({ body: null }), () => 0);
+    expect(await redis.exists('k')).toBe(0);
+  });
+});
+
+// Let a background refresh (setImmediate) start and finish
+async function settle(cache) {
+  await new Promise(setImmediate);
+  while (cache.inflight.size > 0) await new Promise(setImmediate);
+}
+
+describe('staleWhileRevalidate', () => {
+  let redis;
+  let cache;
+  // Kept 120s past the 60s TTL: stale-while-revalidate for 30s, stale-if-error for all 120
+  const options = { staleTTL: 30, staleIfError: 120 };
+
+  beforeEach(async () => {
+    redis = lockingRedis();
+    cache = new CacheStrategies(redis, logger());
+  });
+
+  // An entry stored with `seconds` left on its Redis TTL
+  const entry = (value, seconds) => redis.setEx('k', seconds, JSON.stringify(value));
+
+  test('a miss is stored for the TTL plus the longest stale window', async () => {
+    await cache.staleWhileRevalidate('k', async () => 'new', 60, { ...options, revalidateTTL: 300 });
+    expect(await redis.ttl('k')).toBe(360);
+  });
+
+  test('a fresh entry is served as is', async () => {
+    await entry('old', 150);
+    const fetchFn = jest.fn();
+
+    await expect(cache.staleWhileRevalidate('k', fetchFn, 60, options)).resolves.toEqual({ data: 'old', cached: true });
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('within staleTTL the entry is served and refreshed in the background', async () => {
+    await entry('old', 100); // 20s stale
+    const fetchFn = jest.fn(async () => 'new');
+
+    await expect(cache.staleWhileRevalidate('k', fetchFn, 60, options))
+      .resolves.toEqual({ data: 'old', cached: true, stale: 'revalidating' });
+    await settle(cache);
+
+    expect(fetchFn).toHaveBeenCalledWith('old');
+    expect(JSON.parse(await redis.get('k'))).toBe('new');
+    expect(await redis.ttl('k')).toBe(180);
+  });
+
+  test('a background refresh that fails keeps the stale entry', async () => {
+    await entry('old', 100);
+    await cache.staleWhileRevalidate('k', async () => { throw new Error('down'); }, 60, options);
+    await settle(cache);
+
+    expect(JSON.parse(await redis.get('k'))).toBe('old');
+    expect(cache.logger.error).toHaveBeenCalledWith(expect.stringContaining('Background refresh failed for k'));
+  });
+
+  test('past staleTTL the refresh runs inline', async () => {
+    await entry('old', 50); // 70s stale
+    const fetchFn = jest.fn(async () => 'new');
+
+    await expect(cache.staleWhileRevalidate('k', fetchFn, 60, options)).resolves.toEqual({ data: 'new', cached: false });
+    expect(fetchFn).toHaveBeenCalledWith('old');
+  });
+
+  test('within staleIfError a failed refresh serves the stale entry', async () => {
+    await entry('old', 50);
+    const result = await cache.staleWhileRevalidate('k', async () => { throw new Error('down'); }, 60, options);
+    expect(result).toEqual({ data: 'old', cached: true, stale: 'error' });
+  });
+
+  test('errors isStaleable rejects are not covered up', async () => {
+    await entry('old', 50);
+    const call = cache.staleWhileRevalidate('k', async () => { throw new Error('bad request'); }, 60, {
+      ...options,
+      isStaleable: () => false
+    });
+    await expect(call).rejects.toThrow('bad request');
+  });
+
+  test('past staleIfError the error is thrown, though revalidateTTL kept the entry', async () => {
+    await entry('old', 50); // kept 100s past the TTL: 50s stale
+    const fetchFn = jest.fn(async () => { throw new Error('down'); });
+
+    await expect(cache.staleWhileRevalidate('k', fetchFn, 60, { staleTTL: 10, staleIfError: 30, revalidateTTL: 100 }))
+      .rejects.toThrow('down');
+    expect(fetchFn).toHaveBeenCalledWith('old');
+  });
+
+  test('entries without an expiry never go stale', async () => {
+    await redis.set('k', JSON.stringify('forever'));
+    const fetchFn = jest.fn();
+
+    await expect(cache.staleWhileRevalidate('k', fetchFn, 60, options)).resolves.toEqual({ data: 'forever', cached: true });
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('only the fresh part of the entry reaches L1', async () => {
+    await entry('old', 130); // fresh for 10 more seconds
+    await cache.staleWhileRevalidate('k', jest.fn(), 60, { ...options, l1TTL: 60 });
+
+    const now = Date.now();
+    const at = (ms) => jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+    try {
+      at(9000);
+      expect(cache.l1.get('k')).toBe('old');
+      at(11000);
+      expect(cache.l1.get('k')).toBeUndefined();
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
+
+describe('refreshAhead', () => {
+  let redis;
+  let cache;
+
+  beforeEach(() => {
+    redis = lockingRedis();
+    cache = new CacheStrategies(redis, logger());
+  });
+
+  const entry = (value, seconds) => redis.setEx('k', seconds, JSON.stringify(value));
+
+  test('does not refresh before the threshold', async () => {
+    await entry('old', 50); // 50 of 100s used
+    const fetchFn = jest.fn();
+
+    await expect(cache.refreshAhead('k', fetchFn, 100)).resolves.toEqual({ data: 'old', cached: true });
+    await settle(cache);
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('refreshes in the background once the threshold has passed', async () => {
+    await entry('old', 15); // 85 of 100s used
+    const fetchFn = jest.fn(async () => 'new');
+
+    await expect(cache.refreshAhead('k', fetchFn, 100)).resolves.toEqual({ data: 'old', cached: true });
+    await settle(cache);
+
+    expect(fetchFn).toHaveBeenCalledWith('old');
+    expect(JSON.parse(await redis.get('k'))).toBe('new');
+    expect(await redis.ttl('k')).toBe(100);
+  });
+
+  test('honours a custom threshold', async () => {
+    await entry('old', 60); // 40 of 100s used
+    const fetchFn = jest.fn(async () => 'new');
+
+    await cache.refreshAhead('k', fetchFn, 100, { refreshThreshold: 0.3 });
+    await settle(cache);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts one refresh however many hits arrive meanwhile', async () => {
+    await entry('old', 15);
+    const upstream = deferred();
+    const fetchFn = jest.fn(() => upstream.promise);
+
+    await cache.refreshAhead('k', fetchFn, 100);
+    await new Promise(setImmediate);
+    await cache.refreshAhead('k', fetchFn, 100);
+    await cache.refreshAhead('k', fetchFn, 100);
+    upstream.resolve('new');
+    await settle(cache);
+
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips the refresh while another instance holds the fill lock', async () => {
+    await entry('old', 15);
+    await redis.set('lock:k', 'other-instance', { PX: 10000 });
+    const fetchFn = jest.fn();
+
+    await cache.refreshAhead('k', fetchFn, 100);
+    await settle(cache);
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('L1 copies end at the refresh point', async () => {
+    await entry('old', 50); // refresh due in 30s
+    await cache.refreshAhead('k', jest.fn(), 100, { l1TTL: 60 });
+
+    const now = Date.now();
+    const at = (ms) => jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+    try {
+      at(29000);
+      expect(cache.l1.get('k')).toBe('old');
+      at(31000);
+      expect(cache.l1.get('k')).toBeUndefined();
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,19 @@
+const { serviceSchema } = require('../../src/config/schema');
+
+const validate = service => serviceSchema.validate({ endpoint: 'https://api.example.com', ...service });
+
+describe('serviceSchema ipAllow / ipDeny', () => {
+  test('accepts addresses and CIDR ranges of both families', () => {
+    expect(validate({ ipAllow: ['10.0.0.0/8', '192.0.2.1'], ipDeny: ['2001:db8::/32', '::1'] }).error).toBeUndefined();
+  });
+
+  test.each([
+    ['10.0.0.0/33'],
+    ['not-an-ip'],
+    // Valid to Joi, but not something net.BlockList can hold
+    ['v1.x:1']
+  ])('rejects %s', (entry) => {
+    expect(validate({ ipAllow: [entry] }).error).toBeDefined();
+    expect(validate({ ipDeny: [entry] }).error).toBeDefined();
+  });
+});
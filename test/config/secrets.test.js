@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretStore = require('../../src/config/secrets');
+
+const { redact, encryptSecrets, decryptSecrets, MissingSecretError } = SecretStore;
+
+const logger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+describe('secrets file encryption', () => {
+  const secrets = { NEWSAPI_KEY: 'news-secret-1', ETHERSCAN_API_KEY: 'scan-secret-2' };
+
+  test('round-trips with the same passphrase', () => {
+    const contents = encryptSecrets(secrets, 'passphrase');
+    expect(decryptSecrets(contents, 'passphrase')).toEqual(secrets);
+  });
+
+  test('stores no plaintext and a fresh salt and IV each time', () => {
+    const first = JSON.parse(encryptSecrets(secrets, 'passphrase'));
+    const second = JSON.parse(encryptSecrets(secrets, 'passphrase'));
+
+    expect(JSON.stringify(first)).not.toContain('news-secret-1');
+    expect(first.version).toBe(1);
+    expect(Buffer.from(first.salt, 'base64')).toHaveLength(16);
+    expect(Buffer.from(first.iv, 'base64')).toHaveLength(12);
+    expect(second.salt).not.toBe(first.salt);
+    expect(second.iv).not.toBe(first.iv);
+    expect(second.data).not.toBe(first.data);
+  });
+
+  test('rejects a wrong passphrase', () => {
+    const contents = encryptSecrets(secrets, 'passphrase');
+    expect(() => decryptSecrets(contents, 'other')).toThrow();
+  });
+
+  test('rejects a tampered ciphertext or tag', () => {
+    const file = JSON.parse(encryptSecrets(secrets, 'passphrase'));
+
+    const data = Buffer.from(file.data, 'base64');
+    data[0] ^= 1;
+    expect(() => decryptSecrets(JSON.stringify({ ...file, data: data.toString('base64') }), 'passphrase')).toThrow();
+
+    const tag = Buffer.from(file.tag, 'base64');
+    tag[0] ^= 1;
+    expect(() => decryptSecrets(JSON.stringify({ ...file, tag: tag.toString('base64') }), 'passphrase')).toThrow();
+  });
+
+  test('rejects an unknown file version', () => {
+    const file = JSON.parse(encryptSecrets(secrets, 'passphrase'));
+    expect(() => decryptSecrets(JSON.stringify({ ...file, version: 2 }), 'passphrase'))
+      .toThrow('Unsupported secrets file version: 2');
+  });
+});
+
+describe('SecretStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-test-'));
+    file = path.join(dir, 'secrets.enc');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads the file and lets the environment override it', () => {
+    fs.writeFileSync(file, encryptSecrets({ A_KEY: 'from-file-a', B_KEY: 'from-file-b' }, 'k'));
+    const store = new SecretStore({ file, key: 'k', env: { B_KEY: 'from-env-b' }, logger: logger() });
+    store.load();
+
+    expect(store.get('A_KEY')).toBe('from-file-a');
+    expect(store.get('B_KEY')).toBe('from-env-b');
+    expect(store.get('C_KEY')).toBeNull();
+  });
+
+  test('keeps the previous secrets when a reload cannot decrypt the file', () => {
+    fs.writeFileSync(file, encryptSecrets({ A_KEY: 'from-file-a' }, 'k'));
+    const log = logger();
+    const store = new SecretStore({ file, key: 'k', env: {}, logger: log });
+    store.load();
+
+    fs.writeFileSync(file, encryptSecrets({ A_KEY: 'rotated-a' }, 'other'));
+    store.load();
+
+    expect(store.get('A_KEY')).toBe('from-file-a');
+    expect(log.error).toHaveBeenCalledWith(expect.stringContaining('wrong SECRETS_KEY?'));
+  });
+
+  test('warns instead of reading the file without SECRETS_KEY', () => {
+    fs.writeFileSync(file, encryptSecrets({ A_KEY: 'from-file-a' }, 'k'));
+    const log = logger();
+    const store = new SecretStore({ file, key: undefined, env: {}, logger: log });
+
+    expect(store.load()).toEqual({});
+    expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('SECRETS_KEY is not set'));
+  });
+
+  test('a missing file is not an error', () => {
+    const log = logger();
+    const store = new SecretStore({ file, key: 'k', env: {}, logger: log });
+    expect(store.load()).toEqual({});
+    expect(log.error).not.toHaveBeenCalled();
+  });
+
+  test('credentialsFor injects headers and query params, with prefixes', () => {
+    const store = new SecretStore({ file, env: { TOKEN: 'token-value', APIKEY: 'apikey-value' }, logger: logger() });
+    const api = {
+      credentials: [
+        { secret: 'TOKEN', header: 'Authorization', prefix: 'Bearer ' },
+        { secret: 'APIKEY', query: 'apikey' },
+        { secret: 'UNSET', query: 'extra', optional: true }
+      ]
+    };
+
+    expect(store.credentialsFor('svc', api)).toEqual({
+      headers: { Authorization: 'Bearer token-value' },
+      params: { apikey: 'apikey-value' }
+    });
+  });
+
+  test('credentialsFor names every missing required secret', () => {
+    const store = new SecretStore({ file, env: {}, logger: logger() });
+    const api = { credentials: [{ secret: 'ONE', header: 'X-One' }, { secret: 'TWO', query: 'two' }] };
+
+    expect(() => store.credentialsFor('svc', api)).toThrow(MissingSecretError);
+    try {
+      store.credentialsFor('svc', api);
+    } catch (error) {
+      expect(error.names).toEqual(['ONE', 'TWO']);
+    }
+  });
+});
+
+describe('redact', () => {
+  test('replaces resolved secret values, plain and URL-encoded', () => {
+    const store = new SecretStore({ env: { KEY: 'abc/def+ghi' }, logger: logger() });
+    store.get('KEY');
+
+    expect(redact('Authorization: abc/def+ghi')).toBe('Authorization: [REDACTED]');
+    expect(redact('GET /x?apikey=abc%2Fdef%2Bghi&q=1')).toBe('GET /x?apikey=[REDACTED]&q=1');
+    expect(redact('abc/def+ghi and abc/def+ghi')).toBe('[REDACTED] and [REDACTED]');
+  });
+
+  test('leaves short values and non-strings alone', () => {
+    const store = new SecretStore({ env: { SHORT: 'abc12' }, logger: logger() });
+    store.get('SHORT');
+
+    expect(redact('value abc12')).toBe('value abc12');
+    expect(redact(undefined)).toBeUndefined();
+    expect(redact(42)).toBe(42);
+  });
+
+  test('covers secrets loaded from the file before they are used', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-test-'));
+    try {
+      const file = path.join(dir, 'secrets.enc');
+      fs.writeFileSync(file, encryptSecrets({ UNUSED: 'never-requested-value' }, 'k'));
+      new SecretStore({ file, key: 'k', env: {}, logger: logger() }).load();
+
+      expect(redact('leaked never-requested-value')).toBe('leaked [REDACTED]');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
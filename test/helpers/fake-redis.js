@@ -0,0 +1,102 @@
+const { globToRegExp } = require('../../src/cache/memory-cache');
+
+/**
+ * In-memory stand-in for the node-redis v4 client: strings with expiry,
+ * counters and key scans - what the middleware and cache code under test
+ * use. Expiry follows Date.now(), so jest's fake timers move it along.
+ */
+class FakeRedis {
+  constructor() {
+    this.store = new Map();
+  }
+
+  entry(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    const existing = this.entry(key);
+    if ((options.NX && existing) || (options.XX && !existing)) return null;
+
+    let expiresAt = null;
+    if (options.EX) expiresAt = Date.now() + options.EX * 1000;
+    else if (options.PX) expiresAt = Date.now() + options.PX;
+    else if (options.KEEPTTL && existing) expiresAt = existing.expiresAt;
+    this.store.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key) && this.store.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  async exists(keys) {
+    return [].concat(keys).filter(key => this.entry(key)).length;
+  }
+
+  async incr(key) {
+    const entry = this.entry(key);
+    const value = (entry ? Number(entry.value) : 0) + 1;
+    this.store.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return true;
+  }
+
+  async ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async strLen(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value.length : 0;
+  }
+
+  async publish() {
+    return 0;
+  }
+
+  // Like Redis, MATCH filters each batch of COUNT keys, so pages can come back short or empty
+  async scan(cursor, { MATCH = '*', COUNT = 10 } = {}) {
+    const regex = globToRegExp(MATCH);
+    const live = [...this.store.keys()].filter(key => this.entry(key)).sort();
+    const batch = live.slice(cursor, cursor + COUNT);
+    const next = cursor + COUNT < live.length ? cursor + COUNT : 0;
+    return { cursor: next, keys: batch.filter(key => regex.test(key)) };
+  }
+
+  async* scanIterator({ MATCH = '*' } = {}) {
+    const regex = globToRegExp(MATCH);
+    for (const key of [...this.store.keys()]) {
+      if (this.entry(key) && regex.test(key)) yield key;
+    }
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+const ApiKeyAuth = require('../../src/middleware/api-key');
+const { hashApiKey, generateApiKey } = ApiKeyAuth;
+const FakeRedis = require('../helpers/fake-redis');
+
+const KEY = 'fah_test-key';
+const row = (fields = {}) => ({
+  id: 'k1',
+  name: 'ci',
+  is_active: true,
+  rate_limit: null,
+  metadata: { quota: { daily: 100 } },
+  allowed_services: null,
+  expires_at: null,
+  ...fields
+});
+
+function setup({ rows = { [hashApiKey(KEY)]: row() }, config = { crypto: {} }, redis = new FakeRedis() } = {}) {
+  const db = { getApiKey: jest.fn(async hash => rows[hash] || null) };
+  const logger = { error: jest.fn(), warn: jest.fn() };
+  const auth = new ApiKeyAuth({ db, redis, getConfig: () => config, logger });
+
+  const server = express();
+  server.get('/api/:service', auth.middleware(), (req, res) => res.json({ apiKey: req.apiKey, query: req.query }));
+  return { server, auth, db, redis, logger };
+}
+
+describe('ApiKeyAuth middleware', () => {
+  test('accepts a valid key from the header or query string and keeps it out of the query', async () => {
+    const { server } = setup();
+
+    const byHeader = await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+    expect(byHeader.body.apiKey).toEqual({
+      id: 'k1', name: 'ci', rateLimit: null, quota: { daily: 100 }, allowedServices: null, expiresAt: null
+    });
+
+    const byQuery = await request(server).get(`/api/crypto?api_key=${KEY}&ids=btc`).expect(200);
+    expect(byQuery.body.apiKey.id).toBe('k1');
+    expect(byQuery.body.query).toEqual({ ids: 'btc' });
+  });
+
+  test('lets anonymous callers through unless the service sets allowAnonymous: false', async () => {
+    expect((await request(setup().server).get('/api/crypto').expect(200)).body.apiKey).toBeNull();
+
+    const res = await request(setup({ config: { crypto: { allowAnonymous: false } } }).server).get('/api/crypto');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('ApiKey');
+  });
+
+  test.each([
+    ['unknown', {}, 401, 'Invalid API key'],
+    ['revoked', { is_active: false }, 401, 'Invalid API key'],
+    ['expired', { expires_at: new Date(Date.now() - 1000).toISOString() }, 401, 'API key expired'],
+    ['other services only', { allowed_services: ['weather'] }, 403, 'API key not allowed for this service']
+  ])('rejects a key that is %s', async (label, fields, status, error) => {
+    const rows = label === 'unknown' ? {} : { [hashApiKey(KEY)]: row(fields) };
+    const res = await request(setup({ rows }).server).get('/api/crypto').set('X-API-Key', KEY);
+    expect(res.status).toBe(status);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('fails closed with 503 when the database lookup fails', async () => {
+    const { server, db, logger } = setup();
+    db.getApiKey.mockRejectedValue(new Error('connection refused'));
+
+    const res = await request(server).get('/api/crypto').set('X-API-Key', KEY);
+    expect(res.status).toBe(503);
+    expect(res.body.apiKey).toBeUndefined();
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('falls back to the database when Redis is down', async () => {
+    const redis = new FakeRedis();
+    redis.get = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+    redis.setEx = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await request(setup({ redis }).server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+  });
+
+  test('remembers unknown keys for negativeCacheTTL seconds', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const { server, db, redis } = setup({ rows: {} });
+
+      await request(server).get('/api/crypto').set('X-API-Key', 'fah_guess').expect(401);
+      await request(server).get('/api/crypto').set('X-API-Key', 'fah_guess').expect(401);
+      expect(db.getApiKey).toHaveBeenCalledTimes(1);
+      expect(await redis.ttl(`apikey:${hashApiKey('fah_guess')}`)).toBe(30);
+
+      jest.setSystemTime(31 * 1000);
+      await request(server).get('/api/crypto').set('X-API-Key', 'fah_guess').expect(401);
+      expect(db.getApiKey).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('invalidate() makes a revoked key stop working before its cache entry expires', async () => {
+    const rows = { [hashApiKey(KEY)]: row() };
+    const { server, auth } = setup({ rows });
+    await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+
+    rows[hashApiKey(KEY)] = row({ is_active: false });
+    await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+
+    await auth.invalidate(hashApiKey(KEY));
+    await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(401);
+  });
+
+  test('counts usage and keeps counts that failed to flush', async () => {
+    const { server, auth, db } = setup();
+    db.addApiKeyUsage = jest.fn().mockRejectedValueOnce(new Error('db down')).mockResolvedValue();
+    await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+    await request(server).get('/api/crypto').set('X-API-Key', KEY).expect(200);
+
+    await auth.flushUsage();
+    await auth.flushUsage();
+    expect(db.addApiKeyUsage).toHaveBeenLastCalledWith(hashApiKey(KEY), 2);
+    expect(auth.usage.size).toBe(0);
+  });
+});
+
+describe('generateApiKey', () => {
+  test('returns the key, its hash and a listing prefix', () => {
+    const { key, keyHash, prefix } = generateApiKey();
+    expect(key).toMatch(/^fah_[\w-]{32}$/);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(prefix).toHaveLength(10);
+  });
+});
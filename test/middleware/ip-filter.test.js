@@ -0,0 +1,142 @@
+const express = require('express');
+const request = require('supertest');
+const IpFilter = require('../../src/middleware/ip-filter');
+const { parseTrustProxy, normalizeIp } = IpFilter;
+const FakeRedis = require('../helpers/fake-redis');
+
+const logger = { warn: jest.fn(), error: jest.fn() };
+
+function filter(options = {}, redis = new FakeRedis()) {
+  return new IpFilter({ redis, logger }, { allow: [], deny: [], ...options });
+}
+
+// Express app behind `trust proxy`; /limited always answers 429
+function app(ipFilter, trustProxy = false) {
+  const server = express();
+  server.set('trust proxy', trustProxy);
+  server.use(ipFilter.middleware());
+  server.get('/ip', (req, res) => res.json({ ip: req.ip }));
+  server.get('/limited', (req, res) => res.status(429).json({ error: 'Too many requests' }));
+  return server;
+}
+
+describe('IpFilter.check', () => {
+  test('matches IPv4 and IPv6 CIDR ranges and single addresses', () => {
+    const ipFilter = filter({ deny: ['10.0.0.0/8', '2001:db8::/32', '192.0.2.7'] });
+    expect(ipFilter.check('10.20.30.40')).toBe('denied');
+    expect(ipFilter.check('11.0.0.1')).toBeNull();
+    expect(ipFilter.check('2001:db8:1::5')).toBe('denied');
+    expect(ipFilter.check('2001:db9::1')).toBeNull();
+    expect(ipFilter.check('192.0.2.7')).toBe('denied');
+    expect(ipFilter.check('192.0.2.8')).toBeNull();
+  });
+
+  test('IPv4-mapped IPv6 addresses match IPv4 entries', () => {
+    expect(normalizeIp('::ffff:10.1.2.3')).toBe('10.1.2.3');
+    expect(filter({ deny: ['10.0.0.0/8'] }).check('::ffff:10.1.2.3')).toBe('denied');
+  });
+
+  test('a non-empty allow list admits only matching clients, and deny wins', () => {
+    const ipFilter = filter({ allow: ['203.0.113.0/24'], deny: ['203.0.113.66'] });
+    expect(ipFilter.check('203.0.113.5')).toBeNull();
+    expect(ipFilter.check('198.51.100.5')).toBe('not_allowed');
+    expect(ipFilter.check('203.0.113.66')).toBe('denied');
+  });
+
+  test('no lists let everyone through', () => {
+    expect(filter().check('198.51.100.5')).toBeNull();
+  });
+
+  test('rejects invalid entries', () => {
+    expect(() => filter({ deny: ['v1.x:1'] })).toThrow('Invalid IP or CIDR: v1.x:1');
+  });
+});
+
+describe('IpFilter.checkService', () => {
+  test('applies a service\'s own lists on top of the global ones', () => {
+    const ipFilter = filter();
+    const api = { ipAllow: ['198.51.100.0/24'], ipDeny: ['198.51.100.13'] };
+    expect(ipFilter.checkService(api, '198.51.100.1')).toBeNull();
+    expect(ipFilter.checkService(api, '198.51.100.13')).toBe('denied');
+    expect(ipFilter.checkService(api, '203.0.113.1')).toBe('not_allowed');
+    expect(ipFilter.checkService({}, '203.0.113.1')).toBeNull();
+  });
+});
+
+describe('automatic bans', () => {
+  test('banThreshold 429s within banWindow ban the client on every route', async () => {
+    const redis = new FakeRedis();
+    const server = app(filter({ banThreshold: 3, banWindow: 60, banDuration: 900 }, redis));
+
+    for (let i = 0; i < 3; i++) {
+      await request(server).get('/limited').expect(429);
+    }
+    // Strikes are counted once the 429 was sent
+    await new Promise(resolve => setImmediate(resolve));
+
+    const res = await request(server).get('/ip');
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ reason: 'ip_banned', retryAfter: 900 });
+    expect(res.headers['retry-after']).toBe('900');
+    expect(await redis.get('ipstrikes:::ffff:127.0.0.1')).toBeNull();
+  });
+
+  test('strikes expire with their window', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const ipFilter = filter({ banThreshold: 2, banWindow: 60 });
+      await ipFilter.strike('198.51.100.9');
+      jest.setSystemTime(61 * 1000);
+      expect(await ipFilter.strike('198.51.100.9')).toBe(1);
+      expect(await ipFilter.getBan('198.51.100.9')).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('unban lifts the ban and clears the strikes', async () => {
+    const ipFilter = filter({ banThreshold: 1 });
+    await ipFilter.strike('198.51.100.9');
+    expect(await ipFilter.getBans()).toHaveLength(1);
+
+    expect(await ipFilter.unban('::ffff:198.51.100.9')).toBe(true);
+    expect(await ipFilter.getBan('198.51.100.9')).toBeNull();
+    expect(await ipFilter.unban('198.51.100.9')).toBe(false);
+  });
+
+  test('fails open when the ban lookup fails', async () => {
+    const redis = new FakeRedis();
+    redis.get = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+    await request(app(filter({}, redis))).get('/ip').expect(200);
+  });
+});
+
+describe('trust proxy', () => {
+  test.each([
+    [undefined, false],
+    ['false', false],
+    ['true', true],
+    ['2', 2],
+    ['loopback, 10.0.0.0/8', ['loopback', '10.0.0.0/8']]
+  ])('TRUST_PROXY=%s -> %j', (value, expected) => {
+    expect(parseTrustProxy(value)).toEqual(expected);
+  });
+
+  test('X-Forwarded-For is ignored unless the peer is trusted', async () => {
+    const ipFilter = filter({ deny: ['203.0.113.9'] });
+
+    const direct = await request(app(ipFilter, parseTrustProxy(undefined))).get('/ip').set('X-Forwarded-For', '203.0.113.9');
+    expect(direct.status).toBe(200);
+    expect(direct.body.ip).toMatch(/127\.0\.0\.1$/);
+
+    const proxied = await request(app(ipFilter, parseTrustProxy('loopback'))).get('/ip').set('X-Forwarded-For', '203.0.113.9');
+    expect(proxied.status).toBe(403);
+    expect(proxied.body.reason).toBe('ip_denied');
+  });
+
+  test('only the trusted hops are skipped', async () => {
+    const server = app(filter(), parseTrustProxy('loopback'));
+    const res = await request(server).get('/ip').set('X-Forwarded-For', '198.51.100.1, 203.0.113.9');
+    expect(res.body.ip).toBe('203.0.113.9');
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { ROLES, hasRole, isAdminToken, createRoleGuard } = require('../../src/middleware/roles');
+
+const ADMIN_TOKEN = 'admin-token-for-tests';
+
+afterEach(() => {
+  delete process.env.ADMIN_TOKEN;
+  jest.restoreAllMocks();
+});
+
+describe('hasRole', () => {
+  test('roles are ordered user < operator < admin', () => {
+    expect(ROLES).toEqual(['user', 'operator', 'admin']);
+    const table = ROLES.map(held => ROLES.map(needed => hasRole({ role: held }, needed)));
+    expect(table).toEqual([
+      [true, false, false],
+      [true, true, false],
+      [true, true, true]
+    ]);
+  });
+
+  test('legacy superadmin counts as admin; unknown roles and no user count as nothing', () => {
+    expect(hasRole({ role: 'superadmin' }, 'admin')).toBe(true);
+    expect(hasRole({ role: 'root' }, 'user')).toBe(false);
+    expect(hasRole(null, 'user')).toBe(false);
+  });
+});
+
+describe('isAdminToken', () => {
+  test('is false while ADMIN_TOKEN is unset', () => {
+    expect(isAdminToken('')).toBe(false);
+    expect(isAdminToken('anything')).toBe(false);
+  });
+
+  test('compares fixed-length digests in constant time, whatever the token length', () => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    const timingSafeEqual = jest.spyOn(crypto, 'timingSafeEqual');
+
+    expect(isAdminToken(ADMIN_TOKEN)).toBe(true);
+    expect(isAdminToken('x')).toBe(false);
+    expect(isAdminToken(ADMIN_TOKEN.slice(0, -1))).toBe(false);
+    expect(isAdminToken(`${ADMIN_TOKEN}x`.repeat(10))).toBe(false);
+
+    expect(timingSafeEqual).toHaveBeenCalledTimes(4);
+    for (const [a, b] of timingSafeEqual.mock.calls) {
+      expect(a).toHaveLength(32);
+      expect(b).toHaveLength(32);
+    }
+  });
+});
+
+describe('requireRole', () => {
+  const sessions = {
+    'user-session': { id: 'u1', username: 'alice', role: 'user' },
+    'operator-session': { id: 'u2', username: 'olga', role: 'operator' },
+    'admin-session': { id: 'u3', username: 'root', role: 'admin' }
+  };
+
+  function app(sessionAuth = { authenticate: async token => sessions[token] || null }) {
+    const requireRole = createRoleGuard({ sessionAuth, logger: { warn: jest.fn(), error: jest.fn() } });
+    const server = express();
+    for (const role of ROLES) {
+      server.get(`/${role}`, requireRole(role), (req, res) => res.json(req.user));
+    }
+    return server;
+  }
+
+  test.each([
+    ['user-session', { user: 200, operator: 403, admin: 403 }],
+    ['operator-session', { user: 200, operator: 200, admin: 403 }],
+    ['admin-session', { user: 200, operator: 200, admin: 200 }]
+  ])('%s reaches its own role and the ones below', async (token, expected) => {
+    const server = app();
+    for (const [role, status] of Object.entries(expected)) {
+      const res = await request(server).get(`/${role}`).set('Authorization', `Bearer ${token}`);
+      expect([role, res.status]).toEqual([role, status]);
+    }
+  });
+
+  test('403 names the role that is needed', async () => {
+    const res = await request(app()).get('/admin').set('Authorization', 'Bearer operator-session');
+    expect(res.body.message).toBe('Requires admin role');
+  });
+
+  test('401 without or with an unknown token', async () => {
+    const missing = await request(app()).get('/user');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+    const unknown = await request(app()).get('/user').set('Authorization', 'Bearer nope');
+    expect(unknown.status).toBe(401);
+    expect(unknown.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+  });
+
+  test('ADMIN_TOKEN counts as admin without a session lookup', async () => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    const authenticate = jest.fn();
+    const res = await request(app({ authenticate })).get('/admin').set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ id: null, username: 'admin-token', role: 'admin' });
+    expect(authenticate).not.toHaveBeenCalled();
+  });
+
+  test('503 when sessions cannot be checked', async () => {
+    const server = app({ authenticate: async () => { throw new Error('redis down'); } });
+    await request(server).get('/user').set('Authorization', 'Bearer user-session').expect(503);
+  });
+
+  test('refuses to build a guard for an unknown role', () => {
+    const requireRole = createRoleGuard({ sessionAuth: {}, logger: {} });
+    expect(() => requireRole('superuser')).toThrow('Unknown role: superuser');
+  });
+});
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const SessionAuth = require('../../src/middleware/session');
+const { hashPassword, verifyPassword } = SessionAuth;
+const setupAuthRoute = require('../../src/routes/auth');
+const FakeRedis = require('../helpers/fake-redis');
+
+const SECRET = 'test-secret';
+const ALICE = { id: 'u-alice', username: 'alice', role: 'user', is_active: true };
+
+// sessions joined with users, as DatabaseClient returns them
+function fakeDb() {
+  const users = new Map([[ALICE.id, ALICE]]);
+  const sessions = new Map();
+  const live = session => session && new Date(session.expires_at) > new Date();
+
+  return {
+    sessions,
+    createSession: async (data) => {
+      const session = {
+        id: crypto.randomUUID(),
+        user_id: data.userId,
+        token: data.tokenHash,
+        ip_address: data.ipAddress,
+        user_agent: data.userAgent,
+        expires_at: data.expiresAt
+      };
+      sessions.set(session.id, session);
+      return { ...session };
+    },
+    rotateSessionToken: async (tokenHash, newTokenHash) => {
+      const session = [...sessions.values()].find(s => s.token === tokenHash && live(s));
+      if (!session) return undefined;
+      session.token = newTokenHash;
+      return { ...session };
+    },
+    getSession: async (id) => {
+      const session = sessions.get(id);
+      const user = session && users.get(session.user_id);
+      return live(session) && user.is_active ? { ...session, username: user.username, role: user.role } : undefined;
+    },
+    deleteSession: async (id) => {
+      const session = sessions.get(id);
+      sessions.delete(id);
+      return session;
+    }
+  };
+}
+
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+function setup() {
+  const db = fakeDb();
+  const redis = new FakeRedis();
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const sessionAuth = new SessionAuth({ db, redis, logger }, { secret: SECRET, accessTokenTTL: '15m' });
+  return { db, redis, sessionAuth, logger };
+}
+
+describe('SessionAuth', () => {
+  test('an access token authenticates while its session exists', async () => {
+    const { sessionAuth } = setup();
+    const { session, accessToken, expiresIn } = await sessionAuth.createSession(ALICE, req);
+
+    expect(expiresIn).toBe(900);
+    expect(await sessionAuth.authenticate(accessToken)).toEqual({
+      id: ALICE.id, username: 'alice', role: 'user', sessionId: session.id
+    });
+  });
+
+  test('refresh rotates the refresh token; a spent one is refused', async () => {
+    const { sessionAuth } = setup();
+    const first = await sessionAuth.createSession(ALICE, req);
+
+    const second = await sessionAuth.refresh(first.refreshToken, req);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.session.id).toBe(first.session.id);
+    expect(await sessionAuth.authenticate(second.accessToken)).toMatchObject({ id: ALICE.id });
+
+    expect(await sessionAuth.refresh(first.refreshToken, req)).toBeNull();
+    expect(await sessionAuth.refresh(second.refreshToken, req)).not.toBeNull();
+  });
+
+  test('refresh tokens stop working when their session expires', async () => {
+    const { db, sessionAuth } = setup();
+    const { session, refreshToken } = await sessionAuth.createSession(ALICE, req);
+    db.sessions.get(session.id).expires_at = new Date(Date.now() - 1000);
+
+    expect(await sessionAuth.refresh(refreshToken, req)).toBeNull();
+  });
+
+  test('ending a session revokes its access tokens at once', async () => {
+    const { db, sessionAuth } = setup();
+    const { session, accessToken } = await sessionAuth.createSession(ALICE, req);
+    await sessionAuth.authenticate(accessToken);
+
+    await db.deleteSession(session.id);
+    await sessionAuth.invalidate(session.id);
+    expect(await sessionAuth.authenticate(accessToken)).toBeNull();
+  });
+
+  test('rejects forged, expired and mismatched tokens', async () => {
+    const { sessionAuth } = setup();
+    const { session } = await sessionAuth.createSession(ALICE, req);
+    const claims = { sub: ALICE.id, sid: session.id, username: 'alice', role: 'admin' };
+
+    expect(await sessionAuth.authenticate(jwt.sign(claims, 'other-secret'))).toBeNull();
+    expect(await sessionAuth.authenticate(jwt.sign(claims, SECRET, { expiresIn: -10 }))).toBeNull();
+    expect(await sessionAuth.authenticate(jwt.sign({ ...claims, sub: 'u-mallory' }, SECRET))).toBeNull();
+
+    const unsigned = `${Buffer.from('{"alg":"none","typ":"JWT"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.`;
+    expect(await sessionAuth.authenticate(unsigned)).toBeNull();
+  });
+
+  test('the role comes from the session, not the token claims', async () => {
+    const { sessionAuth } = setup();
+    const { session } = await sessionAuth.createSession(ALICE, req);
+    const token = jwt.sign({ sub: ALICE.id, sid: session.id, username: 'alice', role: 'admin' }, SECRET);
+
+    expect((await sessionAuth.authenticate(token)).role).toBe('user');
+  });
+});
+
+describe('POST /auth/refresh', () => {
+  function app(sessionAuth) {
+    const server = express();
+    server.use(express.json());
+    server.use('/auth', setupAuthRoute({
+      db: {},
+      sessionAuth,
+      rateLimiter: { consume: async () => ({ allowed: true }) },
+      audit: { record: jest.fn() },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+    }));
+    return server;
+  }
+
+  test('returns new tokens once; replaying the spent refresh token gets 401', async () => {
+    const { sessionAuth } = setup();
+    const server = app(sessionAuth);
+    const { refreshToken } = await sessionAuth.createSession(ALICE, req);
+
+    const res = await request(server).post('/auth/refresh').send({ refreshToken });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ tokenType: 'Bearer', expiresIn: 900 });
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+
+    const replay = await request(server).post('/auth/refresh').send({ refreshToken });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Invalid or expired refresh token');
+
+    await request(server).post('/auth/refresh').send({ refreshToken: res.body.data.refreshToken }).expect(200);
+  });
+});
+
+describe('SessionAuth middleware', () => {
+  function app(sessionAuth) {
+    const server = express();
+    server.get('/me', sessionAuth.middleware(), (req, res) => res.json(req.user));
+    return server;
+  }
+
+  test('requires a bearer token', async () => {
+    const res = await request(app(setup().sessionAuth)).get('/me');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('answers 503 when the session store is down', async () => {
+    const { db, sessionAuth } = setup();
+    const { accessToken } = await sessionAuth.createSession(ALICE, req);
+    await sessionAuth.invalidate((await sessionAuth.authenticate(accessToken)).sessionId);
+    db.getSession = jest.fn().mockRejectedValue(new Error('db down'));
+
+    await request(app(sessionAuth)).get('/me').set('Authorization', `Bearer ${accessToken}`).expect(503);
+  });
+});
+
+describe('password hashing', () => {
+  test('verifies the right password only', async () => {
+    const stored = await hashPassword('correct horse battery');
+    expect(stored).toMatch(/^scrypt\$32768\$8\$1\$/);
+    expect(await verifyPassword('correct horse battery', stored)).toBe(true);
+    expect(await verifyPassword('wrong', stored)).toBe(false);
+    expect(await verifyPassword('anything', 'md5$abc')).toBe(false);
+  });
+});
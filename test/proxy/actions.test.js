@@ -0,0 +1,109 @@
+const { compileAction, compilePattern, findAction, validateQuery } = require('../../src/proxy/actions');
+
+const api = {
+  actions: {
+    'simple/price': {
+      params: {
+        ids: { type: 'array', required: true },
+        vs_currencies: { type: 'array', default: ['usd'] },
+        include_24hr_change: { type: 'boolean' },
+        precision: { type: 'string', pattern: '^(full|[0-9]|1[0-8])$' }
+      }
+    },
+    'coins/markets': {
+      params: {
+        per_page: { type: 'integer', min: 1, max: 250, default: 100 },
+        order: { type: 'string', enum: ['market_cap_desc', 'volume_desc'] }
+      }
+    },
+    'coins/{id}': {
+      unknownParams: 'strip',
+      params: { localization: { type: 'boolean', default: false } }
+    },
+    'coins/{id}/history': {
+      methods: ['GET'],
+      unknownParams: 'allow',
+      params: { date: { type: 'string', required: true } }
+    }
+  }
+};
+
+describe('compilePattern', () => {
+  test('{name} matches exactly one segment', () => {
+    const { regex, pathParams } = compilePattern('coins/{id}/history');
+    expect(pathParams).toEqual(['id']);
+    expect(regex.test('coins/bitcoin/history')).toBe(true);
+    expect(regex.test('coins/bitcoin/history/')).toBe(true);
+    expect(regex.test('coins/a/b/history')).toBe(false);
+  });
+
+  test('other characters are literal', () => {
+    expect(compilePattern('topstories.json').regex.test('topstoriesXjson')).toBe(false);
+  });
+});
+
+describe('compileAction', () => {
+  test('rejects a default that fails its own rules', () => {
+    expect(() => compileAction('x', { params: { n: { type: 'integer', max: 5, default: 10 } } }))
+      .toThrow('default of "n"');
+  });
+});
+
+describe('findAction', () => {
+  test('matches by path and method; HEAD follows GET', () => {
+    expect(findAction(api, 'coins/bitcoin', 'GET').name).toBe('coins/{id}');
+    expect(findAction(api, 'coins/bitcoin/history', 'HEAD').name).toBe('coins/{id}/history');
+    expect(findAction(api, 'coins/bitcoin/history', 'POST')).toBeNull();
+    expect(findAction(api, 'ping', 'GET')).toBeNull();
+  });
+});
+
+describe('validateQuery', () => {
+  test('passes undeclared paths through unchanged', () => {
+    const query = { anything: 'goes' };
+    expect(validateQuery(api, 'ping', 'GET', query)).toEqual({ action: null, query, errors: null });
+  });
+
+  test('applies defaults and converts back to query-string form', () => {
+    const result = validateQuery(api, 'simple/price', 'GET', { ids: 'bitcoin', include_24hr_change: 'true' });
+    expect(result).toEqual({
+      action: 'simple/price',
+      query: { ids: 'bitcoin', vs_currencies: 'usd', include_24hr_change: 'true' },
+      errors: null
+    });
+  });
+
+  test('comma lists and repeated parameters become one comma-joined list', () => {
+    expect(validateQuery(api, 'simple/price', 'GET', { ids: 'btc,eth' }).query.ids).toBe('btc,eth');
+    expect(validateQuery(api, 'simple/price', 'GET', { ids: ['btc', 'eth,sol'] }).query.ids).toBe('btc,eth,sol');
+    expect(validateQuery(api, 'simple/price', 'GET', { ids: 'btc,,eth,' }).query.ids).toBe('btc,eth');
+  });
+
+  test('reports every failing field at once', () => {
+    const { errors } = validateQuery(api, 'simple/price', 'GET', { include_24hr_change: 'maybe', precision: '99', extra: '1' });
+    expect(errors.map(e => e.field).sort()).toEqual(['extra', 'ids', 'include_24hr_change', 'precision']);
+    expect(errors.find(e => e.field === 'ids')).toMatchObject({ type: 'any.required', message: 'ids is required' });
+    expect(errors.find(e => e.field === 'extra').type).toBe('object.unknown');
+  });
+
+  test('an empty list does not satisfy a required array', () => {
+    expect(validateQuery(api, 'simple/price', 'GET', { ids: ',' }).errors[0].field).toBe('ids');
+  });
+
+  test('checks integer ranges and enums', () => {
+    expect(validateQuery(api, 'coins/markets', 'GET', { per_page: '50' }).query.per_page).toBe('50');
+    expect(validateQuery(api, 'coins/markets', 'GET', {}).query.per_page).toBe('100');
+    expect(validateQuery(api, 'coins/markets', 'GET', { per_page: '251' }).errors[0].type).toBe('number.max');
+    expect(validateQuery(api, 'coins/markets', 'GET', { per_page: '1.5' }).errors[0].type).toBe('number.integer');
+    expect(validateQuery(api, 'coins/markets', 'GET', { order: 'random' }).errors[0].type).toBe('any.only');
+  });
+
+  test('unknownParams: strip drops undeclared parameters', () => {
+    expect(validateQuery(api, 'coins/bitcoin', 'GET', { tickers: 'true' }).query).toEqual({ localization: 'false' });
+  });
+
+  test('unknownParams: allow keeps undeclared parameters as sent', () => {
+    expect(validateQuery(api, 'coins/bitcoin/history', 'GET', { date: '30-12-2023', x: 'y' }).query)
+      .toEqual({ date: '30-12-2023', x: 'y' });
+  });
+});
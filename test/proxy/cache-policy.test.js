@@ -0,0 +1,71 @@
+const { entryTTL, cacheOptions, isStaleableError, DEFAULT_CACHE_TTL, DEFAULT_REVALIDATE_TTL } = require('../../src/proxy/cache-policy');
+const { UpstreamError } = require('../../src/proxy/errors');
+
+describe('entryTTL', () => {
+  const json = { type: 'json', data: {} };
+
+  test('uses cacheTTL, or the default', () => {
+    expect(entryTTL({ cacheTTL: 30 })(json)).toBe(30);
+    expect(entryTTL({})(json)).toBe(DEFAULT_CACHE_TTL);
+  });
+
+  test('never stores a raw body that outgrew maxCacheBytes', () => {
+    expect(entryTTL({ cacheTTL: 30 })({ type: 'raw', body: null })).toBe(0);
+    expect(entryTTL({ cacheTTL: 30 })({ type: 'raw', body: Buffer.from('x') })).toBe(30);
+  });
+
+  test('with honorCacheControl the upstream freshness decides', () => {
+    const ttl = entryTTL({ cacheTTL: 30, honorCacheControl: true });
+    expect(ttl({ ...json, freshness: { store: true, maxAge: 120 } })).toBe(120);
+    expect(ttl({ ...json, freshness: { store: true, maxAge: 0 } })).toBe(0);
+    expect(ttl({ ...json, freshness: { store: false, maxAge: 120 } })).toBe(0);
+    // No max-age: cacheTTL is the fallback
+    expect(ttl({ ...json, freshness: { store: true } })).toBe(30);
+  });
+
+  test('ignores upstream freshness unless told to honor it', () => {
+    expect(entryTTL({ cacheTTL: 30 })({ ...json, freshness: { store: false } })).toBe(30);
+  });
+});
+
+describe('cacheOptions', () => {
+  test('defaults to cache-aside with no stale windows', () => {
+    expect(cacheOptions({})).toEqual({
+      strategy: 'cache-aside',
+      staleTTL: 0,
+      staleIfError: 0,
+      revalidateTTL: 0,
+      refreshThreshold: 0.8,
+      l1TTL: 0,
+      keep: 0
+    });
+  });
+
+  test('a stale window switches to stale-while-revalidate and keeps the longest window', () => {
+    expect(cacheOptions({ staleTTL: 30 })).toMatchObject({ strategy: 'stale-while-revalidate', staleIfError: 30, keep: 30 });
+    expect(cacheOptions({ staleTTL: 30, staleIfError: 600 })).toMatchObject({ keep: 600 });
+    expect(cacheOptions({ staleIfError: 0, staleTTL: 30 })).toMatchObject({ staleIfError: 0, keep: 30 });
+  });
+
+  test('honorCacheControl keeps expired entries for revalidation', () => {
+    expect(cacheOptions({ honorCacheControl: true })).toMatchObject({
+      strategy: 'stale-while-revalidate',
+      revalidateTTL: DEFAULT_REVALIDATE_TTL,
+      keep: DEFAULT_REVALIDATE_TTL
+    });
+    expect(cacheOptions({ honorCacheControl: true, revalidateTTL: 0 })).toMatchObject({ strategy: 'cache-aside', keep: 0 });
+  });
+
+  test('only stale-while-revalidate keeps entries past their TTL', () => {
+    expect(cacheOptions({ cacheStrategy: 'refresh-ahead', staleTTL: 30, refreshThreshold: 0.5 }))
+      .toMatchObject({ strategy: 'refresh-ahead', refreshThreshold: 0.5, keep: 0 });
+  });
+});
+
+describe('isStaleableError', () => {
+  test('stale entries stand in for outages and 5xx, not for 4xx', () => {
+    expect(isStaleableError(new Error('ECONNRESET'))).toBe(true);
+    expect(isStaleableError(new UpstreamError({ status: 503 }))).toBe(true);
+    expect(isStaleableError(new UpstreamError({ status: 404 }))).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { fetchUpstream } = require('../../src/proxy/fetch');
+
+describe('fetchUpstream revalidation', () => {
+  const deps = {
+    circuitBreaker: { guard: jest.fn(), recordSuccess: jest.fn(), recordFailure: jest.fn() },
+    secrets: { credentialsFor: () => ({ headers: {}, params: {} }) },
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+  };
+  const previous = {
+    status: 200,
+    type: 'json',
+    data: { price: 1 },
+    headers: { 'content-type': 'application/json', etag: '"v1"' },
+    freshness: { store: true, maxAge: 60 },
+    validators: { etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }
+  };
+  const request = (extra) => ({
+    service: 'prices',
+    api: { endpoint: 'https://upstream' },
+    upstreamPath: { path: 'price', encoded: 'price' },
+    previous,
+    ...extra
+  });
+  const notModified = (headers) => axios.request.mockResolvedValueOnce({ status: 304, headers, data: { resume: jest.fn() } });
+
+  beforeEach(() => axios.request.mockReset());
+
+  test('sends the stored validators', async () => {
+    notModified({});
+    await fetchUpstream(request(), deps);
+    expect(axios.request.mock.calls[0][0].headers).toMatchObject({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+  });
+
+  test('a 304 keeps the stored body and merges the new headers, freshness and validators', async () => {
+    notModified({ 'cache-control': 'max-age=300', etag: '"v2"', 'content-type': 'application/json; charset=utf-8' });
+    const onNotModified = jest.fn();
+    const result = await fetchUpstream(request({ onNotModified }), deps);
+
+    expect(onNotModified).toHaveBeenCalled();
+    expect(result.data).toEqual({ price: 1 });
+    // Only relayed headers (body headers here) replace the stored ones
+    expect(result.headers).toEqual({ 'content-type': 'application/json; charset=utf-8', etag: '"v1"' });
+    expect(result.freshness).toEqual({ store: true, maxAge: 300 });
+    expect(result.validators).toEqual({ etag: '"v2"' });
+    expect(result.upstream).toEqual({ endpoint: 'https://upstream', attempts: 1 });
+  });
+
+  test('a bare 304 keeps the stored freshness and validators', async () => {
+    notModified({});
+    const result = await fetchUpstream(request(), deps);
+    expect(result.freshness).toBe(previous.freshness);
+    expect(result.validators).toBe(previous.validators);
+    expect(result.headers).toEqual(previous.headers);
+  });
+
+  test('never revalidates write methods', async () => {
+    notModified({});
+    await fetchUpstream(request({ method: 'POST' }), deps).catch(() => {});
+    expect(axios.request.mock.calls[0][0].headers).not.toHaveProperty('If-None-Match');
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  parseCacheControl,
+  getFreshness,
+  getValidators,
+  conditionalHeaders,
+  computeEtag
+} = require('../../src/proxy/http-cache');
+
+describe('parseCacheControl', () => {
+  test('lower-cases names and unquotes values', () => {
+    expect(parseCacheControl('Public, MAX-AGE=60, s-maxage="120", ,no-transform')).toEqual({
+      public: true,
+      'max-age': '60',
+      's-maxage': '120',
+      'no-transform': true
+    });
+  });
+
+  test('treats a missing header as no directives', () => {
+    expect(parseCacheControl(undefined)).toEqual({});
+    expect(parseCacheControl('')).toEqual({});
+  });
+});
+
+describe('getFreshness', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+
+  test('s-maxage wins over max-age, minus Age', () => {
+    expect(getFreshness({ 'cache-control': 'max-age=60, s-maxage=300', age: '100' })).toEqual({ store: true, maxAge: 200 });
+    expect(getFreshness({ 'cache-control': 'max-age=60', age: '90' })).toEqual({ store: true, maxAge: 0 });
+  });
+
+  test('max-age wins over Expires', () => {
+    const headers = { 'cache-control': 'max-age=10', expires: 'Mon, 01 Jan 2024 01:00:00 GMT' };
+    expect(getFreshness(headers, now).maxAge).toBe(10);
+  });
+
+  test('Expires counts from Date, or now without one', () => {
+    expect(getFreshness({ expires: 'Mon, 01 Jan 2024 00:10:00 GMT', date: 'Mon, 01 Jan 2024 00:05:00 GMT' }, now).maxAge).toBe(300);
+    expect(getFreshness({ expires: 'Mon, 01 Jan 2024 00:10:00 GMT' }, now).maxAge).toBe(600);
+  });
+
+  test('an invalid or past Expires means already expired', () => {
+    expect(getFreshness({ expires: '0' }, now)).toEqual({ store: true, maxAge: 0 });
+    expect(getFreshness({ expires: 'Sun, 31 Dec 2023 00:00:00 GMT' }, now).maxAge).toBe(0);
+  });
+
+  test.each(['no-store', 'private', 'no-cache', 'private, max-age=60'])('%s is never stored', (header) => {
+    expect(getFreshness({ 'cache-control': header })).toEqual({ store: false, maxAge: null });
+  });
+
+  test('no freshness information leaves maxAge null', () => {
+    expect(getFreshness({ 'cache-control': 'public' })).toEqual({ store: true, maxAge: null });
+    expect(getFreshness({ 'cache-control': 'max-age=soon' })).toEqual({ store: true, maxAge: null });
+  });
+});
+
+describe('validators', () => {
+  test('getValidators picks ETag and Last-Modified', () => {
+    expect(getValidators({ etag: '"a"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }))
+      .toEqual({ etag: '"a"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+    expect(getValidators({ 'content-type': 'application/json' })).toBeNull();
+  });
+
+  test('conditionalHeaders turns them into If-None-Match / If-Modified-Since', () => {
+    expect(conditionalHeaders({ etag: '"a"', lastModified: 'x' })).toEqual({ 'If-None-Match': '"a"', 'If-Modified-Since': 'x' });
+    expect(conditionalHeaders(null)).toEqual({});
+  });
+
+  test('computeEtag is stable and marks weak tags', () => {
+    expect(computeEtag('body')).toBe(computeEtag(Buffer.from('body')));
+    expect(computeEtag('body')).toMatch(/^"[\w-]+"$/);
+    expect(computeEtag('body', { weak: true })).toBe(`W/${computeEtag('body')}`);
+  });
+});
@@ -0,0 +1,80 @@
+const { resolveUpstreamPath, isPathAllowed, globToRegExp, InvalidPathError } = require('../../src/proxy/path');
+
+describe('resolveUpstreamPath', () => {
+  test('joins decoded segments and re-encodes each one', () => {
+    expect(resolveUpstreamPath(['coins', 'bitcoin'])).toEqual({ path: 'coins/bitcoin', encoded: 'coins/bitcoin' });
+    expect(resolveUpstreamPath(['search', 'hello%20world'])).toEqual({ path: 'search/hello world', encoded: 'search/hello%20world' });
+  });
+
+  test('keeps an escaped slash inside its segment', () => {
+    expect(resolveUpstreamPath(['repos', 'a%2Fb'])).toEqual({ path: 'repos/a/b', encoded: 'repos/a%2Fb' });
+  });
+
+  test('leaves segment-safe characters unescaped', () => {
+    expect(resolveUpstreamPath(['users', 'me%3Ax', 'a%40b']).encoded).toBe('users/me:x/a@b');
+  });
+
+  test('keeps a trailing slash and drops empty segments', () => {
+    expect(resolveUpstreamPath(['r', '', 'programming', ''])).toEqual({ path: 'r/programming/', encoded: 'r/programming/' });
+    expect(resolveUpstreamPath([''])).toEqual({ path: '', encoded: '' });
+  });
+
+  test.each([
+    [['..']],
+    [['a', '.']],
+    [['a', '%2E%2E']],
+    [['a%2F..%2Fb']],
+    [['..%2Fsecrets']]
+  ])('rejects dot segments in %j', (segments) => {
+    expect(() => resolveUpstreamPath(segments)).toThrow(InvalidPathError);
+    expect(() => resolveUpstreamPath(segments)).toThrow('Relative path segments are not allowed');
+  });
+
+  test('allows dots that are not whole segments', () => {
+    expect(resolveUpstreamPath(['topstories.json', '...']).path).toBe('topstories.json/...');
+  });
+
+  test('rejects malformed percent-encoding', () => {
+    expect(() => resolveUpstreamPath(['%E0%A4%A'])).toThrow('Malformed path segment: %E0%A4%A');
+  });
+});
+
+describe('globToRegExp', () => {
+  test('* stays within one segment, ** crosses them', () => {
+    expect(globToRegExp('users/*').test('users/alice')).toBe(true);
+    expect(globToRegExp('users/*').test('users/alice/repos')).toBe(false);
+    expect(globToRegExp('repos/**').test('repos/a/b/c')).toBe(true);
+  });
+
+  test('**/ also matches zero segments', () => {
+    expect(globToRegExp('**/private').test('private')).toBe(true);
+    expect(globToRegExp('**/private').test('a/b/private')).toBe(true);
+  });
+
+  test('? matches one character and other characters are literal', () => {
+    expect(globToRegExp('v?/a.b').test('v1/a.b')).toBe(true);
+    expect(globToRegExp('v?/a.b').test('v1/axb')).toBe(false);
+  });
+});
+
+describe('isPathAllowed', () => {
+  const rules = { allow: ['users/**', 'rate_limit'], deny: ['users/*/secret*'] };
+
+  test('allows everything without rules', () => {
+    expect(isPathAllowed('anything/at/all', undefined)).toBe(true);
+  });
+
+  test('requires a match when an allow list is set', () => {
+    expect(isPathAllowed('users/alice/repos', rules)).toBe(true);
+    expect(isPathAllowed('rate_limit/', rules)).toBe(true);
+    expect(isPathAllowed('orgs/acme', rules)).toBe(false);
+  });
+
+  test('deny wins over allow', () => {
+    expect(isPathAllowed('users/alice/secrets', rules)).toBe(false);
+  });
+
+  test('patterns may start with a slash', () => {
+    expect(isPathAllowed('api/login', { deny: ['/api/**'] })).toBe(false);
+  });
+});
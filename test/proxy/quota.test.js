@@ -0,0 +1,45 @@
+const { periodWindow } = require('../../src/proxy/quota');
+
+const at = iso => new Date(iso);
+
+describe('periodWindow', () => {
+  test('monthly windows run from the first of the month to the first of the next, in UTC', () => {
+    expect(periodWindow('monthly', at('2024-03-15T12:00:00Z'))).toEqual({
+      id: '2024-03',
+      start: at('2024-03-01T00:00:00Z'),
+      end: at('2024-04-01T00:00:00Z')
+    });
+  });
+
+  test('the last millisecond of a month and the first of the next fall in different windows', () => {
+    expect(periodWindow('monthly', at('2024-01-31T23:59:59.999Z')).id).toBe('2024-01');
+    expect(periodWindow('monthly', at('2024-02-01T00:00:00.000Z')).id).toBe('2024-02');
+  });
+
+  test('December rolls over into the next year', () => {
+    expect(periodWindow('monthly', at('2023-12-31T23:00:00Z'))).toEqual({
+      id: '2023-12',
+      start: at('2023-12-01T00:00:00Z'),
+      end: at('2024-01-01T00:00:00Z')
+    });
+  });
+
+  test('February follows leap years', () => {
+    expect(periodWindow('monthly', at('2024-02-10T00:00:00Z')).end).toEqual(at('2024-03-01T00:00:00Z'));
+    expect(periodWindow('daily', at('2024-02-29T08:00:00Z'))).toEqual({
+      id: '2024-02-29',
+      start: at('2024-02-29T00:00:00Z'),
+      end: at('2024-03-01T00:00:00Z')
+    });
+    expect(periodWindow('daily', at('2023-02-28T08:00:00Z')).end).toEqual(at('2023-03-01T00:00:00Z'));
+  });
+
+  test('daily windows are UTC days whatever the local offset', () => {
+    expect(periodWindow('daily', at('2024-06-30T23:30:00-02:00'))).toEqual({
+      id: '2024-07-01',
+      start: at('2024-07-01T00:00:00Z'),
+      end: at('2024-07-02T00:00:00Z')
+    });
+    expect(periodWindow('daily', at('2024-12-31T23:59:59Z')).end).toEqual(at('2025-01-01T00:00:00Z'));
+  });
+});
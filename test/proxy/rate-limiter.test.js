@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const RateLimiter = require('../../src/proxy/rate-limiter');
+const { defineScript, runScript } = require('../../src/proxy/lua');
+
+const { setRateLimitHeaders, DEFAULTS } = RateLimiter;
+
+const noScript = () => Object.assign(new Error('NOSCRIPT No matching script. Please use EVAL.'), { name: 'ErrorReply' });
+
+// Stands in for Redis' script cache: EVALSHA only knows scripts EVAL has run
+function scriptingRedis(reply) {
+  const loaded = new Set();
+  const sha1 = (source) => crypto.createHash('sha1').update(source).digest('hex');
+  return {
+    evalSha: jest.fn(async (sha, options) => {
+      if (!loaded.has(sha)) throw noScript();
+      return reply(options);
+    }),
+    eval: jest.fn(async (source, options) => {
+      loaded.add(sha1(source));
+      return reply(options);
+    })
+  };
+}
+
+describe('runScript', () => {
+  const script = defineScript('return 1');
+  const args = { keys: ['k'], arguments: ['1', '2'] };
+
+  test('identifies scripts by their SHA-1', () => {
+    expect(script.sha).toBe(crypto.createHash('sha1').update('return 1').digest('hex'));
+  });
+
+  test('falls back to EVAL on NOSCRIPT, then uses EVALSHA', async () => {
+    const redis = scriptingRedis(() => 'ok');
+
+    await expect(runScript(redis, script, args)).resolves.toBe('ok');
+    expect(redis.evalSha).toHaveBeenCalledWith(script.sha, args);
+    expect(redis.eval).toHaveBeenCalledWith('return 1', args);
+
+    await expect(runScript(redis, script, args)).resolves.toBe('ok');
+    expect(redis.evalSha).toHaveBeenCalledTimes(2);
+    expect(redis.eval).toHaveBeenCalledTimes(1);
+  });
+
+  test('rethrows other errors without retrying', async () => {
+    const redis = {
+      evalSha: jest.fn().mockRejectedValue(new Error('ERR Error running script: attempt to compare nil')),
+      eval: jest.fn()
+    };
+
+    await expect(runScript(redis, script, args)).rejects.toThrow('attempt to compare nil');
+    expect(redis.eval).not.toHaveBeenCalled();
+  });
+
+  test('rethrows an EVAL failure after NOSCRIPT', async () => {
+    const redis = {
+      evalSha: jest.fn().mockRejectedValue(noScript()),
+      eval: jest.fn().mockRejectedValue(new Error('Connection is closed'))
+    };
+    await expect(runScript(redis, script, args)).rejects.toThrow('Connection is closed');
+  });
+});
+
+describe('RateLimiter', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  test('options: the key limit, then the service limit, then the default', () => {
+    const limiter = new RateLimiter({}, logger);
+    const api = { rateLimit: 50, rateLimitWindow: 10, rateLimitStrategy: 'token-bucket' };
+
+    expect(limiter.options(api, { rateLimit: 5 })).toEqual({ limit: 5, window: 10, strategy: 'token-bucket' });
+    expect(limiter.options(api, { rateLimit: null })).toEqual({ limit: 50, window: 10, strategy: 'token-bucket' });
+    expect(limiter.options(api)).toEqual({ limit: 50, window: 10, strategy: 'token-bucket' });
+    expect(limiter.options({}, { rateLimit: null })).toEqual(DEFAULTS);
+  });
+
+  test('runs the strategy script on a per-service, per-identity key with the window in ms', async () => {
+    const redis = scriptingRedis(() => [1, 9, 60000, 0]);
+    const limiter = new RateLimiter(redis, logger);
+
+    await limiter.consume('weather', 'key:7', { limit: 10, window: 60, strategy: 'token-bucket' });
+
+    const [source, { keys, arguments: args }] = redis.eval.mock.calls[0];
+    expect(source).toContain('HMGET');
+    expect(keys).toEqual(['rl:token-bucket:weather:key:7']);
+    expect(args.slice(0, 2)).toEqual(['10', '60000']);
+  });
+
+  test('sliding-window entries get a unique member per request', async () => {
+    const redis = scriptingRedis(() => [1, 9, 60000, 0]);
+    const limiter = new RateLimiter(redis, logger);
+
+    await limiter.consume('weather', 'ip:1.2.3.4', { limit: 10, window: 60, strategy: 'sliding-window' });
+    await limiter.consume('weather', 'ip:1.2.3.4', { limit: 10, window: 60, strategy: 'sliding-window' });
+
+    expect(redis.eval.mock.calls[0][0]).toContain('ZADD');
+    const members = [redis.eval, redis.evalSha].flatMap(fn => fn.mock.calls.map(([, options]) => options.arguments[2]));
+    expect(new Set(members).size).toBe(2);
+  });
+
+  test('an unknown strategy runs the sliding window', async () => {
+    const redis = scriptingRedis(() => [1, 0, 1000, 0]);
+    await new RateLimiter(redis, logger).consume('svc', 'ip:x', { limit: 1, window: 1, strategy: 'fixed' });
+    expect(redis.eval.mock.calls[0][0]).toContain('ZREMRANGEBYSCORE');
+  });
+
+  test('maps the script reply to whole seconds', async () => {
+    const redis = scriptingRedis(() => [1, 4, 59001, 0]);
+    const result = await new RateLimiter(redis, logger).consume('svc', 'ip:x', { limit: 5, window: 60, strategy: 'sliding-window' });
+
+    expect(result).toEqual({
+      allowed: true,
+      limit: 5,
+      remaining: 4,
+      reset: 60,
+      retryAfter: 0,
+      window: 60,
+      strategy: 'sliding-window'
+    });
+  });
+
+  test('a denied request carries the retry delay and never a negative remaining', async () => {
+    const redis = scriptingRedis(() => [0, -1, 2500, 1200]);
+    const result = await new RateLimiter(redis, logger).consume('svc', 'ip:x', { limit: 5, window: 60, strategy: 'token-bucket' });
+
+    expect(result).toMatchObject({ allowed: false, remaining: 0, reset: 3, retryAfter: 2 });
+  });
+
+  test('Redis errors reach the caller', async () => {
+    const redis = { evalSha: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')), eval: jest.fn() };
+    await expect(new RateLimiter(redis, logger).consume('svc', 'ip:x')).rejects.toThrow('ECONNREFUSED');
+  });
+});
+
+describe('setRateLimitHeaders', () => {
+  const headersOf = (result) => {
+    const headers = {};
+    setRateLimitHeaders({ set: (name, value) => { headers[name] = value; } }, result);
+    return headers;
+  };
+
+  test('sets the RateLimit-* headers', () => {
+    expect(headersOf({ allowed: true, limit: 10, remaining: 3, reset: 42, retryAfter: 0, window: 60 })).toEqual({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '3',
+      'RateLimit-Reset': '42',
+      'RateLimit-Policy': '10;w=60'
+    });
+  });
+
+  test('adds Retry-After of at least one second when limited', () => {
+    expect(headersOf({ allowed: false, limit: 10, remaining: 0, reset: 1, retryAfter: 0, window: 60 }))
+      .toMatchObject({ 'Retry-After': '1' });
+    expect(headersOf({ allowed: false, limit: 10, remaining: 0, reset: 9, retryAfter: 9, window: 60 }))
+      .toMatchObject({ 'Retry-After': '9' });
+  });
+});
@@ -0,0 +1,119 @@
+const { requestWithRetry, getRetryOptions, backoffDelay, retryAfterMs } = require('../../src/proxy/retry');
+
+// Fake upstream: answers with the next scripted status (or throws an Error) per call
+function scripted(outcomes) {
+  const calls = [];
+  const send = jest.fn(async (endpoint) => {
+    calls.push(endpoint);
+    const next = outcomes.shift();
+    if (next instanceof Error) throw next;
+    return { status: next, headers: {}, data: { destroy: jest.fn() } };
+  });
+  return { send, calls };
+}
+
+const api = (retry = {}, fallbacks) => ({
+  endpoint: 'https://primary',
+  fallbacks,
+  retry: { initialDelay: 0, ...retry }
+});
+
+describe('requestWithRetry', () => {
+  test('does not retry by default', async () => {
+    const { send } = scripted([503]);
+    const { response, attempts } = await requestWithRetry(api(), 'GET', send);
+    expect(response.status).toBe(503);
+    expect(attempts).toBe(1);
+  });
+
+  test('retries retryOn statuses up to maxAttempts and returns the last answer', async () => {
+    const { send } = scripted([502, 503, 504]);
+    const { response, attempts } = await requestWithRetry(api({ maxAttempts: 3 }), 'GET', send);
+    expect(response.status).toBe(504);
+    expect(attempts).toBe(3);
+  });
+
+  test('stops at the first status outside retryOn', async () => {
+    const { send } = scripted([503, 404, 200]);
+    const { response, attempts } = await requestWithRetry(api({ maxAttempts: 3 }), 'GET', send);
+    expect(response.status).toBe(404);
+    expect(attempts).toBe(2);
+  });
+
+  test('500 is final unless listed in retryOn', async () => {
+    expect((await requestWithRetry(api({ maxAttempts: 2 }), 'GET', scripted([500, 200]).send)).response.status).toBe(500);
+    expect((await requestWithRetry(api({ maxAttempts: 2, retryOn: [500] }), 'GET', scripted([500, 200]).send)).response.status).toBe(200);
+  });
+
+  test('drops the body of a retried response', async () => {
+    const first = { status: 503, headers: {}, data: { destroy: jest.fn() } };
+    const send = jest.fn().mockResolvedValueOnce(first).mockResolvedValueOnce({ status: 200, headers: {} });
+    await requestWithRetry(api({ maxAttempts: 2 }), 'GET', send);
+    expect(first.data.destroy).toHaveBeenCalled();
+  });
+
+  test.each(['POST', 'PATCH'])('never repeats %s by default', async (method) => {
+    const { send, calls } = scripted([503, 200]);
+    const { response, attempts } = await requestWithRetry(api({ maxAttempts: 3 }, ['https://mirror']), method, send);
+    expect(response.status).toBe(503);
+    expect(attempts).toBe(1);
+    expect(calls).toEqual(['https://primary']);
+  });
+
+  test.each(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])('retries %s by default', async (method) => {
+    const { send } = scripted([503, 200]);
+    expect((await requestWithRetry(api({ maxAttempts: 2 }), method, send)).response.status).toBe(200);
+  });
+
+  test('retries POST when listed in retry.methods', async () => {
+    const { send } = scripted([503, 200]);
+    const { attempts } = await requestWithRetry(api({ maxAttempts: 2, methods: ['post'] }), 'POST', send);
+    expect(attempts).toBe(2);
+  });
+
+  test('moves on to fallback mirrors with the same budget', async () => {
+    const { send, calls } = scripted([503, 503, 503, 200]);
+    const result = await requestWithRetry(api({ maxAttempts: 2 }, ['https://m1', 'https://m2']), 'GET', send);
+    expect(calls).toEqual(['https://primary', 'https://primary', 'https://m1', 'https://m1']);
+    expect(result).toMatchObject({ endpoint: 'https://m1', attempts: 4 });
+    expect(result.response.status).toBe(200);
+  });
+
+  test('retries transport errors and rejects with the last one when nothing answers', async () => {
+    const { send, calls } = scripted([new Error('ECONNREFUSED'), new Error('timeout')]);
+    const error = await requestWithRetry(api({}, ['https://mirror']), 'GET', send).catch(e => e);
+    expect(calls).toEqual(['https://primary', 'https://mirror']);
+    expect(error.message).toBe('timeout');
+    expect(error.attempts).toBe(2);
+    expect(error.endpoint).toBe('https://mirror');
+  });
+});
+
+describe('backoffDelay', () => {
+  const opts = (backoff) => ({ ...getRetryOptions({}), backoff, initialDelay: 100, maxDelay: 1000 });
+
+  test('exponential doubles, linear adds, fixed stays', () => {
+    expect([1, 2, 3, 4].map(a => backoffDelay(opts('exponential'), a))).toEqual([100, 200, 400, 800]);
+    expect([1, 2, 3].map(a => backoffDelay(opts('linear'), a))).toEqual([100, 200, 300]);
+    expect([1, 2, 3].map(a => backoffDelay(opts('fixed'), a))).toEqual([100, 100, 100]);
+  });
+
+  test('is capped at maxDelay', () => {
+    expect(backoffDelay(opts('exponential'), 10)).toBe(1000);
+  });
+});
+
+describe('retryAfterMs', () => {
+  test('reads seconds and HTTP dates', () => {
+    expect(retryAfterMs({ 'retry-after': '3' })).toBe(3000);
+    const ms = retryAfterMs({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+    expect(ms).toBeGreaterThan(8000);
+    expect(ms).toBeLessThanOrEqual(10000);
+  });
+
+  test('ignores missing, past and unparseable values', () => {
+    expect(retryAfterMs({})).toBe(0);
+    expect(retryAfterMs({ 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' })).toBe(0);
+    expect(retryAfterMs({ 'retry-after': 'soon' })).toBe(0);
+  });
+});
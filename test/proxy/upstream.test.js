@@ -0,0 +1,52 @@
+const express = require('express');
+const request = require('supertest');
+const { sendProxyResult } = require('../../src/proxy/upstream');
+const { computeEtag } = require('../../src/proxy/http-cache');
+
+const result = {
+  status: 200,
+  type: 'json',
+  data: { price: 1 },
+  headers: { 'content-type': 'application/json' },
+  upstream: { endpoint: 'https://upstream', attempts: 1 },
+  etag: computeEtag('{"price":1}', { weak: true })
+};
+
+// GET /?cached=1&stale=1&transparent=1 sends `result` the way the proxy route would
+function app() {
+  const server = express();
+  server.get('/', (req, res) => sendProxyResult(res, result, req.query.cached === '1', {
+    stale: req.query.stale === '1',
+    transparent: req.query.transparent === '1'
+  }));
+  return server;
+}
+
+describe('sendProxyResult ETags', () => {
+  test('an enveloped JSON response is tagged over the body actually sent', async () => {
+    const res = await request(app()).get('/?cached=1');
+    expect(res.body).toEqual({ data: { price: 1 }, cached: true });
+    expect(res.headers.etag).toBe(computeEtag(res.text, { weak: true }));
+  });
+
+  test('hits, misses and stale answers of the same data get different tags', async () => {
+    const server = app();
+    const tags = await Promise.all(['/', '/?cached=1', '/?cached=1&stale=1']
+      .map(async path => (await request(server).get(path)).headers.etag));
+    expect(new Set(tags).size).toBe(3);
+  });
+
+  test('a matching If-None-Match gets 304 only for the same envelope', async () => {
+    const server = app();
+    const { headers } = await request(server).get('/?cached=1');
+
+    await request(server).get('/?cached=1').set('If-None-Match', headers.etag).expect(304);
+    await request(server).get('/?cached=1&stale=1').set('If-None-Match', headers.etag).expect(200);
+  });
+
+  test('transparent services send the upstream body with its own tag', async () => {
+    const res = await request(app()).get('/?transparent=1');
+    expect(res.body).toEqual({ price: 1 });
+    expect(res.headers.etag).toBe(result.etag);
+  });
+});
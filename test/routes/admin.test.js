@@ -0,0 +1,58 @@
+const express = require('express');
+const request = require('supertest');
+const setupAdminRoute = require('../../src/routes/admin');
+
+function app(rows) {
+  const audit = {
+    record: jest.fn().mockResolvedValue({}),
+    query: jest.fn().mockResolvedValueOnce(rows).mockResolvedValue([])
+  };
+  const server = express();
+  server.use('/admin', setupAdminRoute({
+    audit,
+    requireRole: () => (req, res, next) => next(),
+    logger: { error: jest.fn() }
+  }));
+  return { server, audit };
+}
+
+const row = (fields) => ({
+  id: '1',
+  created_at: new Date('2024-01-01T00:00:00Z'),
+  actor_id: null,
+  actor: 'anonymous',
+  actor_role: null,
+  action: 'auth.login_failed',
+  target_type: null,
+  target_id: null,
+  changes: null,
+  ip_address: '203.0.113.7',
+  user_agent: 'curl/8.0',
+  metadata: {},
+  prev_hash: '0'.repeat(64),
+  hash: 'a'.repeat(64),
+  ...fields
+});
+
+describe('GET /admin/audit/export?format=csv', () => {
+  test.each(['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)'])('neutralizes a cell starting like %s', async (agent) => {
+    const { server } = app([row({ user_agent: agent })]);
+    const res = await request(server).get('/admin/audit/export?format=csv');
+
+    const neutralized = `'${agent}`;
+    const cell = /[",]/.test(neutralized) ? `"${neutralized.replace(/"/g, '""')}"` : neutralized;
+    expect(res.status).toBe(200);
+    expect(res.text.split('\n')[1]).toContain(`,203.0.113.7,${cell},{},`);
+  });
+
+  test('quotes cells with separators and leaves plain values alone', async () => {
+    const { server, audit } = app([row({ actor: 'root', metadata: { a: 1, b: 'x"y' } })]);
+    const res = await request(server).get('/admin/audit/export?format=csv');
+
+    const [header, line] = res.text.split('\n');
+    expect(header).toBe('id,created_at,actor_id,actor,actor_role,action,target_type,target_id,changes,ip_address,user_agent,metadata,prev_hash,hash');
+    expect(line).toBe(`1,2024-01-01T00:00:00.000Z,,root,,auth.login_failed,,,,203.0.113.7,curl/8.0,"{""a"":1,""b"":""x\\""y""}",${'0'.repeat(64)},${'a'.repeat(64)}`);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'audit.export' }));
+  });
+});
@@ -0,0 +1,54 @@
+const express = require('express');
+const request = require('supertest');
+const setupAuthRoute = require('../../src/routes/auth');
+
+function app({ consume, sessionAuth = {} }) {
+  const rateLimiter = { consume: jest.fn(consume) };
+  const server = express();
+  server.use(express.json());
+  server.use('/auth', setupAuthRoute({
+    db: {},
+    sessionAuth: { middleware: () => (req, res, next) => next(), refresh: jest.fn().mockResolvedValue(null), ...sessionAuth },
+    rateLimiter,
+    audit: { record: jest.fn() },
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+  }));
+  return { server, rateLimiter };
+}
+
+const allowed = async () => ({ allowed: true });
+
+describe('auth throttles', () => {
+  test.each([
+    ['/auth/login', 'auth:login', 10, 900],
+    ['/auth/signup', 'auth:signup', 5, 3600],
+    ['/auth/refresh', 'auth:refresh', 60, 900]
+  ])('%s counts against its own per-IP budget', async (path, scope, limit, window) => {
+    const { server, rateLimiter } = app({ consume: allowed });
+    await request(server).post(path).send({});
+
+    expect(rateLimiter.consume).toHaveBeenCalledTimes(1);
+    const [calledScope, identity, limits] = rateLimiter.consume.mock.calls[0];
+    expect(calledScope).toBe(scope);
+    expect(identity).toMatch(/^ip:/);
+    expect(limits).toMatchObject({ limit, window });
+  });
+
+  test('answers 429 with Retry-After before doing any work', async () => {
+    const refresh = jest.fn();
+    const { server } = app({ consume: async () => ({ allowed: false, retryAfter: 42 }), sessionAuth: { refresh } });
+    const res = await request(server).post('/auth/refresh').send({ refreshToken: 'x' });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('42');
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('fails closed with 503 when the limiter is unavailable', async () => {
+    const { server } = app({ consume: async () => { throw new Error('ECONNREFUSED'); } });
+    const res = await request(server).post('/auth/login').send({ login: 'a', password: 'b' });
+
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('5');
+  });
+});
@@ -0,0 +1,168 @@
+const express = require('express');
+const request = require('supertest');
+const FakeRedis = require('../helpers/fake-redis');
+const CacheStrategies = require('../../src/cache/strategies');
+const { buildCacheKey, escapeGlob } = require('../../src/cache/keys');
+const setupCacheRoute = require('../../src/routes/cache');
+
+const { INVALIDATION_CHANNEL } = CacheStrategies;
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function app() {
+  const redis = new FakeRedis();
+  jest.spyOn(redis, 'publish');
+  const cacheStrategies = new CacheStrategies(redis, logger);
+  const audit = { record: jest.fn().mockResolvedValue({}) };
+
+  const server = express();
+  server.use(express.json());
+  server.use('/cache', setupCacheRoute({ cacheStrategies, audit, logger }));
+  return { server, redis, cacheStrategies, audit };
+}
+
+const key = (service, path, query = {}) => buildCacheKey(service, path, 'GET', query);
+
+describe('cache administration', () => {
+  let server;
+  let redis;
+  let cacheStrategies;
+  let audit;
+
+  beforeEach(async () => {
+    ({ server, redis, cacheStrategies, audit } = app());
+    await redis.setEx(key('gh', 'users'), 60, JSON.stringify({ users: 1 }));
+    await redis.setEx(key('gh', 'repos', { page: '2' }), 120, JSON.stringify({ repos: 2 }));
+    await redis.setEx(key('hn', 'top'), 60, JSON.stringify([1, 2]));
+    // Not cache entries; no pattern may reach them
+    await redis.set('session:abc', 'x');
+    await redis.set('rl:sliding-window:gh:ip:1', 'x');
+  });
+
+  test('lists a service with TTLs, sizes and parsed keys', async () => {
+    const res = await request(server).get('/cache/keys?service=gh');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'success', pattern: 'cache:gh:**', cursor: 0, total: 2 });
+    const repos = res.body.data.find(entry => entry.path === 'repos');
+    expect(repos).toEqual({
+      key: key('gh', 'repos', { page: '2' }),
+      ttl: 120,
+      size: JSON.stringify({ repos: 2 }).length,
+      service: 'gh',
+      path: 'repos',
+      query: { page: '2' },
+      method: 'GET',
+      vary: null,
+      version: null
+    });
+  });
+
+  test('a pattern only ever matches cache entries', async () => {
+    const res = await request(server).get('/cache/keys?pattern=*');
+    expect(res.body.data.map(entry => entry.key).sort()).toEqual([
+      key('gh', 'repos', { page: '2' }),
+      key('gh', 'users'),
+      key('hn', 'top')
+    ]);
+  });
+
+  test('pages through more keys than fit one page', async () => {
+    for (let i = 0; i < 150; i++) {
+      await redis.setEx(key('bulk', `item/${i}`), 60, '1');
+    }
+
+    const first = await request(server).get('/cache/keys?service=bulk&limit=100');
+    expect(first.body.cursor).not.toBe(0);
+    const second = await request(server).get(`/cache/keys?service=bulk&limit=100&cursor=${first.body.cursor}`);
+    expect(second.body.cursor).toBe(0);
+
+    const listed = [...first.body.data, ...second.body.data].map(entry => entry.key);
+    expect(new Set(listed).size).toBe(150);
+  });
+
+  test('reads one entry, and 404s for a missing one', async () => {
+    const found = await request(server).get('/cache/entry').query({ key: key('hn', 'top') });
+    expect(found.status).toBe(200);
+    expect(found.body.data).toMatchObject({ ttl: 60, value: [1, 2], service: 'hn', path: 'top' });
+
+    const missing = await request(server).get('/cache/entry').query({ key: key('hn', 'new') });
+    expect(missing.status).toBe(404);
+  });
+
+  test('refuses keys outside the cache', async () => {
+    const res = await request(server).get('/cache/entry').query({ key: 'session:abc' });
+    expect(res.status).toBe(400);
+  });
+
+  test('changes a TTL, drops local copies and tells the other instances', async () => {
+    const target = key('gh', 'users');
+    cacheStrategies.l1.set(target, { users: 1 }, 60, 10);
+
+    const res = await request(server).patch('/cache/entry').query({ key: target }).send({ ttl: 600 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ key: target, ttl: 600, previousTtl: 60 });
+    expect(await redis.ttl(target)).toBe(600);
+    expect(cacheStrategies.l1.get(target)).toBeUndefined();
+    const [channel, message] = redis.publish.mock.calls[0];
+    expect(channel).toBe(INVALIDATION_CHANNEL);
+    expect(JSON.parse(message).pattern).toBe(escapeGlob(target));
+    expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'cache.ttl',
+      before: { ttl: 60 },
+      after: { ttl: 600 }
+    }));
+  });
+
+  test('a TTL change for a missing entry is a 404 and not audited', async () => {
+    const res = await request(server).patch('/cache/entry').query({ key: key('gh', 'gone') }).send({ ttl: 600 });
+    expect(res.status).toBe(404);
+    expect(audit.record).not.toHaveBeenCalled();
+  });
+
+  test('purges one service everywhere and reports the count', async () => {
+    cacheStrategies.l1.set(key('gh', 'users'), { users: 1 }, 60, 10);
+    cacheStrategies.l1.set(key('hn', 'top'), [1, 2], 60, 10);
+
+    const res = await request(server).post('/cache/purge').send({ service: 'gh' });
+
+    expect(res.body).toEqual({ status: 'success', data: { pattern: 'cache:gh:**', deleted: 2 } });
+    expect(await redis.exists([key('gh', 'users'), key('gh', 'repos', { page: '2' })])).toBe(0);
+    expect(await redis.exists(key('hn', 'top'))).toBe(1);
+    expect(await redis.exists('rl:sliding-window:gh:ip:1')).toBe(1);
+    expect(cacheStrategies.l1.get(key('gh', 'users'))).toBeUndefined();
+    expect(cacheStrategies.l1.get(key('hn', 'top'))).toEqual([1, 2]);
+    expect(redis.publish).toHaveBeenCalledWith(INVALIDATION_CHANNEL, expect.stringContaining('"pattern":"cache:gh:**"'));
+    expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'cache.purge',
+      metadata: { service: 'gh', deleted: 2 }
+    }));
+  });
+
+  test('a catch-all purge leaves sessions and rate limits alone', async () => {
+    const res = await request(server).post('/cache/purge').send({ pattern: '*' });
+
+    expect(res.body.data.deleted).toBe(3);
+    expect(await redis.exists(['session:abc', 'rl:sliding-window:gh:ip:1'])).toBe(2);
+  });
+
+  test('a purge needs a service or a pattern, not both', async () => {
+    expect((await request(server).post('/cache/purge').send({})).status).toBe(400);
+    expect((await request(server).post('/cache/purge').send({ service: 'gh', pattern: '*' })).status).toBe(400);
+  });
+
+  test('another instance purging drops our local copies', () => {
+    cacheStrategies.l1.set(key('gh', 'users'), { users: 1 }, 60, 10);
+
+    cacheStrategies.handleInvalidation(JSON.stringify({ pattern: 'cache:gh:**', origin: 'other' }));
+    expect(cacheStrategies.l1.get(key('gh', 'users'))).toBeUndefined();
+  });
+
+  test('our own invalidation messages are skipped', () => {
+    cacheStrategies.l1.set(key('gh', 'users'), { users: 1 }, 60, 10);
+
+    cacheStrategies.handleInvalidation(JSON.stringify({ pattern: 'cache:gh:**', origin: cacheStrategies.instanceId }));
+    expect(cacheStrategies.l1.get(key('gh', 'users'))).toEqual({ users: 1 });
+  });
+});
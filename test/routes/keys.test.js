@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const setupKeysRoute = require('../../src/routes/keys');
+const ApiKeyAuth = require('../../src/middleware/api-key');
+const FakeRedis = require('../helpers/fake-redis');
+
+const ALICE = { id: '11111111-1111-4111-8111-111111111111', username: 'alice', role: 'user', is_active: true };
+const BOB = { id: '22222222-2222-4222-8222-222222222222', username: 'bob', role: 'user', is_active: true };
+const ROOT = { id: '33333333-3333-4333-8333-333333333333', username: 'root', role: 'admin', is_active: true };
+const ADMIN_TOKEN = 'admin-token-for-tests';
+
+// api_keys / user_api_keys / users as the DatabaseClient methods return them
+function fakeDb() {
+  const users = new Map([ALICE, BOB, ROOT].map(user => [user.id, user]));
+  const keys = new Map();
+  const owners = new Map();
+
+  return {
+    keys,
+    getUserById: jest.fn(async id => users.get(id)),
+    getApiKey: async hash => [...keys.values()].find(key => key.key_hash === hash) || null,
+    getApiKeyOwner: async keyId => users.get(owners.get(keyId)),
+    getUserApiKeys: async userId => [...keys.values()].filter(key => owners.get(key.id) === userId),
+    getUserApiKey: async (userId, keyId) => (owners.get(keyId) === userId ? keys.get(keyId) : undefined),
+    createUserApiKey: async (userId, data) => {
+      const key = {
+        id: crypto.randomUUID(),
+        key_hash: data.keyHash,
+        name: data.name,
+        description: data.description || null,
+        is_active: true,
+        rate_limit: data.rateLimit || null,
+        allowed_services: data.allowedServices || null,
+        expires_at: data.expiresAt || null,
+        metadata: JSON.parse(JSON.stringify(data.metadata || {})),
+        usage_count: 0,
+        created_at: new Date()
+      };
+      keys.set(key.id, key);
+      owners.set(key.id, userId);
+      return key;
+    },
+    expireApiKey: async (keyId, expiresAt) => {
+      const key = keys.get(keyId);
+      if (!key.expires_at || expiresAt < new Date(key.expires_at)) key.expires_at = expiresAt;
+      return { ...key };
+    },
+    deactivateApiKeyById: async (keyId) => {
+      keys.get(keyId).is_active = false;
+      return { ...keys.get(keyId) };
+    }
+  };
+}
+
+function setup() {
+  const db = fakeDb();
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const apiKeyAuth = new ApiKeyAuth({ db, redis: new FakeRedis(), getConfig: () => ({}), logger });
+  const sessions = { 'alice-session': ALICE, 'bob-session': BOB, 'root-session': ROOT };
+  const sessionAuth = { authenticate: jest.fn(async token => sessions[token] || null) };
+  const audit = { record: jest.fn() };
+
+  const server = express();
+  server.use(express.json());
+  server.use('/keys', setupKeysRoute({ db, apiKeyAuth, sessionAuth, audit, logger }));
+  return { server, db, sessionAuth, audit };
+}
+
+const as = token => ({ Authorization: `Bearer ${token}` });
+
+async function issue(server, headers = as('alice-session'), body = { name: 'ci' }) {
+  const res = await request(server).post('/keys').set(headers).send(body);
+  expect(res.status).toBe(201);
+  return res.body.data;
+}
+
+beforeEach(() => {
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+});
+
+afterEach(() => {
+  delete process.env.ADMIN_TOKEN;
+});
+
+describe('authenticateKeyOwner', () => {
+  test('requires a session, an API key or the admin token', async () => {
+    const { server } = setup();
+    const res = await request(server).get('/keys');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer, ApiKey');
+
+    await request(server).get('/keys').set(as('forged')).expect(401);
+  });
+
+  test('answers 503 when sessions cannot be checked', async () => {
+    const { server, sessionAuth } = setup();
+    sessionAuth.authenticate.mockRejectedValue(new Error('redis down'));
+    await request(server).get('/keys').set(as('alice-session')).expect(503);
+  });
+
+  test('a session manages its own keys only', async () => {
+    const { server } = setup();
+    const key = await issue(server);
+
+    expect((await request(server).get('/keys').set(as('alice-session'))).body.total).toBe(1);
+    expect((await request(server).get('/keys').set(as('bob-session'))).body.total).toBe(0);
+    await request(server).delete(`/keys/${key.id}`).set(as('bob-session')).expect(404);
+    await request(server).post(`/keys/${key.id}/rotate`).set(as('bob-session')).send({}).expect(404);
+  });
+
+  test('a non-admin session cannot act for another userId', async () => {
+    const { server, db } = setup();
+    await issue(server, as('bob-session'), { name: 'ci', userId: ALICE.id });
+
+    expect((await db.getUserApiKeys(BOB.id))).toHaveLength(1);
+    expect((await db.getUserApiKeys(ALICE.id))).toHaveLength(0);
+  });
+
+  test('an API key authenticates as its owner but cannot issue or rotate', async () => {
+    const { server } = setup();
+    const key = await issue(server);
+
+    const list = await request(server).get('/keys').set('X-API-Key', key.key);
+    expect(list.status).toBe(200);
+    expect(list.body.data[0].id).toBe(key.id);
+
+    const minted = await request(server).post('/keys').set('X-API-Key', key.key).send({ name: 'copy' });
+    expect(minted.status).toBe(401);
+    expect(minted.headers['www-authenticate']).toBe('Bearer');
+    await request(server).post(`/keys/${key.id}/rotate`).set('X-API-Key', key.key).send({}).expect(401);
+  });
+
+  test('rejects unknown and unlinked API keys', async () => {
+    const { server, db } = setup();
+    await request(server).get('/keys').set('X-API-Key', 'fah_unknown').expect(401);
+
+    const { key } = await issue(server);
+    db.getApiKeyOwner = async () => undefined;
+    await request(server).get('/keys').set('X-API-Key', key).expect(403);
+  });
+});
+
+describe('acting for a user (checkTargetUser)', () => {
+  test('the admin token needs a userId of an existing user', async () => {
+    const { server } = setup();
+    const admin = as(ADMIN_TOKEN);
+
+    expect((await request(server).get('/keys').set(admin)).status).toBe(400);
+    expect((await request(server).get('/keys?userId=alice').set(admin)).body.message).toBe('userId must be a UUID');
+    expect((await request(server).get(`/keys?userId=${crypto.randomUUID()}`).set(admin)).status).toBe(404);
+  });
+
+  test('the admin token issues keys with limits for that user', async () => {
+    const { server, db, audit } = setup();
+    const key = await issue(server, as(ADMIN_TOKEN), { name: 'partner', userId: ALICE.id, rateLimit: 5000, quota: { daily: 10 } });
+
+    expect(key).toMatchObject({ rateLimit: 5000, quota: { daily: 10 } });
+    expect(await db.getUserApiKeys(ALICE.id)).toHaveLength(1);
+    expect(audit.record.mock.calls[0][0].user.actor.username).toBe('admin-token');
+  });
+
+  test('an admin session may act for a userId', async () => {
+    const { server, db } = setup();
+    await issue(server, as('root-session'), { name: 'ci', userId: BOB.id });
+    expect(await db.getUserApiKeys(BOB.id)).toHaveLength(1);
+  });
+
+  test('a failing user lookup answers 503', async () => {
+    const { server, db } = setup();
+    db.getUserById.mockRejectedValue(new Error('db down'));
+    await request(server).get(`/keys?userId=${ALICE.id}`).set(as(ADMIN_TOKEN)).expect(503);
+  });
+
+  test('only admins may set rateLimit or quota', async () => {
+    const { server } = setup();
+    const res = await request(server).post('/keys').set(as('alice-session')).send({ name: 'ci', rateLimit: 100000 });
+    expect(res.status).toBe(403);
+
+    await request(server).post('/keys').set(as('alice-session')).send({ name: 'ci', quota: { daily: 1 } }).expect(403);
+    await issue(server, as('root-session'), { name: 'own', rateLimit: 100 });
+  });
+});
+
+describe('revoking and rotating', () => {
+  test('a revoked key stops working at once, even though its lookup was cached', async () => {
+    const { server } = setup();
+    const key = await issue(server);
+    await request(server).get('/keys').set('X-API-Key', key.key).expect(200);
+
+    const revoked = await request(server).delete(`/keys/${key.id}`).set(as('alice-session'));
+    expect(revoked.body.data.status).toBe('revoked');
+    await request(server).get('/keys').set('X-API-Key', key.key).expect(401);
+  });
+
+  test('rotation issues a replacement and the old key expires after the grace period', async () => {
+    const { server } = setup();
+    const old = await issue(server);
+    await request(server).get('/keys').set('X-API-Key', old.key).expect(200);
+
+    const rotated = await request(server).post(`/keys/${old.id}/rotate`).set(as('alice-session')).send({ gracePeriod: 0 });
+    expect(rotated.status).toBe(201);
+    expect(rotated.body.data.rotatedFrom).toBe(old.id);
+    expect(rotated.body.previous.status).toBe('expired');
+
+    const res = await request(server).get('/keys').set('X-API-Key', old.key);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('API key expired');
+    await request(server).get('/keys').set('X-API-Key', rotated.body.data.key).expect(200);
+  });
+
+  test('the old key keeps working during the grace period, and only active keys rotate', async () => {
+    const { server } = setup();
+    const old = await issue(server);
+
+    const rotated = await request(server).post(`/keys/${old.id}/rotate`).set(as('alice-session')).send({ gracePeriod: 3600 });
+    expect(rotated.body.previous.status).toBe('active');
+    await request(server).get('/keys').set('X-API-Key', old.key).expect(200);
+
+    await request(server).delete(`/keys/${old.id}`).set(as('alice-session')).expect(200);
+    await request(server).post(`/keys/${old.id}/rotate`).set(as('alice-session')).send({}).expect(409);
+  });
+});
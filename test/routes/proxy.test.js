@@ -0,0 +1,84 @@
+jest.mock('axios');
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const FakeRedis = require('../helpers/fake-redis');
+const CacheStrategies = require('../../src/cache/strategies');
+const setupProxyRoute = require('../../src/routes/proxy');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function app(api) {
+  const redis = new FakeRedis();
+  redis.eval = async (script, { keys: [key], arguments: [token] }) =>
+    (await redis.get(key)) === token ? redis.del(key) : 0;
+  const cacheStrategies = new CacheStrategies(redis, logger);
+
+  const server = express();
+  server.use('/api', setupProxyRoute({
+    getConfig: () => ({ files: api }),
+    cacheStrategies,
+    circuitBreaker: { guard: jest.fn(), recordSuccess: jest.fn(), recordFailure: jest.fn() },
+    rateLimiter: {
+      options: () => ({}),
+      consume: async () => ({ allowed: true, limit: 10, remaining: 9, reset: 60, retryAfter: 0, window: 60 })
+    },
+    quotaManager: { limitsFor: () => ({}), consume: async () => ({ allowed: true }) },
+    secrets: { credentialsFor: () => ({ headers: {}, params: {} }) },
+    model: null,
+    logger
+  }));
+  return { server, cacheStrategies };
+}
+
+const upstreamResponse = (body) => ({
+  status: 200,
+  headers: { 'content-type': 'application/octet-stream' },
+  data: Readable.from([Buffer.from(body)])
+});
+
+// Hold the first upstream call until a second request has joined its fill
+function leaderWaitsFor(cacheStrategies, response) {
+  axios.request.mockImplementationOnce(async () => {
+    while (cacheStrategies.coalescing.local < 1) await new Promise(setImmediate);
+    return response;
+  });
+}
+
+describe('coalesced proxy requests', () => {
+  beforeEach(() => axios.request.mockReset());
+
+  test('a follower refetches a body too large to share', async () => {
+    const { server, cacheStrategies } = app({ endpoint: 'https://files', cacheTTL: 60, maxCacheBytes: 16 });
+    leaderWaitsFor(cacheStrategies, upstreamResponse('a'.repeat(64)));
+    axios.request.mockResolvedValueOnce(upstreamResponse('b'.repeat(64)));
+
+    const [first, second] = await Promise.all([
+      request(server).get('/api/files/big.bin').buffer(true),
+      request(server).get('/api/files/big.bin').buffer(true)
+    ]);
+
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(first.body.toString()).toBe('a'.repeat(64));
+    expect(second.body.toString()).toBe('b'.repeat(64));
+    expect(second.headers['x-cache']).toBe('MISS');
+  });
+
+  test('a follower is served the body the leader kept', async () => {
+    const { server, cacheStrategies } = app({ endpoint: 'https://files', cacheTTL: 60 });
+    leaderWaitsFor(cacheStrategies, upstreamResponse('small'));
+
+    const [first, second] = await Promise.all([
+      request(server).get('/api/files/small.bin').buffer(true),
+      request(server).get('/api/files/small.bin').buffer(true)
+    ]);
+
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    expect(first.body.toString()).toBe('small');
+    expect(second.body.toString()).toBe('small');
+  });
+});